@@ -0,0 +1,38 @@
+/**
+ * API Key Scopes
+ *
+ * Every scope a personal API key can have, with a short description the
+ * frontend can show next to each checkbox when creating a key.
+ *
+ * Routes opt in to API keys with requireScope('<scope>') from
+ * middleware/auth.js. Anything that only uses protect (sessions, password,
+ * 2FA, API key management, payments, admin...) can't be used with an API
+ * key at all - those need a real login.
+ */
+
+const API_SCOPES = {
+  'profile:read': 'See your profile',
+  'profile:write': 'Update your profile',
+  'collection:read': 'See your collection',
+  'collection:write': 'Add, update and remove collection cards',
+  'wishlist:read': 'See your wishlist',
+  'wishlist:write': 'Add, update and remove wishlist cards',
+  'alerts:read': 'See your price alerts',
+  'alerts:write': 'Create, update and remove price alerts',
+  'listings:read': 'See your listings',
+  'listings:write': 'Create, update and remove listings',
+  'offers:read': 'See offers you sent and received',
+  'offers:write': 'Make, accept, decline and cancel offers',
+  'messages:read': 'Read offer messages',
+  'messages:write': 'Send offer messages',
+  'notifications:read': 'See your notifications',
+  'notifications:write': 'Mark notifications as read',
+  'transactions:read': 'See your purchases and sales',
+  'reviews:read': 'See reviews on your transactions',
+  'reviews:write': 'Review sellers',
+  'matches:read': 'See buyer/seller matches',
+};
+
+const SCOPE_NAMES = Object.keys(API_SCOPES);
+
+module.exports = { API_SCOPES, SCOPE_NAMES };
@@ -0,0 +1,52 @@
+/**
+ * Card Languages
+ *
+ * The languages we can show card data in. TCGdex has a separate API for
+ * each language (https://api.tcgdex.net/v2/fr/...), so these codes are
+ * the ones it uses.
+ *
+ * English is the "canonical" language - Card.name is always the English
+ * name, and the other languages live in Card.localizedNames.
+ *
+ * Heads up: Japanese has its own sets on TCGdex with different card IDs,
+ * so only Japanese cards that share an ID with an English card get linked.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const SUPPORTED_LANGUAGES = ['en', 'fr', 'de', 'es', 'it', 'pt', 'ja'];
+
+/**
+ * Check a language code, falling back to the default
+ *
+ * @param {string} lang - e.g. 'fr' or 'FR'
+ * @returns {string|null} The code if we support it, otherwise null
+ */
+const normalizeLanguage = (lang) => {
+  if (!lang) return null;
+  const code = String(lang).toLowerCase();
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+};
+
+/**
+ * Work out which language to show cards in for a request
+ * A ?lang= query param wins, then the logged in user's preferred
+ * language, then English.
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Language code
+ */
+const getRequestLanguage = (req) => {
+  return (
+    normalizeLanguage(req.query?.lang) ||
+    normalizeLanguage(req.user?.preferredLanguage) ||
+    DEFAULT_LANGUAGE
+  );
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  getRequestLanguage,
+};
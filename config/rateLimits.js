@@ -0,0 +1,78 @@
+/**
+ * Rate Limit Configuration
+ *
+ * The per-route limits live here so they're all in one place and easy
+ * to tune. Each export is a ready-to-use middleware, same idea as the
+ * multer uploaders in config/cloudinary.js.
+ *
+ * Which store the counters use comes from RATE_LIMIT_STORE
+ * ('memory' by default, 'mongo' when running more than one instance).
+ * A limiter can also pin its own store with the store option.
+ *
+ * Some of our users log in from the same game store Wi-Fi, so the
+ * per-IP limits are a bit more generous than you'd normally pick.
+ */
+
+const { rateLimit } = require('../middleware/rateLimit');
+const { getClientInfo } = require('../utils/sessions');
+
+const MINUTE = 60 * 1000;
+
+// Login attempts per IP - the per-account lockout in utils/loginThrottle.js
+// handles slow guessing against one account, this handles fast spraying
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * MINUTE,
+  max: 30,
+  message: 'Too many login attempts, please try again later',
+});
+
+// 2FA codes are only 6 digits, so guessing needs to be slowed way down
+const twoFactorLimiter = rateLimit({
+  name: 'login-2fa',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many code attempts, please try again later',
+});
+
+// Stops one IP from creating a pile of accounts
+const registerLimiter = rateLimit({
+  name: 'register',
+  windowMs: 60 * MINUTE,
+  max: 10,
+  message: 'Too many accounts created from this network, please try again later',
+});
+
+// Each of these sends an email, so keep them low
+const emailLimiter = rateLimit({
+  name: 'email',
+  windowMs: 60 * MINUTE,
+  max: 5,
+  message: 'Too many email requests, please try again later',
+});
+
+// Refreshing happens automatically, so this is just a ceiling for abuse
+const refreshLimiter = rateLimit({
+  name: 'refresh',
+  windowMs: 15 * MINUTE,
+  max: 100,
+});
+
+// Card scans call Google Vision (which costs money per request),
+// so this is keyed by user when logged in and by IP otherwise
+const cardScanLimiter = rateLimit({
+  name: 'card-scan',
+  windowMs: 60 * MINUTE,
+  max: 30,
+  keyGenerator: (req) => (req.user ? `user:${req.user._id}` : `ip:${getClientInfo(req).ip}`),
+  message: 'Scan limit reached, please try again later or search manually',
+});
+
+module.exports = {
+  loginLimiter,
+  twoFactorLimiter,
+  registerLimiter,
+  emailLimiter,
+  refreshLimiter,
+  cardScanLimiter,
+};
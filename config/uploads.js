@@ -0,0 +1,30 @@
+/**
+ * File Upload Configuration (non-image)
+ *
+ * Image uploads go straight to Cloudinary (see config/cloudinary.js), but
+ * some uploads are only read once by the server - like price history
+ * imports - so there's no point storing them anywhere. memoryStorage
+ * gives the controller the file as a Buffer in req.file.buffer.
+ */
+
+const path = require('path');
+const multer = require('multer');
+
+// Price history imports can be years of data, so allow up to 10MB
+const uploadPriceImport = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (extension === '.csv' || extension === '.json') {
+      cb(null, true);
+    } else {
+      // statusCode makes the error handler send a 400 instead of a 500
+      const error = new Error('Only .csv and .json files can be imported');
+      error.statusCode = 400;
+      cb(error);
+    }
+  },
+});
+
+module.exports = { uploadPriceImport };
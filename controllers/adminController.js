@@ -0,0 +1,1057 @@
+/**
+ * Admin Controller
+ *
+ * Moderation tools for moderators and admins - hiding listings,
+ * removing reviews, suspending users, and (admins only) changing roles.
+ * Also the status of background jobs like the daily price snapshot, and
+ * importing/fixing price history, and fixing cards that got matched to
+ * the wrong Pokewallet card.
+ *
+ * Every action here gets written to the ModerationAction log so there's
+ * always a record of who did what and why. The routes file handles the
+ * role checks with the authorize() middleware, but a couple of rules
+ * need the target user too (like "moderators can't suspend admins"),
+ * so those are checked in here.
+ */
+
+const User = require('../models/User');
+const Listing = require('../models/Listing');
+const Review = require('../models/Review');
+const ModerationAction = require('../models/ModerationAction');
+const { revokeOtherSessions } = require('../utils/sessions');
+const Card = require('../models/Card');
+const PriceHistory = require('../models/PriceHistory');
+const { getPriceSnapshotStatus, triggerPriceSnapshot } = require('../utils/priceSnapshots');
+const { getCacheStats, clearCache } = require('../utils/apiCache');
+const { getUpstreamStatus, UpstreamError } = require('../utils/httpClient');
+const { getMechanicsCandidates } = require('../utils/pokemonTcgApi');
+const { saveMechanicsMatch } = require('../utils/cardMechanics');
+const { MAX_IMPORT_ROWS, parseCsv, parseImportFile, importPriceHistory } = require('../utils/priceImport');
+const { parsePriceGrade } = require('../utils/grading');
+const { CARD_VARIANTS, mergeVariants } = require('../utils/cardCatalog');
+
+/**
+ * Helper: Record a moderation action in the audit log
+ */
+const logAction = async (actorId, action, targetType, targetId, reason = '', details = {}) => {
+  await ModerationAction.create({
+    actor: actorId,
+    action,
+    targetType,
+    target: targetId,
+    reason,
+    details,
+  });
+};
+
+/**
+ * @desc    Hide a listing from the marketplace
+ * @route   PUT /api/admin/listings/:id/hide
+ * @access  Private (moderator, admin)
+ */
+const hideListing = async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found',
+      });
+    }
+
+    // Sold/cancelled listings aren't visible anyway, so only active ones can be hidden
+    if (listing.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active listings can be hidden',
+      });
+    }
+
+    listing.status = 'hidden';
+    listing.moderation = {
+      hiddenAt: new Date(),
+      hiddenBy: req.user._id,
+      reason,
+    };
+    await listing.save();
+
+    await logAction(req.user._id, 'hide_listing', 'Listing', listing._id, reason);
+
+    res.json({
+      success: true,
+      data: listing,
+    });
+  } catch (error) {
+    console.error('HideListing error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to hide listing',
+    });
+  }
+};
+
+/**
+ * @desc    Put a hidden listing back on the marketplace
+ * @route   PUT /api/admin/listings/:id/unhide
+ * @access  Private (moderator, admin)
+ */
+const unhideListing = async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found',
+      });
+    }
+
+    if (listing.status !== 'hidden') {
+      return res.status(400).json({
+        success: false,
+        message: 'This listing is not hidden',
+      });
+    }
+
+    listing.status = 'active';
+    listing.moderation = { hiddenAt: null, hiddenBy: null, reason: '' };
+    await listing.save();
+
+    await logAction(req.user._id, 'unhide_listing', 'Listing', listing._id, req.body.reason || '');
+
+    res.json({
+      success: true,
+      data: listing,
+    });
+  } catch (error) {
+    console.error('UnhideListing error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to unhide listing',
+    });
+  }
+};
+
+/**
+ * @desc    Remove a review (soft delete - it stays in the DB for the record)
+ * @route   PUT /api/admin/reviews/:id/remove
+ * @access  Private (moderator, admin)
+ */
+const removeReview = async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    if (review.removedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This review has already been removed',
+      });
+    }
+
+    review.removedAt = new Date();
+    review.removedBy = req.user._id;
+    review.removedReason = reason;
+    await review.save();
+
+    await logAction(req.user._id, 'remove_review', 'Review', review._id, reason);
+
+    res.json({
+      success: true,
+      data: review,
+    });
+  } catch (error) {
+    console.error('RemoveReview error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to remove review',
+    });
+  }
+};
+
+/**
+ * @desc    Restore a removed review
+ * @route   PUT /api/admin/reviews/:id/restore
+ * @access  Private (moderator, admin)
+ */
+const restoreReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    if (!review.removedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This review has not been removed',
+      });
+    }
+
+    review.removedAt = null;
+    review.removedBy = null;
+    review.removedReason = '';
+    await review.save();
+
+    await logAction(req.user._id, 'restore_review', 'Review', review._id, req.body.reason || '');
+
+    res.json({
+      success: true,
+      data: review,
+    });
+  } catch (error) {
+    console.error('RestoreReview error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to restore review',
+    });
+  }
+};
+
+/**
+ * @desc    Suspend a user (optionally for a number of days)
+ * @route   PUT /api/admin/users/:id/suspend
+ * @access  Private (moderator, admin)
+ *
+ * Leaving out "days" suspends indefinitely. All of the user's sessions
+ * are signed out so the suspension takes effect right away.
+ * Moderators can only suspend regular users - staff accounts need an admin.
+ */
+const suspendUser = async (req, res) => {
+  try {
+    const { reason = '', days } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend yourself',
+      });
+    }
+
+    if (user.role !== 'user' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can suspend moderators or admins',
+      });
+    }
+
+    let suspendedUntil = null;
+    if (days !== undefined && days !== null) {
+      const dayCount = parseInt(days);
+      if (isNaN(dayCount) || dayCount < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Days must be a positive number',
+        });
+      }
+      suspendedUntil = new Date(Date.now() + dayCount * 24 * 60 * 60 * 1000);
+    }
+
+    user.suspension = {
+      suspendedAt: new Date(),
+      suspendedUntil,
+      reason,
+      suspendedBy: req.user._id,
+    };
+    await user.save();
+
+    await revokeOtherSessions(user._id, null, 'suspended');
+
+    await logAction(req.user._id, 'suspend_user', 'User', user._id, reason, { suspendedUntil });
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        username: user.username,
+        suspension: user.suspension,
+      },
+    });
+  } catch (error) {
+    console.error('SuspendUser error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to suspend user',
+    });
+  }
+};
+
+/**
+ * @desc    Lift a user's suspension
+ * @route   PUT /api/admin/users/:id/unsuspend
+ * @access  Private (moderator, admin)
+ */
+const unsuspendUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (!user.isSuspended()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is not suspended',
+      });
+    }
+
+    user.suspension = {
+      suspendedAt: null,
+      suspendedUntil: null,
+      reason: '',
+      suspendedBy: null,
+    };
+    await user.save();
+
+    await logAction(req.user._id, 'unsuspend_user', 'User', user._id, req.body.reason || '');
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        username: user.username,
+        suspension: user.suspension,
+      },
+    });
+  } catch (error) {
+    console.error('UnsuspendUser error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to unsuspend user',
+    });
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private (admin only)
+ *
+ * Admins can't change their own role - otherwise the last admin could
+ * demote themselves and nobody would be left to manage roles.
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!['user', 'moderator', 'admin'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be user, moderator, or admin',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await logAction(req.user._id, 'change_role', 'User', user._id, req.body.reason || '', {
+      from: previousRole,
+      to: role,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        username: user.username,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('UpdateUserRole error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update role',
+    });
+  }
+};
+
+/**
+ * @desc    Get the moderation audit log (newest first)
+ * @route   GET /api/admin/actions
+ * @access  Private (moderator, admin)
+ *
+ * Can be filtered by targetType + target to see the history for one thing.
+ */
+const getModerationActions = async (req, res) => {
+  try {
+    const { targetType, target, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (targetType) filter.targetType = targetType;
+    if (target) filter.target = target;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const actions = await ModerationAction.find(filter)
+      .populate('actor', 'username role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ModerationAction.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: actions.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      data: actions,
+    });
+  } catch (error) {
+    console.error('GetModerationActions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get moderation log',
+    });
+  }
+};
+
+/**
+ * @desc    Status of the daily price snapshot job
+ * @route   GET /api/admin/price-snapshots?limit=7
+ * @access  Private (moderator, admin)
+ *
+ * Shows the job settings and the most recent daily runs with their
+ * progress (processed / totalCards) and any errors.
+ */
+const getPriceSnapshots = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 7, 60);
+    const status = await getPriceSnapshotStatus(limit);
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error('GetPriceSnapshots error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get price snapshot status',
+    });
+  }
+};
+
+/**
+ * @desc    Hit/miss stats for the TCGdex and Pokewallet cache
+ * @route   GET /api/admin/cache
+ * @access  Private (moderator, admin)
+ *
+ * Counts are since the server started (or the cache was last cleared)
+ * and only cover this server process.
+ */
+const getApiCache = async (req, res) => {
+  try {
+    const stats = await getCacheStats();
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    console.error('GetApiCache error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get cache stats',
+    });
+  }
+};
+
+/**
+ * @desc    Circuit breaker state of every external API
+ * @route   GET /api/admin/upstreams
+ * @access  Private (moderator, admin)
+ *
+ * state is closed (working), open (failing fast after too many errors)
+ * or half_open (letting one trial request through).
+ */
+const getUpstreams = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getUpstreamStatus(),
+    });
+  } catch (error) {
+    console.error('GetUpstreams error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get upstream status',
+    });
+  }
+};
+
+/**
+ * @desc    Empty the TCGdex and Pokewallet cache
+ * @route   DELETE /api/admin/cache
+ * @access  Private (admin)
+ *
+ * Every card gets fetched from the APIs again on its next view.
+ */
+const clearApiCache = async (req, res) => {
+  try {
+    await clearCache();
+
+    res.json({
+      success: true,
+      message: 'Cache cleared',
+    });
+  } catch (error) {
+    console.error('ClearApiCache error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to clear cache',
+    });
+  }
+};
+
+/**
+ * @desc    Start (or resume) today's price snapshot now
+ * @route   POST /api/admin/price-snapshots/run
+ * @access  Private (admin)
+ *
+ * Runs in the background - check GET /api/admin/price-snapshots for progress.
+ * Does nothing if today's run is already finished.
+ */
+const runPriceSnapshotNow = async (req, res) => {
+  try {
+    const started = triggerPriceSnapshot();
+
+    if (!started) {
+      return res.status(409).json({
+        success: false,
+        message: 'A price snapshot is already running',
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Price snapshot started',
+    });
+  } catch (error) {
+    console.error('RunPriceSnapshotNow error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to start price snapshot',
+    });
+  }
+};
+
+/**
+ * @desc    Bulk import price history from CSV or JSON
+ * @route   POST /api/admin/price-history/import?dryRun=true
+ * @access  Private (admin)
+ *
+ * Send the data one of three ways:
+ *   - a multipart upload with a .csv or .json file in the "file" field
+ *   - a JSON body with { rows: [...] }
+ *   - a JSON body with { csv: "externalId,date,price\n..." }
+ * The file format is described in utils/priceImport.js.
+ *
+ * Always returns a report (valid, inserted, duplicates, errors per row).
+ * With dryRun=true nothing is saved, so you can check a file first.
+ */
+const importPrices = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const dryRun = req.query.dryRun === 'true' || body.dryRun === true || body.dryRun === 'true';
+
+    let rows;
+    try {
+      if (req.file) {
+        const format = req.file.originalname.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+        rows = parseImportFile(req.file.buffer, format);
+      } else if (typeof body.csv === 'string') {
+        rows = parseCsv(body.csv);
+      } else if (Array.isArray(body.rows)) {
+        rows = body.rows;
+      }
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the import: ${parseError.message}`,
+      });
+    }
+
+    if (!rows || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a .csv or .json file, or send rows or csv in the body',
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many rows (${rows.length}) - the limit is ${MAX_IMPORT_ROWS} per import`,
+      });
+    }
+
+    const report = await importPriceHistory(rows, { dryRun, userId: req.user._id });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('ImportPrices error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to import prices',
+    });
+  }
+};
+
+/**
+ * @desc    Add a single price by hand (e.g. to fill a gap in the history)
+ * @route   POST /api/admin/price-history
+ * @access  Private (admin)
+ *
+ * Body: { cardId (externalId), price, date?, variant?, condition?, currency?,
+ *         gradingCompany?, grade?, note? }
+ * Saved with source 'manual' and the admin who added it. gradingCompany
+ * and grade (e.g. PSA, 10) put it in that graded series instead of the raw one.
+ */
+const addManualPrice = async (req, res) => {
+  try {
+    const { cardId, price, date, variant, condition, currency, gradingCompany, grade, note } = req.body;
+
+    const card = cardId ? await Card.findOne({ externalId: cardId }) : null;
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found',
+      });
+    }
+
+    if (!(Number(price) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price must be a number above 0',
+      });
+    }
+
+    const entryDate = date ? new Date(date) : new Date();
+    if (isNaN(entryDate.getTime()) || entryDate > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be a valid date that is not in the future',
+      });
+    }
+
+    const fields = {
+      variant: variant || 'normal',
+      condition: condition || 'near_mint',
+      currency: currency || 'USD',
+    };
+    for (const [field, value] of Object.entries(fields)) {
+      const allowed = PriceHistory.schema.path(field).enumValues.filter(Boolean);
+      if (!allowed.includes(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be one of: ${allowed.join(', ')}`,
+        });
+      }
+    }
+
+    const priceGrade = parsePriceGrade(gradingCompany, grade);
+    if (priceGrade.error) {
+      return res.status(400).json({
+        success: false,
+        message: priceGrade.error,
+      });
+    }
+
+    const entry = await PriceHistory.create({
+      card: card._id,
+      price: Number(price),
+      date: entryDate,
+      source: 'manual',
+      ...fields,
+      ...priceGrade,
+      note: note || '',
+      recordedBy: req.user._id,
+    });
+
+    await logAction(req.user._id, 'add_price', 'PriceHistory', entry._id, note || '', {
+      card: card.externalId,
+      price: entry.price,
+      currency: entry.currency,
+      gradingCompany: entry.gradingCompany,
+      grade: entry.grade,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error('AddManualPrice error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to add price',
+    });
+  }
+};
+
+/**
+ * @desc    Correct a wrong price in the history
+ * @route   PUT /api/admin/price-history/:id
+ * @access  Private (admin)
+ *
+ * Body: { price, reason }
+ * The entry keeps its source, so the fix shows up on the same chart. The
+ * original price, who changed it and why are saved on the entry and in
+ * the moderation log.
+ */
+const correctPrice = async (req, res) => {
+  try {
+    const { price, reason } = req.body;
+
+    if (!(Number(price) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price must be a number above 0',
+      });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when correcting a price',
+      });
+    }
+
+    const entry = await PriceHistory.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price entry not found',
+      });
+    }
+
+    const previousPrice = entry.price;
+
+    // Keep the very first price, so corrections can always be traced back
+    if (entry.correction.originalPrice === null) {
+      entry.correction.originalPrice = previousPrice;
+    }
+    entry.correction.correctedBy = req.user._id;
+    entry.correction.correctedAt = new Date();
+    entry.correction.reason = reason.trim();
+    entry.price = Number(price);
+    await entry.save();
+
+    await logAction(req.user._id, 'correct_price', 'PriceHistory', entry._id, reason.trim(), {
+      previousPrice,
+      newPrice: entry.price,
+    });
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error('CorrectPrice error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to correct price',
+    });
+  }
+};
+
+/**
+ * @desc    Cards with an automatic Pokewallet match we're not sure about
+ * @route   GET /api/admin/pokewallet-matches
+ * @access  Private (moderator/admin)
+ *
+ * ?maxConfidence= (default 0.6 - anything without a card number match)
+ * and ?limit= (default 50, max 200). Least confident first.
+ */
+const getPokewalletMatches = async (req, res) => {
+  try {
+    const maxConfidence = req.query.maxConfidence !== undefined ? Number(req.query.maxConfidence) : 0.6;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!Number.isFinite(maxConfidence) || maxConfidence < 0 || maxConfidence > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxConfidence must be a number between 0 and 1',
+      });
+    }
+
+    const cards = await Card.find({
+      'pokewallet.matchedBy': 'auto',
+      'pokewallet.confidence': { $lte: maxConfidence },
+    })
+      .select('externalId name setName cardNumber imageUrl pokewallet.id pokewallet.confidence pokewallet.matchedAt')
+      .sort({ 'pokewallet.confidence': 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: cards.length,
+      data: cards,
+    });
+  } catch (error) {
+    console.error('GetPokewalletMatches error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get Pokewallet matches',
+    });
+  }
+};
+
+/**
+ * @desc    Pokewallet cards a card could be matched to
+ * @route   GET /api/admin/cards/:externalId/pokewallet-candidates
+ * @access  Private (moderator/admin)
+ *
+ * Searches Pokewallet for the card's name, or ?q= when the right card
+ * goes by a different name there. Each result has the confidence the
+ * automatic match would give it.
+ */
+const getPokewalletCandidates = async (req, res) => {
+  try {
+    const card = await Card.findOne({ externalId: req.params.externalId }).select('externalId name cardNumber pokewallet');
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found',
+      });
+    }
+
+    const candidates = await getMechanicsCandidates(req.query.q || card.name, card.name, card.cardNumber);
+
+    res.json({
+      success: true,
+      count: candidates.length,
+      data: {
+        card,
+        candidates,
+      },
+    });
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return res.status(503).json({ success: false, message: error.message, upstream: error.upstream });
+    }
+    console.error('GetPokewalletCandidates error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to search Pokewallet',
+    });
+  }
+};
+
+/**
+ * @desc    Set which Pokewallet card a card's mechanics come from
+ * @route   PUT /api/admin/cards/:externalId/pokewallet-match
+ * @access  Private (admin)
+ *
+ * Body: { pokewalletId, query?, reason }
+ * pokewalletId has to be one of the candidates for the card's name (or
+ * for `query`), so the mechanics are fetched fresh from Pokewallet. Send
+ * pokewalletId: null when the card has no Pokewallet version at all -
+ * then the page stops showing the wrong mechanics. Either way it's saved
+ * as an admin match, which the automatic matching never replaces.
+ */
+const setPokewalletMatch = async (req, res) => {
+  try {
+    const { pokewalletId, query, reason } = req.body;
+
+    if (pokewalletId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'pokewalletId is required (null for no match)',
+      });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when changing a match',
+      });
+    }
+
+    const card = await Card.findOne({ externalId: req.params.externalId }).select('externalId name cardNumber pokewallet');
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found',
+      });
+    }
+
+    let match = null;
+    if (pokewalletId) {
+      const candidates = await getMechanicsCandidates(query || card.name, card.name, card.cardNumber);
+      const candidate = candidates.find((c) => c.pokewalletId === pokewalletId);
+
+      if (!candidate) {
+        return res.status(400).json({
+          success: false,
+          message: 'That Pokewallet card is not in the search results - try a different query',
+        });
+      }
+
+      // Set by hand, so there's nothing to be unsure about
+      match = { mechanics: candidate.mechanics, pokewalletId, confidence: 1 };
+    }
+
+    const previous = { pokewalletId: card.pokewallet.id, confidence: card.pokewallet.confidence };
+    await saveMechanicsMatch(card.externalId, match, 'admin');
+
+    await logAction(req.user._id, 'fix_mechanics_match', 'Card', card._id, reason.trim(), {
+      card: card.externalId,
+      previous,
+      pokewalletId: pokewalletId || '',
+    });
+
+    const updated = await Card.findById(card._id).select('externalId name cardNumber pokewallet');
+
+    res.json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return res.status(503).json({ success: false, message: error.message, upstream: error.upstream });
+    }
+    console.error('SetPokewalletMatch error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to change Pokewallet match',
+    });
+  }
+};
+
+/**
+ * @desc    Set the extra printings a card comes in
+ * @route   PUT /api/admin/cards/:externalId/variants
+ * @access  Private (admin)
+ *
+ * Body: { extraVariants: ['shadowless', 'stampedPromo'], reason }
+ * For printings the card's provider doesn't know about, so users can pick
+ * them for collection entries, listings and wishlists. Replaces the whole
+ * list - send [] to clear it. The provider's own variants aren't touched.
+ */
+const setCardVariants = async (req, res) => {
+  try {
+    const { extraVariants, reason } = req.body;
+
+    if (!Array.isArray(extraVariants) || extraVariants.some((variant) => !CARD_VARIANTS.includes(variant))) {
+      return res.status(400).json({
+        success: false,
+        message: `extraVariants must be a list of: ${CARD_VARIANTS.join(', ')}`,
+      });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required when changing a card's variants",
+      });
+    }
+
+    const card = await Card.findOne({ externalId: req.params.externalId }).select('externalId name variants extraVariants');
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found',
+      });
+    }
+
+    const previous = [...card.extraVariants];
+    card.extraVariants = mergeVariants(extraVariants);
+    await card.save();
+
+    await logAction(req.user._id, 'set_card_variants', 'Card', card._id, reason.trim(), {
+      card: card.externalId,
+      previous,
+      extraVariants: card.extraVariants,
+    });
+
+    res.json({
+      success: true,
+      data: card,
+    });
+  } catch (error) {
+    console.error('SetCardVariants error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to set card variants',
+    });
+  }
+};
+
+module.exports = {
+  hideListing,
+  unhideListing,
+  removeReview,
+  restoreReview,
+  suspendUser,
+  unsuspendUser,
+  updateUserRole,
+  getModerationActions,
+  getPriceSnapshots,
+  runPriceSnapshotNow,
+  getApiCache,
+  clearApiCache,
+  getUpstreams,
+  importPrices,
+  addManualPrice,
+  correctPrice,
+  getPokewalletMatches,
+  getPokewalletCandidates,
+  setPokewalletMatch,
+  setCardVariants,
+};
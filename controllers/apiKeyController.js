@@ -0,0 +1,198 @@
+/**
+ * API Key Controller
+ *
+ * Lets users create, list and delete their personal API keys.
+ * These routes only use protect (not requireScope), so an API key can't
+ * be used to create more API keys - you have to be properly logged in.
+ */
+
+const ApiKey = require('../models/ApiKey');
+const { API_SCOPES, SCOPE_NAMES } = require('../config/apiScopes');
+const { generateApiKey } = require('../utils/apiKeys');
+
+// Keeps the list manageable and limits the damage of a compromised login
+const MAX_ACTIVE_KEYS = 10;
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * Shape an ApiKey for responses (never includes the hash)
+ */
+const formatApiKey = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * @desc    List the scopes an API key can have
+ * @route   GET /api/users/me/api-keys/scopes
+ * @access  Private
+ */
+const getApiScopes = async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(API_SCOPES).map(([scope, description]) => ({ scope, description })),
+  });
+};
+
+/**
+ * @desc    List my API keys (active ones)
+ * @route   GET /api/users/me/api-keys
+ * @access  Private
+ */
+const getMyApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(formatApiKey),
+    });
+  } catch (error) {
+    console.error('GetMyApiKeys error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get API keys',
+    });
+  }
+};
+
+/**
+ * @desc    Create an API key
+ * @route   POST /api/users/me/api-keys
+ * @access  Private
+ *
+ * Body: { name, scopes: ['collection:read', ...], expiresInDays }
+ * The full key is only in this response - we can't show it again later.
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    // typeof first - trim() on a number or object would throw and give a 500
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give the API key a name',
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose at least one scope',
+      });
+    }
+
+    const unknown = scopes.filter((scope) => !SCOPE_NAMES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scope: ${unknown.join(', ')}`,
+      });
+    }
+
+    const days = parseInt(expiresInDays);
+    if (!days || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`,
+      });
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_KEYS} API keys - delete one first`,
+      });
+    }
+
+    const { key, keyHash, prefix } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      user: req.user._id,
+      name,
+      keyHash,
+      prefix,
+      // Remove duplicates in case the same scope was sent twice
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Copy this key now - you won't be able to see it again",
+      data: {
+        ...formatApiKey(apiKey),
+        key,
+      },
+    });
+  } catch (error) {
+    console.error('CreateApiKey error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create API key',
+    });
+  }
+};
+
+/**
+ * @desc    Delete (revoke) an API key
+ * @route   DELETE /api/users/me/api-keys/:id
+ * @access  Private (key owner only)
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key deleted',
+    });
+  } catch (error) {
+    console.error('RevokeApiKey error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete API key',
+    });
+  }
+};
+
+module.exports = {
+  getApiScopes,
+  getMyApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -4,17 +4,44 @@
  * Handles the token exchange for social login (Google, X, Apple).
  * The frontend gets an access token from Auth0 after the redirect flow,
  * then sends it here. We verify it, find or create a local user,
- * and return our own JWT so the rest of the app works the same.
+ * and start one of our own sessions (access token + refresh token)
+ * so the rest of the app works the same.
  *
  * I spent a while figuring out how JWKS works - basically Auth0 signs
  * tokens with a private key, and we fetch the matching public key
  * to verify the signature. The jwks-rsa library handles all of that.
+ *
+ * Account linking: if a social login has the same email as an existing
+ * account, we do NOT link them automatically anymore. The provider has to
+ * say the email is verified, and the owner of the existing account has to
+ * confirm - by re-entering their password or clicking an emailed link.
+ * Otherwise anyone who could get a social account with your email on it
+ * could log into your CardVault account.
+ *
+ * Confirming a link starts a session, so for accounts with 2FA turned on
+ * it doesn't finish until the authenticator code is checked too - same
+ * as a normal password login. Otherwise linking a social account would
+ * be a way around 2FA.
+ *
+ * Someone already logged in can link a provider straight away with
+ * POST /api/users/me/identities (linkIdentity below).
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const jwksClient = require('jwks-rsa');
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
+const IdentityLink = require('../models/IdentityLink');
+const { createSession, hashToken, getClientInfo } = require('../utils/sessions');
+const { sendIdentityLinkEmail } = require('../utils/mailer');
+const { checkLoginThrottle, recordLoginFailure } = require('../utils/loginThrottle');
+const { sendTooManyRequests } = require('../middleware/rateLimit');
+
+// Pending link requests expire after 30 minutes
+const LINK_EXPIRY_MS = 30 * 60 * 1000;
+
+// How long the user has to type in their 2FA code (same as a normal login)
+const MFA_TOKEN_EXPIRE = '5m';
 
 // Set up a client that fetches Auth0's public signing keys
 // cache and rateLimit prevent us from hitting Auth0 too often
@@ -34,10 +61,193 @@ function getKey(header, callback) {
   });
 }
 
+/**
+ * Verify an Auth0 access token using their public keys
+ * This makes sure the token is legit and wasn't tampered with
+ *
+ * @param {string} accessToken
+ * @returns {Promise<Object>} The decoded token
+ * @throws If the token is invalid or expired
+ */
+function verifyAuth0Token(accessToken) {
+  return new Promise((resolve, reject) => {
+    jwt.verify(
+      accessToken,
+      getKey,
+      {
+        audience: process.env.AUTH0_AUDIENCE,
+        issuer: `https://${process.env.AUTH0_DOMAIN}/`,
+        algorithms: ['RS256'],
+      },
+      (err, decoded) => {
+        if (err) reject(err);
+        else resolve(decoded);
+      }
+    );
+  });
+}
+
+/**
+ * Fetch the user's profile info from Auth0's userinfo endpoint
+ * This gives us their name, email, picture, etc.
+ */
+async function fetchUserInfo(accessToken) {
+  const userinfoResponse = await fetch(`https://${process.env.AUTH0_DOMAIN}/userinfo`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  return userinfoResponse.json();
+}
+
+/**
+ * Figure out which social provider was used based on the sub claim
+ * It looks like "google-oauth2|123456789" or "twitter|987654321"
+ *
+ * @param {string} auth0Id - The Auth0 sub claim
+ * @returns {string|null} 'google', 'twitter', 'apple', or null if unsupported
+ */
+function getProviderFromSub(auth0Id) {
+  if (auth0Id.startsWith('google-oauth2')) return 'google';
+  if (auth0Id.startsWith('twitter')) return 'twitter';
+  if (auth0Id.startsWith('apple')) return 'apple';
+  return null;
+}
+
+/**
+ * Find the user a social identity belongs to
+ *
+ * Older accounts stored a single auth0Id on the user. If we find one of
+ * those, I move it into the identities array so it shows up in the
+ * identities list and can be unlinked like the others.
+ *
+ * @param {string} auth0Id - The Auth0 sub claim
+ * @param {string} provider - Provider name for the identity
+ * @returns {Promise<Object|null>} The user, or null
+ */
+async function findUserByIdentity(auth0Id, provider) {
+  const user = await User.findOne({ 'identities.auth0Id': auth0Id });
+  if (user) return user;
+
+  const legacyUser = await User.findOne({ auth0Id });
+  if (!legacyUser) return null;
+
+  legacyUser.identities.push({ auth0Id, provider, email: legacyUser.email });
+  legacyUser.auth0Id = undefined;
+  await legacyUser.save();
+
+  return legacyUser;
+}
+
+/**
+ * Attach a pending identity link to its user and clean up the request
+ *
+ * @param {Object} link - IdentityLink document
+ * @returns {Promise<Object|null>} The updated user, or null if it's gone
+ */
+async function completeIdentityLink(link) {
+  const user = await User.findById(link.user);
+  if (!user) return null;
+
+  const alreadyLinked = user.identities.some((i) => i.auth0Id === link.auth0Id);
+  if (!alreadyLinked) {
+    user.identities.push({
+      auth0Id: link.auth0Id,
+      provider: link.provider,
+      email: link.email,
+    });
+    await user.save();
+  }
+
+  await IdentityLink.deleteMany({ auth0Id: link.auth0Id });
+
+  return user;
+}
+
+/**
+ * Send the same login response shape as authController.login
+ */
+function sendLoginResponse(res, user, { token, refreshToken }) {
+  res.json({
+    success: true,
+    data: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      bio: user.bio,
+      favoriteGames: user.favoriteGames,
+      preferredLanguage: user.preferredLanguage,
+      avatar: user.avatar,
+      authProvider: user.authProvider,
+      role: user.role,
+      createdAt: user.createdAt,
+    },
+    token,
+    refreshToken,
+  });
+}
+
+/**
+ * Finish a confirmed link - or, if the account has 2FA, ask for the code first
+ *
+ * The challenge token says which link it's for, so /social/link/2fa can
+ * finish it once the code checks out.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} link - IdentityLink document the owner just confirmed
+ */
+async function finishIdentityLink(req, res, link) {
+  const owner = await User.findById(link.user);
+  if (!owner) {
+    return res.status(404).json({
+      success: false,
+      message: 'Account not found',
+    });
+  }
+
+  if (owner.twoFactor && owner.twoFactor.enabled) {
+    const mfaToken = jwt.sign(
+      { id: owner._id, purpose: 'mfa_link', linkId: link._id },
+      process.env.JWT_SECRET,
+      { expiresIn: MFA_TOKEN_EXPIRE }
+    );
+
+    return res.json({
+      success: true,
+      mfaRequired: true,
+      mfaToken,
+    });
+  }
+
+  const user = await completeIdentityLink(link);
+  const tokens = await createSession(user, req, link.provider);
+
+  sendLoginResponse(res, user, tokens);
+}
+
+/**
+ * Look up a pending link by the token from POST /api/auth/social
+ *
+ * @param {string} linkToken - Raw link token
+ * @returns {Promise<Object|null>}
+ */
+async function findPendingLink(linkToken) {
+  if (!linkToken || typeof linkToken !== 'string') return null;
+
+  return IdentityLink.findOne({
+    tokenHash: hashToken(linkToken),
+    expiresAt: { $gt: new Date() },
+  });
+}
+
 /**
  * @desc    Exchange Auth0 access token for our app JWT
  * @route   POST /api/auth/social
  * @access  Public
+ *
+ * If the email belongs to an existing account that this identity isn't
+ * linked to yet, this responds with 409 and a linkToken instead of
+ * logging in. The frontend then asks the user to confirm the link.
  */
 const socialLogin = async (req, res) => {
   try {
@@ -50,58 +260,66 @@ const socialLogin = async (req, res) => {
       });
     }
 
-    // Verify the Auth0 access token using their public keys
-    // This makes sure the token is legit and wasn't tampered with
-    const decoded = await new Promise((resolve, reject) => {
-      jwt.verify(
-        accessToken,
-        getKey,
-        {
-          audience: process.env.AUTH0_AUDIENCE,
-          issuer: `https://${process.env.AUTH0_DOMAIN}/`,
-          algorithms: ['RS256'],
-        },
-        (err, decoded) => {
-          if (err) reject(err);
-          else resolve(decoded);
-        }
-      );
-    });
+    const decoded = await verifyAuth0Token(accessToken);
 
     // The 'sub' claim tells us who this user is and which provider they used
-    // It looks like "google-oauth2|123456789" or "twitter|987654321"
     const auth0Id = decoded.sub;
+    const authProvider = getProviderFromSub(auth0Id);
 
-    // Fetch the user's profile info from Auth0's userinfo endpoint
-    // This gives us their name, email, picture, etc.
-    const userinfoResponse = await fetch(
-      `https://${process.env.AUTH0_DOMAIN}/userinfo`,
-      { headers: { Authorization: `Bearer ${accessToken}` } }
-    );
-    const userInfo = await userinfoResponse.json();
-
-    // Figure out which social provider they used based on the sub claim
-    let authProvider = 'local';
-    if (auth0Id.startsWith('google-oauth2')) authProvider = 'google';
-    else if (auth0Id.startsWith('twitter')) authProvider = 'twitter';
-    else if (auth0Id.startsWith('apple')) authProvider = 'apple';
-
-    // Try to find an existing user - check both auth0Id and email
-    // Checking email too handles the case where someone signed up with
-    // email/password first and later tries Google with the same email
-    let user = await User.findOne({
-      $or: [{ auth0Id }, { email: userInfo.email }],
-    });
+    if (!authProvider) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported social login provider',
+      });
+    }
+
+    const userInfo = await fetchUserInfo(accessToken);
+
+    // Returning user - this identity is already linked to an account
+    let user = await findUserByIdentity(auth0Id, authProvider);
+
+    if (!user && userInfo.email) {
+      // Is there already an account using this email?
+      const existing = await User.findOne({ email: userInfo.email.toLowerCase() }).select('+password');
+
+      if (existing) {
+        // Only offer linking when the provider has verified the email.
+        // An unverified email on a social account proves nothing - the
+        // owner can still link it after logging in (POST /api/users/me/identities).
+        if (userInfo.email_verified !== true) {
+          return res.status(409).json({
+            success: false,
+            message:
+              'An account with this email already exists. Log in with your password, then link this provider from your account settings.',
+          });
+        }
+
+        // Create a pending link - the existing account owner has to confirm it
+        const linkToken = crypto.randomBytes(32).toString('hex');
+        await IdentityLink.create({
+          user: existing._id,
+          auth0Id,
+          provider: authProvider,
+          email: userInfo.email,
+          tokenHash: hashToken(linkToken),
+          expiresAt: new Date(Date.now() + LINK_EXPIRY_MS),
+        });
 
-    if (user) {
-      // User exists - if they don't have an auth0Id yet, link the accounts
-      // This means their email/password account is now also connected to Google
-      if (!user.auth0Id) {
-        user.auth0Id = auth0Id;
-        user.authProvider = authProvider;
-        await user.save();
+        return res.status(409).json({
+          success: false,
+          linkRequired: true,
+          message: `An account with this email already exists. Confirm it's yours to link ${authProvider}.`,
+          data: {
+            linkToken,
+            provider: authProvider,
+            // Social-only accounts don't have a password, so they can only confirm by email
+            canConfirmWithPassword: Boolean(existing.password),
+          },
+        });
       }
-    } else {
+    }
+
+    if (!user) {
       // Brand new user from social login - create their account
       // Generate a username from their Auth0 profile info
       const baseUsername = (
@@ -123,37 +341,361 @@ const socialLogin = async (req, res) => {
       user = await User.create({
         username,
         email: userInfo.email,
-        auth0Id,
+        identities: [{ auth0Id, provider: authProvider, email: userInfo.email }],
         authProvider,
         avatar: userInfo.picture || '',
+        // Trust the provider's verification (Google etc. already confirmed the address)
+        emailVerified: userInfo.email_verified === true,
+      });
+    }
+
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended',
+        suspendedUntil: user.suspension.suspendedUntil,
+      });
+    }
+
+    // Start our own session - from here on everything works the same
+    // as if they logged in with email/password (including refresh/logout)
+    const tokens = await createSession(user, req, authProvider);
+
+    sendLoginResponse(res, user, tokens);
+  } catch (error) {
+    console.error('Social login error:', error);
+    res.status(401).json({
+      success: false,
+      message: 'Social authentication failed',
+    });
+  }
+};
+
+/**
+ * @desc    Confirm a pending social link by re-entering the account password
+ * @route   POST /api/auth/social/link
+ * @access  Public (linkToken + password are the credentials)
+ *
+ * Accounts with 2FA get { mfaRequired: true, mfaToken } back instead of a
+ * session, and the link is finished by /social/link/2fa.
+ */
+const linkWithPassword = async (req, res) => {
+  try {
+    const { linkToken, password } = req.body;
+
+    if (!linkToken || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link token and password are required',
+      });
+    }
+
+    const link = await findPendingLink(linkToken);
+    if (!link) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link request is invalid or has expired, please sign in again',
+      });
+    }
+
+    const existing = await User.findById(link.user).select('+password');
+    if (!existing) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password',
       });
     }
 
-    // Generate our own JWT - from here on everything works the same
-    // as if they logged in with email/password
-    const token = generateToken(user._id);
+    // This is a password check like login, so it shares the same lockout -
+    // otherwise /social/link would be a way around it
+    const { ip } = getClientInfo(req);
+    const throttle = await checkLoginThrottle(existing.email, ip);
+    if (throttle.locked) {
+      return sendTooManyRequests(
+        res,
+        throttle.retryAfterSeconds,
+        'Too many failed login attempts, please try again later'
+      );
+    }
+
+    if (!existing.password || !(await existing.comparePassword(password))) {
+      await recordLoginFailure(existing.email, ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password',
+      });
+    }
+
+    await finishIdentityLink(req, res, link);
+  } catch (error) {
+    console.error('LinkWithPassword error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to link account',
+    });
+  }
+};
+
+/**
+ * @desc    Email the existing account owner a link to confirm a social link
+ * @route   POST /api/auth/social/link/email
+ * @access  Public (linkToken is the credential)
+ *
+ * The email goes to the address on the EXISTING account, so only the
+ * real owner can confirm it.
+ */
+const requestLinkEmail = async (req, res) => {
+  try {
+    const { linkToken } = req.body;
+
+    const link = await findPendingLink(linkToken);
+    if (!link) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link request is invalid or has expired, please sign in again',
+      });
+    }
+
+    const user = await User.findById(link.user);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found',
+      });
+    }
+
+    const emailToken = crypto.randomBytes(32).toString('hex');
+    link.emailTokenHash = hashToken(emailToken);
+    await link.save();
+
+    await sendIdentityLinkEmail(user, link.provider, emailToken);
 
     res.json({
+      success: true,
+      message: 'Check your email to confirm linking your account',
+    });
+  } catch (error) {
+    console.error('RequestLinkEmail error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to send link email',
+    });
+  }
+};
+
+/**
+ * @desc    Confirm a pending social link from the emailed link
+ * @route   POST /api/auth/social/link/confirm
+ * @access  Public (the emailed token is the credential)
+ *
+ * Like linkWithPassword, accounts with 2FA still have to enter their code.
+ */
+const confirmLinkEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation token is required',
+      });
+    }
+
+    const link = await IdentityLink.findOne({
+      emailTokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!link) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation link is invalid or has expired',
+      });
+    }
+
+    await finishIdentityLink(req, res, link);
+  } catch (error) {
+    console.error('ConfirmLinkEmail error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to confirm account link',
+    });
+  }
+};
+
+/**
+ * @desc    Finish a social link for an account with 2FA - check the code
+ * @route   POST /api/auth/social/link/2fa
+ * @access  Public (the mfaToken from /social/link or /social/link/confirm is the credential)
+ *
+ * Accepts either { mfaToken, code } or { mfaToken, recoveryCode }, like /login/2fa.
+ */
+const verifyLinkTwoFactor = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a code are required',
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+    } catch (jwtErr) {
+      decoded = null;
+    }
+
+    // Only a link challenge works here - not a login challenge or an access token
+    if (!decoded || decoded.purpose !== 'mfa_link') {
+      return res.status(401).json({
+        success: false,
+        message: 'Link challenge expired, please sign in again',
+      });
+    }
+
+    const link = await IdentityLink.findOne({
+      _id: decoded.linkId,
+      user: decoded.id,
+      expiresAt: { $gt: new Date() },
+    });
+    const user = link
+      ? await User.findById(link.user).select(
+          '+twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep'
+        )
+      : null;
+
+    if (!user || user.isSuspended()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Link challenge expired, please sign in again',
+      });
+    }
+
+    // Wrong codes count toward the same lockout as wrong passwords
+    const { ip } = getClientInfo(req);
+    const throttle = await checkLoginThrottle(user.email, ip);
+    if (throttle.locked) {
+      return sendTooManyRequests(
+        res,
+        throttle.retryAfterSeconds,
+        'Too many failed login attempts, please try again later'
+      );
+    }
+
+    if (!user.checkTwoFactor({ code, recoveryCode })) {
+      await recordLoginFailure(user.email, ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    // Saves the used time step / removes the used recovery code
+    await user.save();
+
+    const linkedUser = await completeIdentityLink(link);
+    const tokens = await createSession(linkedUser, req, link.provider);
+
+    sendLoginResponse(res, linkedUser, tokens);
+  } catch (error) {
+    console.error('VerifyLinkTwoFactor error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to link account',
+    });
+  }
+};
+
+/**
+ * @desc    Link a social login provider to the account you're logged in to
+ * @route   POST /api/users/me/identities
+ * @access  Private
+ *
+ * Body: { accessToken } - the Auth0 access token from logging in with the
+ * provider. Being logged in is the proof that the account is yours, so
+ * unlike the /social/link flows this doesn't need the provider to have
+ * verified the email.
+ */
+const linkIdentity = async (req, res) => {
+  try {
+    const { accessToken } = req.body;
+
+    if (!accessToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Access token is required',
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyAuth0Token(accessToken);
+    } catch (verifyErr) {
+      return res.status(401).json({
+        success: false,
+        message: 'Social authentication failed',
+      });
+    }
+
+    const auth0Id = decoded.sub;
+    const provider = getProviderFromSub(auth0Id);
+
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported social login provider',
+      });
+    }
+
+    // Includes older accounts that still have the single auth0Id field
+    const owner = await User.findOne({ $or: [{ 'identities.auth0Id': auth0Id }, { auth0Id }] });
+    if (owner) {
+      const isMine = owner._id.toString() === req.user._id.toString();
+      return res.status(isMine ? 400 : 409).json({
+        success: false,
+        message: isMine
+          ? `This ${provider} account is already linked to your account`
+          : `This ${provider} account is already linked to another CardVault account`,
+      });
+    }
+
+    const userInfo = await fetchUserInfo(accessToken);
+
+    const user = await User.findById(req.user._id);
+    user.identities.push({ auth0Id, provider, email: userInfo.email || '' });
+    await user.save();
+
+    // Any pending link for this identity (from an earlier social login) is done with
+    await IdentityLink.deleteMany({ auth0Id });
+
+    const identity = user.identities[user.identities.length - 1];
+
+    res.status(201).json({
       success: true,
       data: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        bio: user.bio,
-        favoriteGames: user.favoriteGames,
-        avatar: user.avatar,
-        authProvider: user.authProvider,
-        createdAt: user.createdAt,
+        _id: identity._id,
+        provider: identity.provider,
+        email: identity.email,
+        linkedAt: identity.linkedAt,
       },
-      token,
     });
   } catch (error) {
-    console.error('Social login error:', error);
-    res.status(401).json({
+    console.error('LinkIdentity error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Social authentication failed',
+      message: error.message || 'Failed to link account',
     });
   }
 };
 
-module.exports = { socialLogin };
+module.exports = {
+  socialLogin,
+  linkWithPassword,
+  requestLinkEmail,
+  confirmLinkEmail,
+  verifyLinkTwoFactor,
+  linkIdentity,
+};
@@ -1,13 +1,65 @@
 /**
  * Auth Controller
  *
- * Handles user registration, login, and logout.
+ * Handles user registration, login, token refresh, logout, email
+ * verification, and password resets.
  * I learned to keep the business logic in controllers, separate from routes.
  * This makes the code more organized and easier to test.
+ *
+ * Logging in creates a Session and returns two tokens: a short-lived
+ * access token (JWT) and a refresh token. The client sends the refresh
+ * token to /refresh when the access token expires.
  */
 
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeOtherSessions,
+  hashToken,
+  getClientInfo,
+} = require('../utils/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mailer');
+const {
+  checkLoginThrottle,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../utils/loginThrottle');
+const { revokeUserApiKeys } = require('../utils/apiKeys');
+const { sendTooManyRequests } = require('../middleware/rateLimit');
+
+// How long the user has to type in their 2FA code after entering their password
+const MFA_TOKEN_EXPIRE = '5m';
+
+/**
+ * Helper: start a session and send the standard login response
+ * Used by both login steps so the response looks the same either way.
+ */
+const sendSessionResponse = async (req, res, user) => {
+  const { token, refreshToken } = await createSession(user, req, 'local');
+
+  res.json({
+    success: true,
+    data: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      bio: user.bio,
+      favoriteGames: user.favoriteGames,
+      preferredLanguage: user.preferredLanguage,
+      avatar: user.avatar,
+      authProvider: user.authProvider,
+      role: user.role,
+      twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+      createdAt: user.createdAt,
+    },
+    token,
+    refreshToken,
+  });
+};
 
 /**
  * @desc    Register a new user
@@ -43,8 +95,18 @@ const register = async (req, res) => {
       password,
     });
 
-    // Generate a JWT token for immediate login after registration
-    const token = generateToken(user._id);
+    // Send the verification email - registration still succeeds if this fails,
+    // the user can ask for a new link from /resend-verification
+    try {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailErr) {
+      console.warn('Failed to send verification email:', mailErr.message);
+    }
+
+    // Start a session for immediate login after registration
+    const { token, refreshToken } = await createSession(user, req, 'local');
 
     // Send back user data (without password) and the token
     res.status(201).json({
@@ -53,11 +115,15 @@ const register = async (req, res) => {
         _id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         favoriteGames: user.favoriteGames,
+        preferredLanguage: user.preferredLanguage,
         authProvider: user.authProvider,
+        role: user.role,
         createdAt: user.createdAt,
       },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -72,6 +138,9 @@ const register = async (req, res) => {
  * @desc    Login user
  * @route   POST /api/auth/login
  * @access  Public
+ *
+ * If the user has 2FA turned on, this is only step one - it returns
+ * { mfaRequired: true, mfaToken } and the tokens come from /login/2fa.
  */
 const login = async (req, res) => {
   try {
@@ -85,69 +154,219 @@ const login = async (req, res) => {
       });
     }
 
+    // Brute-force protection - too many recent failures for this
+    // account or this IP means we don't even check the password
+    const { ip } = getClientInfo(req);
+    const throttle = await checkLoginThrottle(email, ip);
+    if (throttle.locked) {
+      return sendTooManyRequests(
+        res,
+        throttle.retryAfterSeconds,
+        'Too many failed login attempts, please try again later'
+      );
+    }
+
     // Find user by email
     // Need to use .select('+password') because password has select: false in schema
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user) {
+    // Check if password matches using the instance method from our model
+    // Social-only accounts have no password, so they can't match either
+    const isMatch = user && user.password ? await user.comparePassword(password) : false;
+
+    if (!isMatch) {
+      // Same message (and same counting) whether or not the email exists
+      await recordLoginFailure(email, ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
-    // Check if password matches using the instance method from our model
-    const isMatch = await user.comparePassword(password);
+    // Don't let suspended users start new sessions
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended',
+        suspendedUntil: user.suspension.suspendedUntil,
+      });
+    }
 
-    if (!isMatch) {
+    // 2FA is on - don't log in yet. Hand back a short-lived challenge token
+    // that only works with /login/2fa. It has no session ID, so the protect
+    // middleware won't accept it as an access token.
+    // The failure counter is NOT cleared here - the password alone isn't a
+    // finished login, and clearing it would reset the lockout on code guesses.
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const mfaToken = jwt.sign(
+        { id: user._id, purpose: 'mfa' },
+        process.env.JWT_SECRET,
+        { expiresIn: MFA_TOKEN_EXPIRE }
+      );
+
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        mfaToken,
+      });
+    }
+
+    // Password matched and there's no 2FA - the login is done
+    await recordLoginSuccess(email);
+    await sendSessionResponse(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Login failed',
+    });
+  }
+};
+
+/**
+ * @desc    Second login step for users with 2FA - check the authenticator code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (the mfaToken from /login is the credential)
+ *
+ * Accepts either { mfaToken, code } or { mfaToken, recoveryCode }.
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a code are required',
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+    } catch (jwtErr) {
+      decoded = null;
+    }
+
+    // Make sure this really is a 2FA challenge token and not a normal access token
+    if (!decoded || decoded.purpose !== 'mfa') {
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password',
+        message: 'Login challenge expired, please log in again',
       });
     }
 
-    // Password matched - generate token
-    const token = generateToken(user._id);
+    const user = await User.findById(decoded.id).select(
+      '+twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep'
+    );
+
+    if (!user || user.isSuspended()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired, please log in again',
+      });
+    }
+
+    // Wrong codes count toward the same lockout as wrong passwords
+    const { ip } = getClientInfo(req);
+    const throttle = await checkLoginThrottle(user.email, ip);
+    if (throttle.locked) {
+      return sendTooManyRequests(
+        res,
+        throttle.retryAfterSeconds,
+        'Too many failed login attempts, please try again later'
+      );
+    }
+
+    if (!user.checkTwoFactor({ code, recoveryCode })) {
+      await recordLoginFailure(user.email, ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    // Saves the used time step / removes the used recovery code
+    await user.save();
+
+    await recordLoginSuccess(user.email);
+    await sendSessionResponse(req, res, user);
+  } catch (error) {
+    console.error('VerifyTwoFactorLogin error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Login failed',
+    });
+  }
+};
+
+/**
+ * @desc    Get a new access token using a refresh token
+ * @route   POST /api/auth/refresh
+ * @access  Public (the refresh token is the credential)
+ *
+ * The refresh token gets rotated every time, so the client has to
+ * store the new one from the response and throw the old one away.
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token, please log in again',
+      });
+    }
 
     res.json({
       success: true,
-      data: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        bio: user.bio,
-        favoriteGames: user.favoriteGames,
-        avatar: user.avatar,
-        authProvider: user.authProvider,
-        createdAt: user.createdAt,
-      },
-      token,
+      token: result.token,
+      refreshToken: result.refreshToken,
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh error:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Login failed',
+      message: error.message || 'Failed to refresh token',
     });
   }
 };
 
 /**
- * @desc    Logout user (client-side just deletes token, but this endpoint is here for future use)
+ * @desc    Logout user (revokes the current session)
  * @route   POST /api/auth/logout
  * @access  Private
+ *
+ * The access token and refresh token for this session both stop
+ * working right away - the protect middleware checks the session on
+ * every request, so there's no waiting for the JWT to expire.
  */
 const logout = async (req, res) => {
-  // With JWTs, logout is mainly client-side (delete the token)
-  // This endpoint could be used for:
-  // - Logging logout events
-  // - Invalidating tokens in a blacklist (more advanced)
-  // For now, just send a success response
+  try {
+    // req.authSession is set by the protect middleware
+    await revokeSession(req.authSession._id, 'logout');
 
-  res.json({
-    success: true,
-    message: 'Logged out successfully',
-  });
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Logout failed',
+    });
+  }
 };
 
 /**
@@ -173,9 +392,202 @@ const getMe = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Verify email address using the token from the verification email
+ * @route   POST /api/auth/verify-email
+ * @access  Public (the token is the credential)
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    // hashToken throws on anything that isn't a string ({ "token": 1 })
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required',
+      });
+    }
+
+    // Look the user up by the token hash - we never stored the raw token
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired',
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    console.error('VerifyEmail error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to verify email',
+    });
+  }
+};
+
+/**
+ * @desc    Send a new verification email to the logged in user
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    // Making a new token replaces the old one, so older links stop working
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('ResendVerification error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to send verification email',
+    });
+  }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ *
+ * Always returns the same response whether the email exists or not.
+ * I learned that saying "no account with that email" lets people
+ * figure out who has an account, which is a privacy leak.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email',
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailErr) {
+        // Still respond normally so the response doesn't reveal anything
+        console.warn('Failed to send password reset email:', mailErr.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent',
+    });
+  } catch (error) {
+    console.error('ForgotPassword error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to start password reset',
+    });
+  }
+};
+
+/**
+ * @desc    Set a new password using the token from the reset email
+ * @route   POST /api/auth/reset-password
+ * @access  Public (the token is the credential)
+ *
+ * Resetting the password signs the user out everywhere and revokes their
+ * API keys - if someone else had access to the account, they get kicked
+ * out too (a key they made would keep working otherwise).
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and new password are required',
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+      });
+    }
+
+    // Hashing happens in the pre-save hook
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+
+    // They clicked a link sent to their inbox, so the email is theirs
+    user.emailVerified = true;
+    await user.save();
+
+    await revokeOtherSessions(user._id, null, 'password_reset');
+    const revokedApiKeys = await revokeUserApiKeys(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in with your new password',
+      revokedApiKeys,
+    });
+  } catch (error) {
+    console.error('ResetPassword error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to reset password',
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  refresh,
   logout,
   getMe,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
 };
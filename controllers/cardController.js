@@ -8,43 +8,303 @@
  * I originally used JustTCG for pricing but it turned out to be unreliable -
  * no images, no direct card lookups. TCGdex has it all.
  *
- * Note: TCGdex is Pokemon TCG only, which works for this project.
+ * TCGdex is Pokemon TCG only, so the other games get their cards from
+ * other providers (see utils/cardProviders.js) - every route takes
+ * ?game= (default pokemon) and asks that game's provider. Magic comes
+ * from a Scryfall bulk data file imported with `npm run sync-scryfall`.
+ *
+ * Search is the exception - it runs against our own copy of the catalog
+ * (see utils/catalogSync.js) so it's fast and works when TCGdex is down.
+ * Games that haven't been synced into the catalog are searched through
+ * their provider instead.
  */
 
-const axios = require('axios');
 const Card = require('../models/Card');
+const CardSet = require('../models/CardSet');
 const PriceHistory = require('../models/PriceHistory');
-const tcgdex = require('../utils/tcgdexApi');
-const { getCardMechanics } = require('../utils/pokemonTcgApi');
+const { DEFAULT_GAME, getProvider, getProviderGames } = require('../utils/cardProviders');
+const { getMechanicsForCard } = require('../utils/cardMechanics');
+const { parsePriceGrade } = require('../utils/grading');
+const {
+  INTERVAL_UNITS,
+  resolveDateRange,
+  parseMovingAverages,
+  getPriceCandles,
+  getAllTimeExtremes,
+} = require('../utils/priceSeries');
+const {
+  formatCatalogCard,
+  formatCatalogSet,
+  compareCardNumbers,
+  getLocalizedName,
+  mergeVariants,
+} = require('../utils/cardCatalog');
+const { DEFAULT_LANGUAGE, getRequestLanguage } = require('../config/languages');
+const { request, UpstreamError } = require('../utils/httpClient');
+
+// Escape regex special characters so a search like "Pikachu (V)" is taken literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a comma-separated query param ("Fire,Water") into a list
+const parseList = (value) =>
+  String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Turn a list into an exact, case-insensitive match ("fire" finds "Fire")
+const exactMatch = (values) => ({
+  $in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i')),
+});
+
+// Query params for each advanced search filter
+const FILTER_PARAMS = [
+  'type',
+  'hpMin',
+  'hpMax',
+  'stage',
+  'rarity',
+  'set',
+  'illustrator',
+  'regulationMark',
+  'category',
+  'attack',
+  'ability',
+  'damageMin',
+  'damageMax',
+  'weakness',
+];
+
+// Allowed sort options, same idea as the listings search
+const SEARCH_SORTS = {
+  name: { name: 1, setCode: 1 },
+  hp: { hp: 1, name: 1 },
+  '-hp': { hp: -1, name: 1 },
+  newest: { setCode: -1, cardNumber: 1 },
+};
+
+/**
+ * Build the Mongo filter for an advanced card search
+ *
+ * Every filter is optional and they all combine with AND, so
+ * ?weakness=Fighting&stage=Basic&hpMin=120 finds Fighting-weak Basic
+ * Pokemon with 120+ HP. Lists like type=Fire,Water match any of them.
+ *
+ * The attack name and damage filters go in one $elemMatch so they have
+ * to match the SAME attack - otherwise "Thunderbolt" with damageMin=200
+ * would match a card with a weak Thunderbolt and a different 200 attack.
+ *
+ * The name search also looks at the localized names when searching in
+ * another language, so "Dracaufeu" finds Charizard for French users.
+ *
+ * @param {Object} params - Query params (q plus anything in FILTER_PARAMS)
+ * @param {string} lang - Language the user is searching in
+ * @param {string} [game] - Which game's cards to search
+ * @returns {Object} Mongo filter for Card.find
+ */
+const buildCatalogFilter = (params, lang, game = DEFAULT_GAME) => {
+  const filter = {
+    game,
+    // Same as the TCGdex search - cards without images aren't useful in results
+    imageUrl: { $ne: '' },
+  };
+
+  if (params.q) {
+    const nameMatch = { $regex: escapeRegex(params.q), $options: 'i' };
+    if (lang === DEFAULT_LANGUAGE) {
+      filter.name = nameMatch;
+    } else {
+      filter.$or = [{ name: nameMatch }, { [`localizedNames.${lang}`]: nameMatch }];
+    }
+  }
+  if (params.type) filter.types = exactMatch(parseList(params.type));
+  if (params.stage) filter.stage = exactMatch(parseList(params.stage).map((s) => s.replace(/\s+/g, '')));
+  if (params.rarity) filter.rarity = exactMatch(parseList(params.rarity));
+  if (params.set) filter.setCode = { $in: parseList(params.set) };
+  if (params.regulationMark) filter.regulationMark = exactMatch(parseList(params.regulationMark));
+  if (params.category) filter.category = exactMatch(parseList(params.category));
+  if (params.weakness) filter['weaknesses.type'] = exactMatch(parseList(params.weakness));
+  if (params.illustrator) {
+    filter.illustrator = { $regex: escapeRegex(params.illustrator), $options: 'i' };
+  }
+  if (params.ability) {
+    filter['abilities.name'] = { $regex: escapeRegex(params.ability), $options: 'i' };
+  }
+
+  const hpMin = parseInt(params.hpMin);
+  const hpMax = parseInt(params.hpMax);
+  if (!isNaN(hpMin) || !isNaN(hpMax)) {
+    filter.hp = {};
+    if (!isNaN(hpMin)) filter.hp.$gte = hpMin;
+    if (!isNaN(hpMax)) filter.hp.$lte = hpMax;
+  }
+
+  const attackMatch = {};
+  if (params.attack) attackMatch.name = { $regex: escapeRegex(params.attack), $options: 'i' };
+
+  const damageMin = parseInt(params.damageMin);
+  const damageMax = parseInt(params.damageMax);
+  if (!isNaN(damageMin) || !isNaN(damageMax)) {
+    attackMatch.damageValue = {};
+    if (!isNaN(damageMin)) attackMatch.damageValue.$gte = damageMin;
+    if (!isNaN(damageMax)) attackMatch.damageValue.$lte = damageMax;
+  }
+
+  if (Object.keys(attackMatch).length > 0) {
+    filter.attacks = { $elemMatch: attackMatch };
+  }
+
+  return filter;
+};
+
+// A game's catalog counts as synced once it has any sets in it
+const isCatalogReady = async (game = DEFAULT_GAME) => Boolean(await CardSet.exists({ game }));
 
 /**
- * @desc    Search Pokemon cards
+ * Get the card provider for the request's ?game= (default pokemon)
+ * Answers with a 400 for games we have no provider for, or a 503 if the
+ * provider isn't set up on this server, and returns null then.
+ */
+const getRequestProvider = (req, res) => {
+  const game = req.query.game || DEFAULT_GAME;
+  const provider = getProvider(game);
+
+  if (!provider) {
+    res.status(400).json({
+      success: false,
+      message: `game must be one of: ${getProviderGames().join(', ')}`,
+    });
+    return null;
+  }
+
+  if (!provider.isConfigured()) {
+    res.status(503).json({
+      success: false,
+      message: `${provider.label} card data is not set up on this server`,
+    });
+    return null;
+  }
+
+  return provider;
+};
+
+/**
+ * Answer with a 503 when TCGdex, Pokewallet or Google Vision is down
+ * (utils/httpClient.js throws an UpstreamError for that). Sets Retry-After
+ * when we know how long the circuit stays open.
+ */
+const sendUpstreamError = (res, error) => {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  return res.status(503).json({
+    success: false,
+    message: error.message,
+    upstream: error.upstream,
+  });
+};
+
+/**
+ * Search the local card catalog
+ *
+ * Falls back to searching the game's provider live if the catalog hasn't
+ * been synced for it yet (no sets in the database), so a fresh install
+ * still works. The fallback can only search by name - searchCards checks
+ * for that first.
+ *
+ * @param {Object} params - q and/or the filters in FILTER_PARAMS
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - Card provider for the game (default pokemon)
+ * @param {number} [options.limit] - Max results
+ * @param {number} [options.skip] - Results to skip (for paging)
+ * @param {string} [options.sort] - One of SEARCH_SORTS
+ * @param {string} [options.lang] - Language to search and show names in
+ * @returns {Promise<Object>} { cards, total } - total is null for the live fallback
+ */
+const searchCatalog = async (
+  params,
+  { limit = 20, skip = 0, sort = 'name', lang = DEFAULT_LANGUAGE, provider = getProvider() } = {}
+) => {
+  if (!(await isCatalogReady(provider.game))) {
+    const cards = await provider.searchCards(params.q, limit, lang);
+    return { cards, total: null };
+  }
+
+  const filter = buildCatalogFilter(params, lang, provider.game);
+
+  const [cards, total] = await Promise.all([
+    Card.find(filter)
+      .sort(SEARCH_SORTS[sort] || SEARCH_SORTS.name)
+      .skip(skip)
+      .limit(limit),
+    Card.countDocuments(filter),
+  ]);
+
+  return { cards: cards.map((card) => formatCatalogCard(card, lang)), total };
+};
+
+/**
+ * @desc    Search cards
  * @route   GET /api/cards/search
  * @access  Public
  *
- * Uses TCGdex to search by card name. Returns cards with images and
- * basic info. Pricing isn't included in search results (you need to
- * fetch the full card for that).
+ * Searches our local catalog (synced from TCGdex by utils/catalogSync.js)
+ * so results have set, rarity, types, HP, illustrator, attacks, weaknesses
+ * and the last synced price - and don't depend on TCGdex being up.
+ *
+ * q is the card name. It's optional as long as at least one filter is set:
+ *   type, stage, rarity, set, regulationMark, category, weakness
+ *     (comma-separated lists, e.g. type=Fire,Water)
+ *   hpMin, hpMax, illustrator, attack (attack name), ability (ability name),
+ *   damageMin, damageMax
+ *   sort (name, hp, -hp, newest), page, limit
+ *   lang (defaults to the user's preferred language, then English)
+ *   game (defaults to pokemon) - games without a synced catalog can only
+ *   be searched by name
+ *
+ * Example: /api/cards/search?weakness=Fighting&stage=Basic&hpMin=120
  */
 const searchCards = async (req, res) => {
   try {
-    const { q, limit = 20 } = req.query;
+    const { q, page = 1, limit = 20, sort } = req.query;
 
-    if (!q) {
+    const provider = getRequestProvider(req, res);
+    if (!provider) return;
+
+    const hasFilters = FILTER_PARAMS.some((param) => req.query[param]);
+    if (!q && !hasFilters) {
       return res.status(400).json({
         success: false,
-        message: 'Search query (q) is required',
+        message: 'Search query (q) or at least one filter is required',
+      });
+    }
+
+    // The live provider fallback only knows about names
+    if (hasFilters && !(await isCatalogReady(provider.game))) {
+      return res.status(503).json({
+        success: false,
+        message: `Search filters are not available until the ${provider.game} card catalog has been synced`,
       });
     }
 
-    const cards = await tcgdex.searchCards(q, parseInt(limit));
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const { cards, total } = await searchCatalog(req.query, {
+      limit: pageSize,
+      skip: (pageNumber - 1) * pageSize,
+      sort,
+      lang: getRequestLanguage(req),
+      provider,
+    });
 
     res.json({
       success: true,
       count: cards.length,
+      total,
+      page: pageNumber,
       data: cards,
     });
   } catch (error) {
+    if (error instanceof UpstreamError) return sendUpstreamError(res, error);
     console.error('SearchCards error:', error);
     res.status(500).json({
       success: false,
@@ -54,8 +314,116 @@ const searchCards = async (req, res) => {
 };
 
 /**
- * @desc    Get single card by TCGdex ID
- * @route   GET /api/cards/:id
+ * @desc    List every set in the catalog (newest first)
+ * @route   GET /api/cards/sets?series=Scarlet %26 Violet&game=pokemon
+ * @access  Public
+ *
+ * Games that haven't been synced into the catalog get their sets from
+ * the provider.
+ */
+const getSets = async (req, res) => {
+  try {
+    const { series } = req.query;
+
+    const provider = getRequestProvider(req, res);
+    if (!provider) return;
+
+    if (!(await isCatalogReady(provider.game))) {
+      const sets = (await provider.getSets())
+        .filter((set) => !series || set.series === series)
+        .sort((a, b) => (b.releaseDate || 0) - (a.releaseDate || 0) || a.name.localeCompare(b.name));
+
+      return res.json({
+        success: true,
+        count: sets.length,
+        data: sets,
+      });
+    }
+
+    const filter = { game: provider.game };
+    if (series) filter.series = series;
+
+    const sets = await CardSet.find(filter).sort({ releaseDate: -1, name: 1 });
+
+    res.json({
+      success: true,
+      count: sets.length,
+      data: sets.map(formatCatalogSet),
+    });
+  } catch (error) {
+    if (error instanceof UpstreamError) return sendUpstreamError(res, error);
+    console.error('GetSets error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get sets',
+    });
+  }
+};
+
+/**
+ * @desc    Get one set with all of its cards
+ * @route   GET /api/cards/sets/:setId
+ * @access  Public
+ *
+ * Cards come back in set order (1, 2, ... 10, not 1, 10, 2).
+ * ?game= picks the game, same as the set list.
+ */
+const getSetById = async (req, res) => {
+  try {
+    const provider = getRequestProvider(req, res);
+    if (!provider) return;
+
+    if (!(await isCatalogReady(provider.game))) {
+      const providerSet = await provider.getSet(req.params.setId, getRequestLanguage(req));
+
+      if (!providerSet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Set not found',
+        });
+      }
+
+      providerSet.cards.sort(compareCardNumbers);
+
+      return res.json({
+        success: true,
+        data: { ...providerSet, count: providerSet.cards.length },
+      });
+    }
+
+    const set = await CardSet.findOne({ externalId: req.params.setId, game: provider.game });
+
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Set not found',
+      });
+    }
+
+    const cards = await Card.find({ setCode: set.externalId, game: provider.game });
+    cards.sort(compareCardNumbers);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatCatalogSet(set),
+        count: cards.length,
+        cards: cards.map((card) => formatCatalogCard(card, getRequestLanguage(req))),
+      },
+    });
+  } catch (error) {
+    if (error instanceof UpstreamError) return sendUpstreamError(res, error);
+    console.error('GetSetById error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get set',
+    });
+  }
+};
+
+/**
+ * @desc    Get single card by its ID from the game's provider
+ * @route   GET /api/cards/:id?game=pokemon
  * @access  Public
  *
  * Returns full card details including high-quality image and pricing
@@ -66,14 +434,26 @@ const searchCards = async (req, res) => {
  * but Pokewallet uses its own ID system so I need the card name from TCGdex
  * first to search Pokewallet. So now it's sequential: TCGdex first, then
  * Pokewallet. The Pokewallet call is still wrapped in a try/catch so if it
- * fails the card page still loads with just TCGdex data.
+ * fails the card page still loads with just TCGdex data. Once a card has
+ * been matched the mechanics come from our Card instead.
+ *
+ * ?lang=fr gets the card from the French TCGdex API (name, attacks, etc.
+ * in French). Pokewallet only knows English names, so for other languages
+ * I look up the English name too and remember the translation on our Card.
+ *
+ * Pokewallet and the translations are Pokemon only - other games just get
+ * what their provider has.
  */
 const getCardById = async (req, res) => {
   try {
     const { id } = req.params;
+    const lang = getRequestLanguage(req);
+
+    const provider = getRequestProvider(req, res);
+    if (!provider) return;
 
-    // TCGdex is our primary source - get the card data first
-    const card = await tcgdex.getCardById(id);
+    // The provider is our primary source - get the card data first
+    const card = await provider.getCardById(id, lang);
 
     if (!card) {
       return res.status(404).json({
@@ -82,12 +462,43 @@ const getCardById = async (req, res) => {
       });
     }
 
-    // Now try to fetch mechanics from Pokewallet using the card name
+    card.lang = lang;
+    card.canonicalName = card.name;
+
+    // Shadowless and stamped promo printings are added by an admin on our
+    // Card - the provider doesn't know about them
+    const localVariants = await Card.findOne({ externalId: id }).select('extraVariants');
+    card.variants = mergeVariants(card.variants, localVariants?.extraVariants);
+
+    if (provider.game !== 'pokemon') {
+      return res.json({
+        success: true,
+        data: card,
+      });
+    }
+
+    if (lang !== DEFAULT_LANGUAGE) {
+      // Japanese-only cards have no English version, so keep the local name
+      const englishCard = await provider.getCardById(id);
+      if (englishCard) card.canonicalName = englishCard.name;
+
+      // Only fills in cards we already have - doesn't create new ones
+      await Card.updateOne({ externalId: id }, { $set: { [`localizedNames.${lang}`]: card.name } });
+    }
+
+    // Now get the mechanics - saved on our Card once it's been matched to
+    // Pokewallet, otherwise looked up by name and saved (utils/cardMechanics.js).
     // This is optional - if it fails the page still works without mechanics
     try {
-      const mechanics = await getCardMechanics(card.name, card.cardNumber);
-      if (mechanics) {
-        card.mechanics = mechanics;
+      const match = await getMechanicsForCard(id, card.canonicalName, card.cardNumber);
+      if (match) {
+        card.mechanics = match.mechanics;
+        // So the page can say when the match was only a guess
+        card.mechanicsMatch = {
+          pokewalletId: match.pokewalletId,
+          confidence: match.confidence,
+          matchedBy: match.matchedBy,
+        };
       }
     } catch (mechErr) {
       // Don't let mechanics failure break the whole response
@@ -99,6 +510,7 @@ const getCardById = async (req, res) => {
       data: card,
     });
   } catch (error) {
+    if (error instanceof UpstreamError) return sendUpstreamError(res, error);
     console.error('GetCardById error:', error);
     res.status(500).json({
       success: false,
@@ -107,81 +519,195 @@ const getCardById = async (req, res) => {
   }
 };
 
+/**
+ * Work out which price series a chart should show
+ *
+ * A card can have up to 7 series (TCGplayer normal/reverse holo/holofoil...,
+ * Cardmarket normal/holo), so mixing them would make the chart jump around.
+ * Without filters it picks the same series currentPrice uses everywhere
+ * else: TCGplayer, first variant of normal -> reverse holo -> holofoil.
+ *
+ * Graded slabs (?gradingCompany=PSA&grade=10) are their own series. Their
+ * prices only come from manual entries and imports, so source and variant
+ * are only filtered on when asked for, and there's no condition.
+ *
+ * @param {Object} query - variant, source, condition from the query string
+ * @param {Array} marketPrices - Current prices per series from TCGdex
+ * @param {Object|null} graded - { gradingCompany, grade } for a graded series
+ * @returns {Object} { source, variant, condition, gradingCompany, grade } -
+ *   variant is null when the source doesn't split prices by variant (old
+ *   'tcgdex' snapshots), the grading fields are null for raw cards
+ */
+const resolvePriceSeries = (query, marketPrices, graded = null) => {
+  if (graded) {
+    return {
+      source: query.source || null,
+      variant: query.variant || null,
+      condition: null,
+      ...graded,
+    };
+  }
+
+  const source =
+    query.source ||
+    (marketPrices.some((p) => p.source === 'tcgplayer') || marketPrices.length === 0
+      ? 'tcgplayer'
+      : 'cardmarket');
+
+  let variant = query.variant || null;
+  if (!variant && source !== 'tcgdex') {
+    variant = marketPrices.find((p) => p.source === source)?.variant || 'normal';
+  }
+
+  return {
+    source,
+    variant,
+    condition: query.condition || 'near_mint',
+    gradingCompany: null,
+    grade: null,
+  };
+};
+
 /**
  * @desc    Get price history for a card (for Chart.js)
- * @route   GET /api/cards/:id/price-history
+ * @route   GET /api/cards/:id/price-history?range=1y&interval=weekly&variant=holofoil&source=tcgplayer
  * @access  Public
  *
  * TCGdex gives us current pricing but not historical price data.
  * So I return the current price from TCGdex plus any history we've
- * stored locally in our PriceHistory collection. Over time, as users
- * view cards, we can build up price history by recording snapshots.
+ * stored locally in our PriceHistory collection, which the daily
+ * snapshot job fills in. Viewing a chart doesn't record anything - the
+ * current price here can come from the cache (up to a day old), and a
+ * stale price saved as today's snapshot would make the job skip the card.
+ *
+ * The history is for ONE series - a source (tcgplayer in USD, cardmarket
+ * in EUR), a variant and a condition - see resolvePriceSeries for the
+ * defaults. `available` lists the series TCGdex has prices for right now,
+ * so the frontend can offer a picker.
+ *
+ * Old snapshots from before variants were tracked are under source=tcgdex.
+ * ?gradingCompany=PSA&grade=10 shows a graded series instead - its current
+ * price is the latest one recorded, since TCGdex only prices raw cards.
+ *
+ * Range: ?range=7d|30d|90d|180d|1y|all (or the old ?duration=), or a custom
+ * ?from=&to=. ?interval=daily|weekly|monthly groups the snapshots into
+ * open/high/low/close candles, and ?ma=7,30 picks the moving averages.
+ * The candles and stats come from utils/priceSeries.js.
+ *
+ * If TCGdex is down the stored history is still returned, just without
+ * the current price - `currentPriceError` says why.
+ *
+ * ?game= picks where the current price comes from (Magic prices come
+ * from the last Scryfall import, in the same TCGplayer/Cardmarket series).
  */
 const getCardPriceHistory = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Parse the duration query param to figure out how far back to look
-    // The frontend sends values like '7d', '30d', '90d', '180d'
-    const durationMap = { '7d': 7, '30d': 30, '90d': 90, '180d': 180 };
-    const duration = req.query.duration || '30d';
-    const days = durationMap[duration] || 30;
+    const provider = getRequestProvider(req, res);
+    if (!provider) return;
+
+    // Reject unknown filters instead of quietly returning an empty chart
+    const filterChecks = [
+      ['source', PriceHistory.schema.path('source').enumValues],
+      ['variant', PriceHistory.schema.path('variant').enumValues],
+      ['condition', PriceHistory.schema.path('condition').enumValues],
+    ];
+    for (const [param, allowed] of filterChecks) {
+      const value = req.query[param];
+      if (value !== undefined && !allowed.includes(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `${param} must be one of: ${allowed.filter(Boolean).join(', ')}`,
+        });
+      }
+    }
 
-    // Calculate the start date for filtering history entries
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+    // Graded series need both the company and the grade
+    const priceGrade = parsePriceGrade(req.query.gradingCompany, req.query.grade);
+    if (priceGrade.error) {
+      return res.status(400).json({ success: false, message: priceGrade.error });
+    }
+    const graded = priceGrade.gradingCompany ? priceGrade : null;
 
-    // Get current pricing from TCGdex
-    const card = await tcgdex.getCardById(id);
+    // Figure out how far back to look and how to group the points
+    const dateRange = resolveDateRange(req.query);
+    if (dateRange.error) {
+      return res.status(400).json({ success: false, message: dateRange.error });
+    }
+
+    const interval = req.query.interval || 'daily';
+    if (!INTERVAL_UNITS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `interval must be one of: ${Object.keys(INTERVAL_UNITS).join(', ')}`,
+      });
+    }
+
+    const movingAverages = parseMovingAverages(req.query.ma);
+    if (!movingAverages) {
+      return res.status(400).json({
+        success: false,
+        message: 'ma must be up to 3 comma-separated window sizes between 2 and 365',
+      });
+    }
+
+    // Get current pricing from the provider (usually cached from the card page)
+    let card = null;
+    let currentPriceError = null;
+    try {
+      card = await provider.getCardById(id);
+    } catch (upstreamErr) {
+      if (!(upstreamErr instanceof UpstreamError)) throw upstreamErr;
+      currentPriceError = upstreamErr.message;
+    }
+    const marketPrices = card?.marketPrices || [];
+
+    const series = resolvePriceSeries(req.query, marketPrices, graded);
+    const seriesPrice = graded
+      ? null
+      : marketPrices.find((p) => p.source === series.source && p.variant === series.variant);
 
     // Check if we have any stored history in our local DB
     // Only grab entries within the requested time range
     let history = [];
+    let rangeStats = null;
+    let allTime = null;
     const localCard = await Card.findOne({ externalId: id });
 
+    // gradingCompany: null also matches prices from before grading existed
+    let seriesFilter = null;
     if (localCard) {
-      const priceEntries = await PriceHistory.find({
-        card: localCard._id,
-        date: { $gte: startDate },
-      }).sort({ date: 1 });
-
-      history = priceEntries.map((entry) => ({
-        date: entry.date,
-        price: entry.price,
-      }));
+      seriesFilter = { card: localCard._id, gradingCompany: series.gradingCompany };
+      if (series.source) seriesFilter.source = series.source;
+      if (series.variant) seriesFilter.variant = series.variant;
+      if (series.condition) seriesFilter.condition = series.condition;
+      if (series.grade) seriesFilter.grade = series.grade;
     }
 
-    // If card exists in TCGdex and we have a local record, save a price snapshot
-    // This gradually builds up price history as users view cards
-    if (card && card.currentPrice && localCard) {
-      try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        // Only save one snapshot per day per card
-        const existingToday = await PriceHistory.findOne({
-          card: localCard._id,
-          date: { $gte: today },
-        });
-
-        if (!existingToday) {
-          await PriceHistory.create({
-            card: localCard._id,
-            price: card.currentPrice,
-            source: 'tcgdex',
-            date: new Date(),
-          });
-        }
-      } catch (histErr) {
-        // Price history recording shouldn't break the response
-      }
+    if (localCard) {
+      const [candles, extremes] = await Promise.all([
+        getPriceCandles(seriesFilter, { ...dateRange, interval, movingAverages }),
+        getAllTimeExtremes(seriesFilter),
+      ]);
+
+      history = candles.buckets;
+      rangeStats = candles.stats;
+      allTime = extremes;
     }
 
     // Calculate price change percentages (24h and 7d)
     // I need to look at older entries beyond the current duration filter for this,
     // so I query separately for the 1-day-ago and 7-day-ago price snapshots
     let priceChange = null;
-    const currentPrice = card?.currentPrice || 0;
+    let currentPrice = seriesPrice?.price || 0;
+    let currency = seriesPrice?.currency || (series.source === 'cardmarket' ? 'EUR' : 'USD');
+
+    if (graded && localCard) {
+      const latest = await PriceHistory.findOne(seriesFilter).sort({ date: -1 });
+      currentPrice = latest?.price || 0;
+      if (latest) currency = latest.currency;
+    }
 
     if (localCard && currentPrice > 0) {
       const oneDayAgo = new Date();
@@ -192,13 +718,13 @@ const getCardPriceHistory = async (req, res) => {
 
       // Find the most recent entry from at least 1 day ago
       const dayAgoEntry = await PriceHistory.findOne({
-        card: localCard._id,
+        ...seriesFilter,
         date: { $lte: oneDayAgo },
       }).sort({ date: -1 });
 
       // Find the most recent entry from at least 7 days ago
       const weekAgoEntry = await PriceHistory.findOne({
-        card: localCard._id,
+        ...seriesFilter,
         date: { $lte: sevenDaysAgo },
       }).sort({ date: -1 });
 
@@ -216,10 +742,18 @@ const getCardPriceHistory = async (req, res) => {
       success: true,
       data: {
         cardId: id,
-        cardName: card?.name || id,
+        cardName: localCard ? getLocalizedName(localCard, getRequestLanguage(req)) : card?.name || id,
+        series: { ...series, currency },
+        range: { name: dateRange.range, from: dateRange.from, to: dateRange.to },
+        interval,
+        movingAverages,
         currentPrice,
+        currentPriceError,
         prices: card?.prices || null,
+        available: marketPrices,
         history,
+        stats: rangeStats,
+        allTime,
         priceChange,
       },
     });
@@ -233,8 +767,8 @@ const getCardPriceHistory = async (req, res) => {
 };
 
 /**
- * @desc    Get random Pokemon cards (for featured/trending sections)
- * @route   GET /api/cards/random
+ * @desc    Get random cards (for featured/trending sections)
+ * @route   GET /api/cards/random?game=pokemon
  * @access  Public
  *
  * Returns random cards with images - great for the home page
@@ -244,7 +778,10 @@ const getRandomCards = async (req, res) => {
   try {
     const { count = 8 } = req.query;
 
-    const cards = await tcgdex.getRandomCards(parseInt(count));
+    const provider = getRequestProvider(req, res);
+    if (!provider) return;
+
+    const cards = await provider.getRandomCards(parseInt(count), getRequestLanguage(req));
 
     res.json({
       success: true,
@@ -252,6 +789,7 @@ const getRandomCards = async (req, res) => {
       data: cards,
     });
   } catch (error) {
+    if (error instanceof UpstreamError) return sendUpstreamError(res, error);
     console.error('GetRandomCards error:', error);
     res.status(500).json({
       success: false,
@@ -330,7 +868,7 @@ function extractCardNameFromVisionText(ocrText) {
  *
  * This is the core of the scanner feature. The user uploads a photo of a card,
  * we send it to Google Cloud Vision API for text detection, parse out the card
- * name, and search TCGdex for matching cards.
+ * name, and search the card catalog for matching cards.
  *
  * I switched from Tesseract.js to Google Vision because Tesseract couldn't
  * handle the stylized fonts on Pokemon cards at all. Google Vision is much
@@ -364,31 +902,48 @@ const scanCard = async (req, res) => {
     // the imageUri approach requires Google's servers to fetch the image,
     // which can fail depending on Cloudinary access settings.
     // Base64 is more reliable since we send the image data directly.
-    const imageResponse = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-    const base64Image = Buffer.from(imageResponse.data).toString('base64');
+    const imageResponse = await request('cloudinary', imageUrl);
+    if (!imageResponse.ok) {
+      throw new Error(`Could not download the uploaded image (${imageResponse.status})`);
+    }
+    const base64Image = Buffer.from(await imageResponse.arrayBuffer()).toString('base64');
 
     // Call Google Cloud Vision API for text detection
     // TEXT_DETECTION is optimized for reading text in images (signs, labels, etc.)
     // which is perfect for card names with stylized fonts
-    const visionResponse = await axios.post(
+    const visionResponse = await request(
+      'vision',
       `https://vision.googleapis.com/v1/images:annotate?key=${apiKey}`,
       {
-        requests: [
-          {
-            image: {
-              content: base64Image,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          requests: [
+            {
+              image: {
+                content: base64Image,
+              },
+              features: [
+                { type: 'TEXT_DETECTION' },
+              ],
             },
-            features: [
-              { type: 'TEXT_DETECTION' },
-            ],
-          },
-        ],
+          ],
+        }),
       }
     );
+    const visionData = await visionResponse.json();
+
+    // Google Vision returns helpful error messages (bad API key, image too big...)
+    if (!visionResponse.ok) {
+      return res.status(500).json({
+        success: false,
+        message: visionData.error?.message || 'Failed to scan card image',
+      });
+    }
 
     // The first textAnnotation has the full concatenated text
     // The rest are individual words/blocks with bounding boxes
-    const annotations = visionResponse.data.responses?.[0]?.textAnnotations;
+    const annotations = visionData.responses?.[0]?.textAnnotations;
     const ocrText = annotations?.[0]?.description || '';
 
     if (!ocrText.trim()) {
@@ -418,12 +973,12 @@ const scanCard = async (req, res) => {
       });
     }
 
-    // Try each candidate until we get search results from TCGdex
+    // Try each candidate until we get search results from the catalog
     let results = [];
     let usedQuery = candidates[0];
 
     for (const candidate of candidates) {
-      const searchResults = await tcgdex.searchCards(candidate, 8);
+      const { cards: searchResults } = await searchCatalog({ q: candidate }, { limit: 8 });
       if (searchResults.length > 0) {
         results = searchResults;
         usedQuery = candidate;
@@ -440,19 +995,19 @@ const scanCard = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error instanceof UpstreamError) return sendUpstreamError(res, error);
     console.error('ScanCard error:', error);
-
-    // Google Vision API returns helpful error messages
-    const visionError = error.response?.data?.error?.message;
     res.status(500).json({
       success: false,
-      message: visionError || error.message || 'Failed to scan card image',
+      message: error.message || 'Failed to scan card image',
     });
   }
 };
 
 module.exports = {
   searchCards,
+  getSets,
+  getSetById,
   getCardById,
   getCardPriceHistory,
   getRandomCards,
@@ -7,25 +7,52 @@
 
 const Collection = require('../models/Collection');
 const Card = require('../models/Card');
+const CardSet = require('../models/CardSet');
+const {
+  formatCatalogCard,
+  formatCatalogSet,
+  compareCardNumbers,
+  isMainSetCard,
+  localizeCardNames,
+  getMarketPrice,
+} = require('../utils/cardCatalog');
+const { validateVariant } = require('../utils/cardVariants');
+const { DEFAULT_GAME } = require('../utils/cardProviders');
+const { parseGrading, gradingFields, slabFilter } = require('../utils/grading');
+const { getRequestLanguage } = require('../config/languages');
 
 /**
  * @desc    Get current user's collection
  * @route   GET /api/collections
  * @access  Private
+ *
+ * The total value uses each entry's variant price when the card has one
+ * (a 1st Edition is worth a lot more than an unlimited copy).
  */
 const getMyCollection = async (req, res) => {
   try {
-    const { game, condition, forTrade, sort = '-createdAt' } = req.query;
+    const { game, condition, variant, graded, forTrade, sort = '-createdAt' } = req.query;
 
     // Build filter
     const filter = { user: req.user._id };
     if (condition) filter.condition = condition;
+    if (variant) filter.variant = variant;
+    // ?graded=true for slabs only, ?graded=false for raw cards only
+    if (graded !== undefined) {
+      filter['grading.company'] = graded === 'true' ? { $ne: null } : null;
+    }
     if (forTrade !== undefined) filter.forTrade = forTrade === 'true';
 
     let collection = await Collection.find(filter)
-      .populate('card', 'name game setName imageUrl currentPrice rarity externalId')
+      .populate(
+        'card',
+        'name localizedNames game setName imageUrl currentPrice variantPrices variants extraVariants rarity externalId'
+      )
       .sort(sort);
 
+    // Show card names in the user's language (?lang= or their preferred language)
+    localizeCardNames(collection, getRequestLanguage(req));
+
     // Filter by game if specified (need to do this after populate)
     if (game) {
       collection = collection.filter(
@@ -35,7 +62,7 @@ const getMyCollection = async (req, res) => {
 
     // Calculate total collection value
     const totalValue = collection.reduce((sum, item) => {
-      return sum + (item.card?.currentPrice || 0) * item.quantity;
+      return sum + getMarketPrice(item.card, item.variant) * item.quantity;
     }, 0);
 
     res.json({
@@ -57,12 +84,22 @@ const getMyCollection = async (req, res) => {
  * @desc    Add card to collection
  * @route   POST /api/collections
  * @access  Private
+ *
+ * variant (optional) is the printing - normal, reverseHolo, holofoil,
+ * firstEditionNormal or firstEditionHolofoil - and has to be one the card
+ * comes in. Each variant is its own collection entry.
+ *
+ * grading (optional) is for graded slabs: { company, grade, subgrades?,
+ * certNumber? } - see utils/grading.js. Raw copies share one entry and
+ * each slab gets its own (unless it's the same company, grade and cert).
  */
 const addToCollection = async (req, res) => {
   try {
     const {
       cardId,
       card: cardData,
+      variant,
+      grading: gradingInput,
       quantity = 1,
       condition = 'near_mint',
       notes,
@@ -70,6 +107,14 @@ const addToCollection = async (req, res) => {
       forTrade,
     } = req.body;
 
+    const { grading, error: gradingError } = parseGrading(gradingInput);
+    if (gradingError) {
+      return res.status(400).json({
+        success: false,
+        message: gradingError,
+      });
+    }
+
     let resolvedCardId = cardId;
 
     // If the frontend sent card data instead of a cardId, we need to
@@ -110,10 +155,20 @@ const addToCollection = async (req, res) => {
       });
     }
 
-    // Check if user already has this card in collection
+    const variantError = await validateVariant(card, variant);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError,
+      });
+    }
+
+    // Check if user already has this card (in this variant and grade) in collection
     let collectionItem = await Collection.findOne({
       user: req.user._id,
       card: resolvedCardId,
+      variant: variant || null,
+      ...slabFilter(grading),
     });
 
     if (collectionItem) {
@@ -127,6 +182,8 @@ const addToCollection = async (req, res) => {
       collectionItem = await Collection.create({
         user: req.user._id,
         card: resolvedCardId,
+        variant: variant || null,
+        grading: gradingFields(grading),
         quantity,
         condition,
         notes: notes || '',
@@ -143,6 +200,14 @@ const addToCollection = async (req, res) => {
       data: collectionItem,
     });
   } catch (error) {
+    // Two adds of the same card at once can both miss the findOne above -
+    // the unique index lets one of them through
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This card is already in your collection in that variant and grade - try adding it again',
+      });
+    }
     console.error('AddToCollection error:', error);
     res.status(500).json({
       success: false,
@@ -155,10 +220,12 @@ const addToCollection = async (req, res) => {
  * @desc    Update collection item
  * @route   PUT /api/collections/:id
  * @access  Private (owner only)
+ *
+ * Send grading: null to mark a slab as raw again.
  */
 const updateCollectionItem = async (req, res) => {
   try {
-    const { quantity, condition, notes, purchasePrice, forTrade } = req.body;
+    const { variant, grading: gradingInput, quantity, condition, notes, purchasePrice, forTrade } = req.body;
 
     let collectionItem = await Collection.findById(req.params.id);
 
@@ -177,6 +244,50 @@ const updateCollectionItem = async (req, res) => {
       });
     }
 
+    const variantChanged = variant !== undefined && (variant || null) !== collectionItem.variant;
+    if (variantChanged) {
+      const card = await Card.findById(collectionItem.card);
+      const variantError = await validateVariant(card, variant);
+      if (variantError) {
+        return res.status(400).json({
+          success: false,
+          message: variantError,
+        });
+      }
+    }
+
+    let grading = collectionItem.grading?.company ? collectionItem.grading : null;
+    if (gradingInput !== undefined) {
+      const parsed = parseGrading(gradingInput);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      grading = parsed.grading;
+    }
+
+    if (variantChanged || gradingInput !== undefined) {
+      // Each variant (and slab) is one entry, so don't make a second one
+      const duplicate = await Collection.exists({
+        _id: { $ne: collectionItem._id },
+        user: req.user._id,
+        card: collectionItem.card,
+        variant: variantChanged ? variant || null : collectionItem.variant,
+        ...slabFilter(grading),
+      });
+      if (duplicate) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have this card in that variant and grade - change its quantity instead',
+        });
+      }
+
+      if (variantChanged) collectionItem.variant = variant || null;
+      if (gradingInput !== undefined) collectionItem.grading = gradingFields(grading);
+    }
+
     // Update fields
     if (quantity !== undefined) collectionItem.quantity = quantity;
     if (condition) collectionItem.condition = condition;
@@ -193,6 +304,13 @@ const updateCollectionItem = async (req, res) => {
       data: collectionItem,
     });
   } catch (error) {
+    // Same race as adding - another entry took this variant and grade after the check
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have this card in that variant and grade - change its quantity instead',
+      });
+    }
     console.error('UpdateCollectionItem error:', error);
     res.status(500).json({
       success: false,
@@ -240,9 +358,103 @@ const removeFromCollection = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Set completion - which cards in a set I own and which I'm missing
+ * @route   GET /api/collections/sets/:setId/progress?game=pokemon
+ * @access  Private
+ *
+ * Uses the set's card list from the local catalog, so the set has to be
+ * synced (npm run sync-catalog). Two completion numbers come back:
+ *   - all: every card in the set, including secret rares (a "master set")
+ *   - mainSet: only cards numbered up to the official count (e.g. 1-189)
+ * Collectors care about both, so the frontend can show either.
+ *
+ * Set IDs are only unique within a game, so ?game= (default pokemon)
+ * says which game's set it is.
+ */
+const getSetProgress = async (req, res) => {
+  try {
+    const set = await CardSet.findOne({ externalId: req.params.setId, game: req.query.game || DEFAULT_GAME });
+
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Set not found',
+      });
+    }
+
+    const cards = await Card.find({ setCode: set.externalId, game: set.game });
+    cards.sort(compareCardNumbers);
+
+    // Which of those cards are in my collection (and how many copies)
+    const entries = await Collection.find({
+      user: req.user._id,
+      card: { $in: cards.map((c) => c._id) },
+    }).select('card quantity condition');
+
+    // A card can have an entry per variant, so add them up
+    const quantityByCard = new Map();
+    entries.forEach((entry) => {
+      const key = entry.card.toString();
+      quantityByCard.set(key, (quantityByCard.get(key) || 0) + entry.quantity);
+    });
+
+    const owned = [];
+    const missing = [];
+    let mainSetTotal = 0;
+    let mainSetOwned = 0;
+    const lang = getRequestLanguage(req);
+
+    for (const card of cards) {
+      const quantity = quantityByCard.get(card._id.toString()) || 0;
+      const inMainSet = isMainSetCard(card, set.cardCount.official);
+
+      if (inMainSet) mainSetTotal += 1;
+
+      if (quantity > 0) {
+        owned.push({ ...formatCatalogCard(card, lang), quantity });
+        if (inMainSet) mainSetOwned += 1;
+      } else {
+        missing.push(formatCatalogCard(card, lang));
+      }
+    }
+
+    // Percentages rounded to 1 decimal place
+    const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+    res.json({
+      success: true,
+      data: {
+        set: formatCatalogSet(set),
+        progress: {
+          all: {
+            owned: owned.length,
+            total: cards.length,
+            percent: percent(owned.length, cards.length),
+          },
+          mainSet: {
+            owned: mainSetOwned,
+            total: mainSetTotal,
+            percent: percent(mainSetOwned, mainSetTotal),
+          },
+        },
+        owned,
+        missing,
+      },
+    });
+  } catch (error) {
+    console.error('GetSetProgress error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get set progress',
+    });
+  }
+};
+
 module.exports = {
   getMyCollection,
   addToCollection,
   updateCollectionItem,
   removeFromCollection,
+  getSetProgress,
 };
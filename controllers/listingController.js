@@ -7,17 +7,27 @@
 
 const Listing = require('../models/Listing');
 const Card = require('../models/Card');
+const { getHiddenUserIds } = require('../utils/blocking');
+const { localizeCardNames } = require('../utils/cardCatalog');
+const { validateVariant } = require('../utils/cardVariants');
+const { parseGrading, gradingFields, parseGradeRequirement, buildGradeFilter } = require('../utils/grading');
+const { DEFAULT_LANGUAGE, getRequestLanguage } = require('../config/languages');
 
 /**
  * @desc    Get all active listings (marketplace)
  * @route   GET /api/listings
- * @access  Public
+ * @access  Public (logged in users don't see listings from users they blocked/muted)
  *
- * Supports filtering by price range, condition, card name search,
- * rarity, and set name. Card-level filters (search, rarity, setName)
+ * Supports filtering by price range, condition, variant, card name search,
+ * rarity, and set name. For graded slabs there's ?minGrade= (e.g. 9.5),
+ * ?gradingCompany=PSA and ?graded=true|false - minGrade and
+ * gradingCompany only return graded listings. Card-level filters (search, rarity, setName)
  * work by finding matching Card IDs first, then filtering listings
  * by those IDs. This is more efficient than filtering after populate
  * and keeps pagination counts accurate.
+ *
+ * Card names come back in the viewer's language (?lang= or their
+ * preferred language), and the name search matches those names too.
  */
 const getListings = async (req, res) => {
   try {
@@ -26,6 +36,10 @@ const getListings = async (req, res) => {
       minPrice,
       maxPrice,
       condition,
+      variant,
+      minGrade,
+      gradingCompany,
+      graded,
       rarity,
       setName,
       sort = '-createdAt',
@@ -33,6 +47,16 @@ const getListings = async (req, res) => {
       limit = 20,
     } = req.query;
 
+    const lang = getRequestLanguage(req);
+
+    const gradeRequirement = parseGradeRequirement(minGrade, gradingCompany);
+    if (gradeRequirement.error) {
+      return res.status(400).json({
+        success: false,
+        message: gradeRequirement.error,
+      });
+    }
+
     // Build query filter - always start with active listings only
     const filter = { status: 'active' };
 
@@ -43,17 +67,40 @@ const getListings = async (req, res) => {
       if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
     }
 
+    // Leave out sellers the user blocked or muted (and anyone who blocked them)
+    if (req.user) {
+      filter.seller = { $nin: await getHiddenUserIds(req.user) };
+    }
+
     // Condition filter (applies directly to Listing.condition)
     if (condition) {
       filter.condition = condition;
     }
 
+    // Variant filter (1st Edition, reverse holo...)
+    if (variant) {
+      filter.variant = variant;
+    }
+
+    // Graded slabs vs raw cards, then the grade filters
+    if (graded !== undefined) {
+      filter['grading.company'] = graded === 'true' ? { $ne: null } : null;
+    }
+    Object.assign(filter, buildGradeFilter(gradeRequirement.minGrade, gradeRequirement.company));
+
     // Card-level filters - search by name, rarity, or set
     // I find matching Card IDs first, then use $in to filter listings
     // This way the total count and pagination are accurate
     if (search || rarity || setName) {
       const cardFilter = {};
-      if (search) cardFilter.name = { $regex: search, $options: 'i' };
+      if (search) {
+        const nameMatch = { $regex: search, $options: 'i' };
+        if (lang === DEFAULT_LANGUAGE) {
+          cardFilter.name = nameMatch;
+        } else {
+          cardFilter.$or = [{ name: nameMatch }, { [`localizedNames.${lang}`]: nameMatch }];
+        }
+      }
       if (rarity) cardFilter.rarity = rarity;
       if (setName) cardFilter.setName = setName;
 
@@ -70,12 +117,14 @@ const getListings = async (req, res) => {
 
     // Execute query with populate to get card and seller info
     const listings = await Listing.find(filter)
-      .populate('card', 'name game setName imageUrl currentPrice rarity externalId')
+      .populate('card', 'name localizedNames game setName imageUrl currentPrice rarity externalId')
       .populate('seller', 'username avatar')
       .skip(skip)
       .limit(parseInt(limit))
       .sort(sortOption);
 
+    localizeCardNames(listings, lang);
+
     // Get total count for pagination (uses same filter so count is accurate)
     const total = await Listing.countDocuments(filter);
 
@@ -142,11 +191,18 @@ const getFilterOptions = async (req, res) => {
  * @desc    Get single listing
  * @route   GET /api/listings/:id
  * @access  Public
+ *
+ * Listings a moderator hid are a 404, except for the seller and
+ * moderators/admins (optionalAuth tells us who's asking). Their views
+ * don't count.
  */
 const getListingById = async (req, res) => {
   try {
     const listing = await Listing.findById(req.params.id)
-      .populate('card', 'name game setName setCode cardNumber imageUrl currentPrice rarity externalId')
+      .populate(
+        'card',
+        'name localizedNames game setName setCode cardNumber imageUrl currentPrice rarity externalId'
+      )
       .populate('seller', 'username avatar bio createdAt');
 
     if (!listing) {
@@ -156,9 +212,25 @@ const getListingById = async (req, res) => {
       });
     }
 
-    // Increment view count
-    listing.viewCount += 1;
-    await listing.save();
+    if (listing.status === 'hidden') {
+      const canSeeHidden =
+        req.user &&
+        (listing.seller?._id.equals(req.user._id) || ['moderator', 'admin'].includes(req.user.role));
+
+      if (!canSeeHidden) {
+        return res.status(404).json({
+          success: false,
+          message: 'Listing not found',
+        });
+      }
+    } else {
+      // Increment view count
+      listing.viewCount += 1;
+      await listing.save();
+    }
+
+    // After the save, since this only changes what we send back
+    localizeCardNames(listing, getRequestLanguage(req));
 
     res.json({
       success: true,
@@ -177,10 +249,33 @@ const getListingById = async (req, res) => {
  * @desc    Create new listing
  * @route   POST /api/listings
  * @access  Private
+ *
+ * variant (optional) says which printing is for sale, and has to be one
+ * the card comes in. grading (optional) is for graded slabs - { company,
+ * grade, subgrades?, certNumber } - and needs the cert number so buyers
+ * can look the slab up.
  */
 const createListing = async (req, res) => {
   try {
-    const { cardId, card: cardData, price, condition, description, images, quantity } = req.body;
+    const {
+      cardId,
+      card: cardData,
+      variant,
+      grading: gradingInput,
+      price,
+      condition,
+      description,
+      images,
+      quantity,
+    } = req.body;
+
+    const { grading, error: gradingError } = parseGrading(gradingInput, { requireCertNumber: true });
+    if (gradingError) {
+      return res.status(400).json({
+        success: false,
+        message: gradingError,
+      });
+    }
 
     // Find the card in our database, or create it from the TCGdex data
     // the frontend sends. This is the same pattern used in collection/wishlist.
@@ -212,17 +307,28 @@ const createListing = async (req, res) => {
     }
 
     // Make sure we have a valid card reference
-    if (!resolvedCardId) {
+    const card = resolvedCardId ? await Card.findById(resolvedCardId) : null;
+    if (!card) {
       return res.status(404).json({
         success: false,
         message: 'Card not found. Please search for the card first.',
       });
     }
 
+    const variantError = await validateVariant(card, variant);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError,
+      });
+    }
+
     // Create the listing
     const listing = await Listing.create({
       seller: req.user._id,
       card: resolvedCardId,
+      variant: variant || null,
+      grading: gradingFields(grading),
       price,
       condition: condition || 'near_mint',
       description: description || '',
@@ -254,7 +360,7 @@ const createListing = async (req, res) => {
  */
 const updateListing = async (req, res) => {
   try {
-    const { price, condition, description, images, quantity, status } = req.body;
+    const { variant, grading: gradingInput, price, condition, description, images, quantity, status } = req.body;
 
     let listing = await Listing.findById(req.params.id);
 
@@ -273,6 +379,47 @@ const updateListing = async (req, res) => {
       });
     }
 
+    // Hidden listings can only be brought back (or changed at all - the
+    // seller could edit out whatever got it hidden) by a moderator
+    if (listing.status === 'hidden') {
+      return res.status(403).json({
+        success: false,
+        message: "This listing was hidden by a moderator and can't be edited",
+      });
+    }
+
+    // Sellers can't hide their own listings (that's what 'cancelled' is for)
+    if (status === 'hidden') {
+      return res.status(403).json({
+        success: false,
+        message: 'This listing status can only be changed by a moderator',
+      });
+    }
+
+    if (variant !== undefined) {
+      const card = await Card.findById(listing.card);
+      const variantError = await validateVariant(card, variant);
+      if (variantError) {
+        return res.status(400).json({
+          success: false,
+          message: variantError,
+        });
+      }
+      listing.variant = variant || null;
+    }
+
+    // grading: null turns it back into a raw card listing
+    if (gradingInput !== undefined) {
+      const { grading, error: gradingError } = parseGrading(gradingInput, { requireCertNumber: true });
+      if (gradingError) {
+        return res.status(400).json({
+          success: false,
+          message: gradingError,
+        });
+      }
+      listing.grading = gradingFields(grading);
+    }
+
     // Update fields if provided
     if (price !== undefined) listing.price = price;
     if (condition) listing.condition = condition;
@@ -352,9 +499,11 @@ const getMyListings = async (req, res) => {
     if (status) filter.status = status;
 
     const listings = await Listing.find(filter)
-      .populate('card', 'name game setName imageUrl currentPrice externalId')
+      .populate('card', 'name localizedNames game setName imageUrl currentPrice externalId')
       .sort({ createdAt: -1 });
 
+    localizeCardNames(listings, getRequestLanguage(req));
+
     res.json({
       success: true,
       count: listings.length,
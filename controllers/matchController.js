@@ -5,11 +5,19 @@
  * This finds potential trades based on:
  * 1. Sellers who have cards on the user's wishlist
  * 2. Buyers who want cards the user has listed
+ *
+ * A wishlist entry with a variant (say firstEditionHolofoil) only matches
+ * listings of that variant - an unlimited copy isn't what they're after.
+ * Wishlist entries without one match any listing of the card. Same for
+ * grades - a wishlist with a minGrade only matches graded slabs at that
+ * grade or better (and from its gradingCompany, if it has one).
  */
 
 const Wishlist = require('../models/Wishlist');
 const Listing = require('../models/Listing');
 const Collection = require('../models/Collection');
+const { getHiddenUserIds } = require('../utils/blocking');
+const { meetsGradeRequirement } = require('../utils/grading');
 
 /**
  * @desc    Get potential matches for current user
@@ -20,15 +28,18 @@ const getMatches = async (req, res) => {
   try {
     const userId = req.user._id;
 
+    // Blocked/muted users (and anyone who blocked us) never show up as matches
+    const excludedUserIds = [userId, ...(await getHiddenUserIds(req.user))];
+
     // Find sellers who have cards on user's wishlist
     // Step 1: Get user's wishlist card IDs
-    const wishlist = await Wishlist.find({ user: userId }).select('card maxPrice minCondition');
+    const wishlist = await Wishlist.find({ user: userId }).select('card variant minGrade gradingCompany maxPrice minCondition');
     const wishlistCardIds = wishlist.map((item) => item.card);
 
     // Step 2: Find active listings for those cards (not from current user)
     const potentialSellers = await Listing.find({
       card: { $in: wishlistCardIds },
-      seller: { $ne: userId },
+      seller: { $nin: excludedUserIds },
       status: 'active',
     })
       .populate('card', 'name game setName imageUrl currentPrice externalId')
@@ -42,6 +53,14 @@ const getMatches = async (req, res) => {
       );
       if (!wishlistItem) return false;
 
+      if (wishlistItem.variant && listing.variant !== wishlistItem.variant) {
+        return false;
+      }
+
+      if (!meetsGradeRequirement(listing, wishlistItem)) {
+        return false;
+      }
+
       // Check price if max price is set
       if (wishlistItem.maxPrice && listing.price > wishlistItem.maxPrice) {
         return false;
@@ -56,13 +75,13 @@ const getMatches = async (req, res) => {
     const myListings = await Listing.find({
       seller: userId,
       status: 'active',
-    }).select('card price condition');
+    }).select('card variant grading price condition');
     const myListingCardIds = myListings.map((item) => item.card);
 
     // Step 2: Find wishlist entries for those cards (not from current user)
     const potentialBuyers = await Wishlist.find({
       card: { $in: myListingCardIds },
-      user: { $ne: userId },
+      user: { $nin: excludedUserIds },
     })
       .populate('card', 'name game setName imageUrl currentPrice externalId')
       .populate('user', 'username avatar')
@@ -72,7 +91,10 @@ const getMatches = async (req, res) => {
     const matchingBuyers = potentialBuyers
       .map((wishlistEntry) => {
         const listing = myListings.find(
-          (l) => l.card.toString() === wishlistEntry.card._id.toString()
+          (l) =>
+            l.card.toString() === wishlistEntry.card._id.toString() &&
+            (!wishlistEntry.variant || l.variant === wishlistEntry.variant) &&
+            meetsGradeRequirement(l, wishlistEntry)
         );
         if (!listing) return null;
 
@@ -85,6 +107,8 @@ const getMatches = async (req, res) => {
           card: wishlistEntry.card,
           listingId: listing._id,
           listingPrice: listing.price,
+          variant: listing.variant,
+          grading: listing.grading,
           buyerMaxPrice: wishlistEntry.maxPrice,
           isPriceMatch,
           priority: wishlistEntry.priority,
@@ -101,6 +125,8 @@ const getMatches = async (req, res) => {
             _id: listing._id,
             price: listing.price,
             condition: listing.condition,
+            variant: listing.variant,
+            grading: listing.grading,
           },
           card: listing.card,
           seller: listing.seller,
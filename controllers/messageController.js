@@ -10,6 +10,7 @@
 
 const Message = require('../models/Message');
 const TradeOffer = require('../models/TradeOffer');
+const { isBlockedBetween } = require('../utils/blocking');
 
 /**
  * @desc    Get all messages for a trade offer
@@ -89,6 +90,15 @@ const sendMessage = async (req, res) => {
       });
     }
 
+    // Blocking stops messages in existing threads too
+    const otherUserId = offer.buyer.toString() === userId ? offer.seller : offer.buyer;
+    if (await isBlockedBetween(userId, otherUserId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot send messages to this user',
+      });
+    }
+
     // Create the message
     const message = await Message.create({
       tradeOffer: offerId,
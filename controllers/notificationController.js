@@ -20,14 +20,23 @@ const Notification = require('../models/Notification');
  * Called from tradeOfferController when offers are created,
  * accepted, declined, or cancelled. This is not an API endpoint -
  * it's an internal function that other controllers import.
+ *
+ * The last argument is what the notification links to: an offer ID for
+ * the offer/payment/review types, or { card, alert } for price alerts.
  */
-const createNotification = async (userId, type, message, offerId) => {
+const createNotification = async (userId, type, message, related) => {
+  // Offer notifications just pass the offer ID
+  const { offer, card, alert } =
+    related && (related.card || related.alert || related.offer) ? related : { offer: related };
+
   try {
     await Notification.create({
       user: userId,
       type,
       message,
-      relatedOffer: offerId,
+      relatedOffer: offer || null,
+      relatedCard: card || null,
+      relatedAlert: alert || null,
     });
   } catch (error) {
     // Log but don't throw - notification failure shouldn't break
@@ -0,0 +1,308 @@
+/**
+ * Price Alert Controller
+ *
+ * Lets users set up price alerts on cards - "tell me when this drops
+ * below $X", "when it goes above $Y" or "when it moves Z% in N days".
+ * The alerts themselves are checked in utils/priceAlerts.js whenever
+ * new prices get recorded.
+ */
+
+const PriceAlert = require('../models/PriceAlert');
+const Card = require('../models/Card');
+const { localizeCardNames } = require('../utils/cardCatalog');
+const { getRequestLanguage } = require('../config/languages');
+const { getConfiguredGames } = require('../utils/cardProviders');
+
+// Keeps the snapshot job from checking thousands of alerts for one user
+const MAX_ALERTS_PER_USER = 50;
+
+const CARD_FIELDS = 'name localizedNames game setName imageUrl currentPrice externalId';
+
+/**
+ * Check the alert fields that were sent
+ * Only the fields that are there get checked, so this works for
+ * updates too. `type` is the alert's type (new or existing).
+ *
+ * @param {Object} fields - threshold, percent, days, source, variant
+ * @param {string} type - above, below or percent_change
+ * @returns {string|null} Error message, or null if everything's fine
+ */
+const validateAlertFields = (fields, type) => {
+  const types = PriceAlert.schema.path('type').enumValues;
+  if (!types.includes(type)) {
+    return `type must be one of: ${types.join(', ')}`;
+  }
+
+  if (type === 'percent_change') {
+    if (fields.percent !== undefined) {
+      const percent = Number(fields.percent);
+      if (!Number.isFinite(percent) || percent === 0 || Math.abs(percent) > 1000) {
+        return 'percent must be a non-zero number between -1000 and 1000 (negative for drops)';
+      }
+    }
+    if (fields.days !== undefined) {
+      const days = Number(fields.days);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return 'days must be a whole number between 1 and 365';
+      }
+    }
+  } else if (fields.threshold !== undefined && !(Number(fields.threshold) > 0)) {
+    return 'threshold must be a price above 0';
+  }
+
+  for (const field of ['source', 'variant']) {
+    if (fields[field] === undefined || fields[field] === null) continue;
+    const allowed = PriceAlert.schema.path(field).enumValues.filter(Boolean);
+    if (!allowed.includes(fields[field])) {
+      return `${field} must be one of: ${allowed.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Get my price alerts
+ * @route   GET /api/price-alerts
+ * @access  Private
+ *
+ * Optional ?cardId= to only get the alerts on one card, and
+ * ?active=true|false.
+ */
+const getMyAlerts = async (req, res) => {
+  try {
+    const { cardId, active } = req.query;
+
+    const filter = { user: req.user._id };
+    if (cardId) filter.card = cardId;
+    if (active === 'true' || active === 'false') filter.active = active === 'true';
+
+    const alerts = await PriceAlert.find(filter)
+      .populate('card', CARD_FIELDS)
+      .sort({ createdAt: -1 });
+
+    localizeCardNames(alerts, getRequestLanguage(req));
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      data: alerts.map((alert) => alert.toObject({ flattenMaps: true })),
+    });
+  } catch (error) {
+    console.error('GetMyAlerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get price alerts',
+    });
+  }
+};
+
+/**
+ * @desc    Create a price alert
+ * @route   POST /api/price-alerts
+ * @access  Private
+ *
+ * Body: { cardId or externalId, type, threshold, percent, days, source, variant }
+ *   above/below     - need threshold
+ *   percent_change  - need percent (e.g. 20, or -15 for a drop), days defaults to 7
+ */
+const createAlert = async (req, res) => {
+  try {
+    const { cardId, externalId, type, threshold, percent, days, source, variant } = req.body;
+
+    if (!cardId && !externalId) {
+      return res.status(400).json({
+        success: false,
+        message: 'cardId or externalId is required',
+      });
+    }
+
+    const error = validateAlertFields({ threshold, percent, days, source, variant }, type);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (type === 'percent_change' ? percent === undefined : threshold === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: type === 'percent_change' ? 'percent is required' : 'threshold is required',
+      });
+    }
+
+    const card = cardId ? await Card.findById(cardId) : await Card.findOne({ externalId });
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found. Please search for the card first.',
+      });
+    }
+
+    // The daily snapshot only gets prices for games with a provider
+    if (!getConfiguredGames().includes(card.game)) {
+      return res.status(400).json({
+        success: false,
+        message: `Price alerts are only available for ${getConfiguredGames().join(', ')} cards`,
+      });
+    }
+
+    const alertCount = await PriceAlert.countDocuments({ user: req.user._id });
+    if (alertCount >= MAX_ALERTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ALERTS_PER_USER} price alerts`,
+      });
+    }
+
+    const alert = await PriceAlert.create({
+      user: req.user._id,
+      card: card._id,
+      type,
+      threshold: type === 'percent_change' ? null : Number(threshold),
+      percent: type === 'percent_change' ? Number(percent) : null,
+      days: type === 'percent_change' && days !== undefined ? Number(days) : 7,
+      source: source || 'tcgplayer',
+      variant: variant || null,
+    });
+
+    await alert.populate('card', CARD_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      data: alert,
+    });
+  } catch (error) {
+    console.error('CreateAlert error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create price alert',
+    });
+  }
+};
+
+/**
+ * @desc    Update a price alert (change the target, pause or resume it)
+ * @route   PUT /api/price-alerts/:id
+ * @access  Private (owner only)
+ *
+ * Body: any of { threshold, percent, days, source, variant, active }
+ * The card and type can't change - make a new alert for that.
+ */
+const updateAlert = async (req, res) => {
+  try {
+    const { threshold, percent, days, source, variant, active } = req.body;
+
+    const alert = await PriceAlert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price alert not found',
+      });
+    }
+
+    // Check ownership
+    if (alert.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this alert',
+      });
+    }
+
+    // Forms send "false" as a string, and Boolean("false") is true
+    if (active !== undefined && ![true, false, 'true', 'false'].includes(active)) {
+      return res.status(400).json({
+        success: false,
+        message: 'active must be true or false',
+      });
+    }
+
+    const error = validateAlertFields({ threshold, percent, days, source, variant }, alert.type);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (alert.type === 'percent_change') {
+      if (percent !== undefined) alert.percent = Number(percent);
+      if (days !== undefined) alert.days = Number(days);
+    } else if (threshold !== undefined) {
+      alert.threshold = Number(threshold);
+    }
+    if (source) alert.source = source;
+    if (variant !== undefined) alert.variant = variant || null;
+    if (active !== undefined) alert.active = active === true || active === 'true';
+
+    // A changed target is a new alert as far as firing goes
+    if (alert.isModified('threshold') || alert.isModified('source') || alert.isModified('variant')) {
+      alert.armed = true;
+    }
+    if (alert.isModified('percent') || alert.isModified('days')) {
+      alert.lastTriggeredAt = null;
+    }
+
+    await alert.save();
+    await alert.populate('card', CARD_FIELDS);
+
+    res.json({
+      success: true,
+      data: alert,
+    });
+  } catch (error) {
+    console.error('UpdateAlert error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update price alert',
+    });
+  }
+};
+
+/**
+ * @desc    Delete a price alert
+ * @route   DELETE /api/price-alerts/:id
+ * @access  Private (owner only)
+ */
+const deleteAlert = async (req, res) => {
+  try {
+    const alert = await PriceAlert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price alert not found',
+      });
+    }
+
+    // Check ownership
+    if (alert.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this alert',
+      });
+    }
+
+    await alert.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Price alert deleted',
+    });
+  } catch (error) {
+    console.error('DeleteAlert error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete price alert',
+    });
+  }
+};
+
+module.exports = {
+  getMyAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+};
@@ -149,14 +149,15 @@ const getSellerReviews = async (req, res) => {
     }
 
     // Get all reviews for this seller, newest first
-    const reviews = await Review.find({ seller: sellerId })
+    // Reviews removed by a moderator are left out
+    const reviews = await Review.find({ seller: sellerId, removedAt: null })
       .populate('reviewer', 'username avatar')
       .sort({ createdAt: -1 });
 
     // Calculate the average rating using aggregation
     // This is faster than doing it in JS, especially with lots of reviews
     const stats = await Review.aggregate([
-      { $match: { seller: new mongoose.Types.ObjectId(sellerId) } },
+      { $match: { seller: new mongoose.Types.ObjectId(sellerId), removedAt: null } },
       {
         $group: {
           _id: null,
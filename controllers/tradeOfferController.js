@@ -14,6 +14,7 @@
 const TradeOffer = require('../models/TradeOffer');
 const Listing = require('../models/Listing');
 const { createNotification } = require('./notificationController');
+const { isBlockedBetween } = require('../utils/blocking');
 
 /**
  * @desc    Create a new trade offer on a listing
@@ -52,12 +53,22 @@ const createOffer = async (req, res) => {
       });
     }
 
-    // Create the trade offer
+    // No offers between users who have blocked each other
+    if (await isBlockedBetween(req.user._id, listing.seller._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot make an offer on this listing',
+      });
+    }
+
+    // Create the trade offer - it keeps the listing's variant, so the
+    // offer still says which printing it was for if the listing changes
     const tradeOffer = await TradeOffer.create({
       listing: listing._id,
       buyer: req.user._id,
       seller: listing.seller._id,
       card: listing.card._id,
+      variant: listing.variant,
       offeredPrice,
       listingPrice: listing.price,
       initialMessage: initialMessage || '',
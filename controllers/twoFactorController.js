@@ -0,0 +1,290 @@
+/**
+ * Two-Factor Auth Controller
+ *
+ * Lets local (email/password) users turn TOTP two-factor auth on and off.
+ * Social login users get their 2FA from Google/Apple/X instead.
+ *
+ * Turning it on is two steps on purpose:
+ *   1. /setup makes a secret and returns the otpauth:// URI for the QR code
+ *   2. /enable checks a code from the app before actually switching it on
+ * That way nobody locks themselves out by scanning the QR code wrong.
+ *
+ * The login side of 2FA (the second step after the password) lives in
+ * authController since it's part of the login flow.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const { revokeOtherSessions } = require('../utils/sessions');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require('../utils/totp');
+
+// All the hidden 2FA fields we need when checking or changing 2FA
+const TWO_FACTOR_FIELDS =
+  '+password +twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
+/**
+ * Helper: make a fresh set of recovery codes
+ * Returns the plain codes (to show the user once) and the hashes (to store)
+ */
+const createRecoveryCodes = () => {
+  const codes = generateRecoveryCodes();
+  const hashes = codes.map((code) =>
+    crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex')
+  );
+  return { codes, hashes };
+};
+
+/**
+ * @desc    Get 2FA status for the current user
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodeHashes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled
+          ? (user.twoFactor.recoveryCodeHashes || []).length
+          : 0,
+      },
+    });
+  } catch (error) {
+    console.error('GetTwoFactorStatus error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get two-factor status',
+    });
+  }
+};
+
+/**
+ * @desc    Start 2FA enrollment - returns a new secret and otpauth URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (local accounts only)
+ *
+ * Calling this again before /enable just replaces the pending secret.
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor auth is only available for accounts with a password',
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor auth is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email),
+      },
+    });
+  } catch (error) {
+    console.error('SetupTwoFactor error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to start two-factor setup',
+    });
+  }
+};
+
+/**
+ * @desc    Confirm enrollment with a code from the app and turn 2FA on
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ *
+ * Returns the recovery codes - this is the only time they're shown,
+ * since we only store hashes of them.
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor auth is already enabled',
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code, please try again',
+      });
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodeHashes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    // Anyone else logged in only got through with a password, so sign them out
+    await revokeOtherSessions(user._id, req.authSession._id, 'two_factor_enabled');
+
+    res.json({
+      success: true,
+      message: 'Two-factor auth enabled. Save your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes: codes,
+      },
+    });
+  } catch (error) {
+    console.error('EnableTwoFactor error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to enable two-factor auth',
+    });
+  }
+};
+
+/**
+ * @desc    Turn 2FA off
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ *
+ * Needs BOTH the password and a current code from the app, so someone
+ * who walks up to a logged in computer can't just switch it off.
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and authenticator code are required',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor auth is not enabled',
+      });
+    }
+
+    const passwordMatches = await user.comparePassword(password);
+    if (!passwordMatches || !user.checkTwoFactor({ code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password or code',
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodeHashes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor auth disabled',
+    });
+  } catch (error) {
+    console.error('DisableTwoFactor error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to disable two-factor auth',
+    });
+  }
+};
+
+/**
+ * @desc    Replace the recovery codes with a new set
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ *
+ * Needs a current code from the app. The old codes stop working.
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor auth is not enabled',
+      });
+    }
+
+    if (!user.checkTwoFactor({ code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+    user.twoFactor.recoveryCodeHashes = hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes: codes,
+      },
+    });
+  } catch (error) {
+    console.error('RegenerateRecoveryCodes error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to regenerate recovery codes',
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
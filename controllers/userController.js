@@ -6,9 +6,16 @@
  * not about logging in/out.
  */
 
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Listing = require('../models/Listing');
 const TradeOffer = require('../models/TradeOffer');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { revokeSession, revokeOtherSessions } = require('../utils/sessions');
+const { buildAccountExport, deleteAccount } = require('../utils/accountData');
+const { createZip } = require('../utils/zip');
+const { SUPPORTED_LANGUAGES, normalizeLanguage } = require('../config/languages');
 
 /**
  * @desc    Get user profile by ID (public view)
@@ -50,7 +57,7 @@ const getUserById = async (req, res) => {
 const updateProfile = async (req, res) => {
   try {
     // Fields that users are allowed to update
-    const { username, bio, favoriteGames, avatar } = req.body;
+    const { username, bio, favoriteGames, avatar, preferredLanguage } = req.body;
 
     // Find the user
     const user = await User.findById(req.user._id);
@@ -79,6 +86,17 @@ const updateProfile = async (req, res) => {
     if (favoriteGames) user.favoriteGames = favoriteGames;
     if (avatar !== undefined) user.avatar = avatar;
 
+    if (preferredLanguage !== undefined) {
+      const lang = normalizeLanguage(preferredLanguage);
+      if (!lang) {
+        return res.status(400).json({
+          success: false,
+          message: `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`,
+        });
+      }
+      user.preferredLanguage = lang;
+    }
+
     // Save the updated user
     await user.save();
 
@@ -90,6 +108,7 @@ const updateProfile = async (req, res) => {
         email: user.email,
         bio: user.bio,
         favoriteGames: user.favoriteGames,
+        preferredLanguage: user.preferredLanguage,
         avatar: user.avatar,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
@@ -108,6 +127,10 @@ const updateProfile = async (req, res) => {
  * @desc    Update password
  * @route   PUT /api/users/me/password
  * @access  Private
+ *
+ * API keys keep working after a password change (the response says how
+ * many), so scripts don't break every time someone changes it. Revoke
+ * them on the API keys page, or reset the password - that revokes them all.
  */
 const updatePassword = async (req, res) => {
   try {
@@ -136,9 +159,28 @@ const updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device - if someone else knew the old password,
+    // changing it should kick them out too. The current session stays logged in.
+    const signedOut = await revokeOtherSessions(
+      user._id,
+      req.authSession._id,
+      'password_changed'
+    );
+
+    const activeApiKeys = await ApiKey.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
     res.json({
       success: true,
-      message: 'Password updated successfully',
+      message:
+        activeApiKeys > 0
+          ? `Password updated successfully - your ${activeApiKeys} API key(s) still work, revoke them if someone else may have them`
+          : 'Password updated successfully',
+      signedOutSessions: signedOut,
+      activeApiKeys,
     });
   } catch (error) {
     console.error('UpdatePassword error:', error);
@@ -226,6 +268,7 @@ const updateAvatar = async (req, res) => {
         email: user.email,
         bio: user.bio,
         favoriteGames: user.favoriteGames,
+        preferredLanguage: user.preferredLanguage,
         avatar: user.avatar,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
@@ -291,6 +334,469 @@ const getUserTradeStats = async (req, res) => {
   }
 };
 
+/**
+ * @desc    List the current user's active sessions (logged in devices)
+ * @route   GET /api/users/me/sessions
+ * @access  Private
+ *
+ * The current session is flagged with isCurrent so the frontend can
+ * label it "This device" and not offer to sign it out.
+ */
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    const currentId = req.authSession._id.toString();
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        authProvider: session.authProvider,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.toString() === currentId,
+      })),
+    });
+  } catch (error) {
+    console.error('GetMySessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get sessions',
+    });
+  }
+};
+
+/**
+ * @desc    Sign out a single session
+ * @route   DELETE /api/users/me/sessions/:id
+ * @access  Private (session owner only)
+ */
+const revokeMySession = async (req, res) => {
+  try {
+    // A malformed ID can't be a session - without this check findById
+    // throws a CastError and it turns into a 500
+    const session = mongoose.isValidObjectId(req.params.id) ? await Session.findById(req.params.id) : null;
+
+    // Treat someone else's session the same as a missing one
+    // so this can't be used to check if a session ID exists
+    if (!session || session.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeSession(session._id, 'signed_out_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    console.error('RevokeMySession error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to sign out session',
+    });
+  }
+};
+
+/**
+ * @desc    Sign out everywhere except the current session
+ * @route   DELETE /api/users/me/sessions
+ * @access  Private
+ */
+const revokeAllOtherSessions = async (req, res) => {
+  try {
+    const signedOut = await revokeOtherSessions(
+      req.user._id,
+      req.authSession._id,
+      'signed_out_elsewhere'
+    );
+
+    res.json({
+      success: true,
+      message: `Signed out of ${signedOut} other session${signedOut === 1 ? '' : 's'}`,
+      count: signedOut,
+    });
+  } catch (error) {
+    console.error('RevokeAllOtherSessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to sign out other sessions',
+    });
+  }
+};
+
+/**
+ * @desc    List social login identities linked to the current user
+ * @route   GET /api/users/me/identities
+ * @access  Private
+ */
+const getMyIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    res.json({
+      success: true,
+      data: {
+        // Lets the frontend warn before unlinking the last way to log in
+        hasPassword: Boolean(user.password),
+        identities: user.identities.map((identity) => ({
+          _id: identity._id,
+          provider: identity.provider,
+          email: identity.email,
+          linkedAt: identity.linkedAt,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('GetMyIdentities error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get linked accounts',
+    });
+  }
+};
+
+/**
+ * @desc    Unlink a social login identity from the current user
+ * @route   DELETE /api/users/me/identities/:id
+ * @access  Private
+ *
+ * Won't remove the last way to log in - a user with no password and
+ * only one social identity would be locked out of their account.
+ * Sessions that were started with the unlinked provider get signed out.
+ */
+const unlinkIdentity = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    const identity = user.identities.id(req.params.id);
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Linked account not found',
+      });
+    }
+
+    if (!user.password && user.identities.length <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password before unlinking your only login method',
+      });
+    }
+
+    const provider = identity.provider;
+    identity.deleteOne();
+    await user.save();
+
+    // Sign out sessions that logged in through this provider (except this one)
+    await Session.updateMany(
+      {
+        user: user._id,
+        authProvider: provider,
+        revokedAt: null,
+        _id: { $ne: req.authSession._id },
+      },
+      { revokedAt: new Date(), revokedReason: 'identity_unlinked' }
+    );
+
+    res.json({
+      success: true,
+      message: `${provider} has been unlinked from your account`,
+    });
+  } catch (error) {
+    console.error('UnlinkIdentity error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to unlink account',
+    });
+  }
+};
+
+/**
+ * Build a Content-Disposition header for a download
+ *
+ * Header values have to be Latin-1, so a username like "ピカチュウ" made
+ * res.set throw. filename= gets an ASCII-only version for old clients and
+ * filename*= the real name, percent-encoded (RFC 6266).
+ *
+ * @param {string} filename - Can contain any characters
+ * @returns {string}
+ */
+const attachmentHeader = (filename) => {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  // encodeURIComponent leaves ' ( ) * alone, but they aren't allowed in filename*
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * @desc    Download everything we store about the current user
+ * @route   GET /api/users/me/export?format=json|zip
+ * @access  Private
+ *
+ * JSON (the default) is one file with every section in it.
+ * ZIP has one JSON file per section, which is easier to look through.
+ */
+const exportMyData = async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or zip',
+      });
+    }
+
+    const data = await buildAccountExport(req.user._id);
+    const date = data.exportedAt.slice(0, 10);
+    const filename = `cardvault-export-${req.user.username}-${date}`;
+
+    if (format === 'zip') {
+      const files = Object.entries(data)
+        .filter(([key]) => key !== 'exportedAt')
+        .map(([key, value]) => ({
+          name: `${key}.json`,
+          content: JSON.stringify(value, null, 2),
+        }));
+
+      files.unshift({
+        name: 'README.txt',
+        content: `CardVault data export for ${req.user.username}\nCreated ${data.exportedAt}\n`,
+      });
+
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', attachmentHeader(`${filename}.zip`));
+      return res.send(createZip(files));
+    }
+
+    res.set('Content-Disposition', attachmentHeader(`${filename}.json`));
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('ExportMyData error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to export data',
+    });
+  }
+};
+
+/**
+ * @desc    Delete the current user's account
+ * @route   DELETE /api/users/me
+ * @access  Private
+ *
+ * Body: { password } for accounts with a password, or { confirm: "DELETE" }
+ * for social-only accounts. 2FA users also need a { code }.
+ *
+ * The account is anonymized rather than removed so the other side of
+ * past trades still has their transactions, reviews and messages.
+ * See utils/accountData.js for exactly what happens.
+ */
+const deleteMyAccount = async (req, res) => {
+  try {
+    const { password, confirm, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      '+password +twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep'
+    );
+
+    // Make sure it's really the user (and not someone on an unlocked laptop)
+    if (user.password) {
+      if (!password || !(await user.comparePassword(password))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect',
+        });
+      }
+    } else if (confirm !== 'DELETE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please confirm by sending confirm: "DELETE"',
+      });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled && !user.checkTwoFactor({ code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    const summary = await deleteAccount(user);
+
+    res.json({
+      success: true,
+      message: 'Your account has been deleted',
+      data: summary,
+    });
+  } catch (error) {
+    console.error('DeleteMyAccount error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete account',
+    });
+  }
+};
+
+/**
+ * @desc    Get the users I've blocked and muted
+ * @route   GET /api/users/me/blocks
+ * @access  Private
+ */
+const getMyBlocks = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'username avatar')
+      .populate('mutedUsers', 'username avatar');
+
+    res.json({
+      success: true,
+      data: {
+        blocked: user.blockedUsers,
+        muted: user.mutedUsers,
+      },
+    });
+  } catch (error) {
+    console.error('GetMyBlocks error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get blocked users',
+    });
+  }
+};
+
+/**
+ * Helper: Add or remove someone from the current user's block/mute list
+ *
+ * Shared by the four block/mute endpoints below since they only differ
+ * in which list they change and whether they add or remove.
+ *
+ * @param {string} list - 'blockedUsers' or 'mutedUsers'
+ * @param {boolean} add - true to add, false to remove
+ */
+const updateUserList = async (req, res, list, add) => {
+  const targetId = req.params.userId;
+
+  if (targetId === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot do this to yourself',
+    });
+  }
+
+  const target = await User.findById(targetId).select('username');
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  // $addToSet won't add duplicates, $pull is fine if they're not there
+  const update = add ? { $addToSet: { [list]: target._id } } : { $pull: { [list]: target._id } };
+  await User.updateOne({ _id: req.user._id }, update);
+
+  const action = {
+    blockedUsers: add ? 'blocked' : 'unblocked',
+    mutedUsers: add ? 'muted' : 'unmuted',
+  }[list];
+
+  res.json({
+    success: true,
+    message: `${target.username} has been ${action}`,
+  });
+};
+
+/**
+ * @desc    Block a user
+ * @route   POST /api/users/me/blocks/:userId
+ * @access  Private
+ *
+ * They won't be able to make offers on my listings or message me,
+ * and I won't see their listings or wishlist in marketplace/matches.
+ */
+const blockUser = async (req, res) => {
+  try {
+    await updateUserList(req, res, 'blockedUsers', true);
+  } catch (error) {
+    console.error('BlockUser error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to block user',
+    });
+  }
+};
+
+/**
+ * @desc    Unblock a user
+ * @route   DELETE /api/users/me/blocks/:userId
+ * @access  Private
+ */
+const unblockUser = async (req, res) => {
+  try {
+    await updateUserList(req, res, 'blockedUsers', false);
+  } catch (error) {
+    console.error('UnblockUser error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to unblock user',
+    });
+  }
+};
+
+/**
+ * @desc    Mute a user (hide their listings/wishlist without blocking contact)
+ * @route   POST /api/users/me/mutes/:userId
+ * @access  Private
+ */
+const muteUser = async (req, res) => {
+  try {
+    await updateUserList(req, res, 'mutedUsers', true);
+  } catch (error) {
+    console.error('MuteUser error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to mute user',
+    });
+  }
+};
+
+/**
+ * @desc    Unmute a user
+ * @route   DELETE /api/users/me/mutes/:userId
+ * @access  Private
+ */
+const unmuteUser = async (req, res) => {
+  try {
+    await updateUserList(req, res, 'mutedUsers', false);
+  } catch (error) {
+    console.error('UnmuteUser error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to unmute user',
+    });
+  }
+};
+
 module.exports = {
   getUserById,
   updateProfile,
@@ -298,4 +804,16 @@ module.exports = {
   updateAvatar,
   getUserListings,
   getUserTradeStats,
+  getMySessions,
+  revokeMySession,
+  revokeAllOtherSessions,
+  getMyIdentities,
+  unlinkIdentity,
+  exportMyData,
+  deleteMyAccount,
+  getMyBlocks,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
 };
@@ -8,6 +8,10 @@
 const Wishlist = require('../models/Wishlist');
 const Card = require('../models/Card');
 const Listing = require('../models/Listing');
+const { localizeCardNames } = require('../utils/cardCatalog');
+const { validateVariant } = require('../utils/cardVariants');
+const { parseGradeRequirement, buildGradeFilter } = require('../utils/grading');
+const { getRequestLanguage } = require('../config/languages');
 
 /**
  * @desc    Get current user's wishlist
@@ -22,9 +26,12 @@ const getMyWishlist = async (req, res) => {
     if (priority) filter.priority = priority;
 
     let wishlist = await Wishlist.find(filter)
-      .populate('card', 'name game setName imageUrl currentPrice rarity externalId')
+      .populate('card', 'name localizedNames game setName imageUrl currentPrice rarity externalId')
       .sort({ priority: -1, createdAt: -1 });
 
+    // Show card names in the user's language (?lang= or their preferred language)
+    localizeCardNames(wishlist, getRequestLanguage(req));
+
     // Filter by game if specified
     if (game) {
       wishlist = wishlist.filter(
@@ -35,14 +42,20 @@ const getMyWishlist = async (req, res) => {
     // For each wishlist item, count available listings
     const wishlistWithListings = await Promise.all(
       wishlist.map(async (item) => {
-        const listingCount = await Listing.countDocuments({
+        const listingFilter = {
           card: item.card._id,
           status: 'active',
           price: item.maxPrice ? { $lte: item.maxPrice } : { $exists: true },
-        });
+        };
+        // No variant on the wishlist means any of them will do
+        if (item.variant) listingFilter.variant = item.variant;
+        Object.assign(listingFilter, buildGradeFilter(item.minGrade, item.gradingCompany));
+
+        const listingCount = await Listing.countDocuments(listingFilter);
 
         return {
-          ...item.toObject(),
+          // flattenMaps turns localizedNames into a plain object so it shows up in the JSON
+          ...item.toObject({ flattenMaps: true }),
           availableListings: listingCount,
         };
       })
@@ -66,18 +79,34 @@ const getMyWishlist = async (req, res) => {
  * @desc    Add card to wishlist
  * @route   POST /api/wishlists
  * @access  Private
+ *
+ * variant (optional) is the printing they're after - leave it out if
+ * any of them will do. minGrade (e.g. 9) means they only want graded
+ * slabs at that grade or better, and gradingCompany (PSA, BGS, CGC)
+ * narrows it to one company.
  */
 const addToWishlist = async (req, res) => {
   try {
     const {
       cardId,
       card: cardData,
+      variant,
+      minGrade,
+      gradingCompany,
       maxPrice,
       minCondition = 'moderately_played',
       priority = 'medium',
       notes,
     } = req.body;
 
+    const gradeRequirement = parseGradeRequirement(minGrade, gradingCompany);
+    if (gradeRequirement.error) {
+      return res.status(400).json({
+        success: false,
+        message: gradeRequirement.error,
+      });
+    }
+
     let resolvedCardId = cardId;
 
     // Same as collection - if frontend sent card data (from TCGdex),
@@ -115,6 +144,14 @@ const addToWishlist = async (req, res) => {
       });
     }
 
+    const variantError = await validateVariant(card, variant);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError,
+      });
+    }
+
     // Check if already wishlisted
     const existing = await Wishlist.findOne({
       user: req.user._id,
@@ -132,6 +169,9 @@ const addToWishlist = async (req, res) => {
     const wishlistItem = await Wishlist.create({
       user: req.user._id,
       card: resolvedCardId,
+      variant: variant || null,
+      minGrade: gradeRequirement.minGrade,
+      gradingCompany: gradeRequirement.company,
       maxPrice: maxPrice || null,
       minCondition,
       priority,
@@ -160,7 +200,7 @@ const addToWishlist = async (req, res) => {
  */
 const updateWishlistItem = async (req, res) => {
   try {
-    const { maxPrice, minCondition, priority, notes } = req.body;
+    const { variant, minGrade, gradingCompany, maxPrice, minCondition, priority, notes } = req.body;
 
     let wishlistItem = await Wishlist.findById(req.params.id);
 
@@ -179,6 +219,34 @@ const updateWishlistItem = async (req, res) => {
       });
     }
 
+    if (variant !== undefined) {
+      const card = await Card.findById(wishlistItem.card);
+      const variantError = await validateVariant(card, variant);
+      if (variantError) {
+        return res.status(400).json({
+          success: false,
+          message: variantError,
+        });
+      }
+      wishlistItem.variant = variant || null;
+    }
+
+    // Send null (or '') to clear either one
+    if (minGrade !== undefined || gradingCompany !== undefined) {
+      const gradeRequirement = parseGradeRequirement(
+        minGrade !== undefined ? minGrade : wishlistItem.minGrade,
+        gradingCompany !== undefined ? gradingCompany : wishlistItem.gradingCompany
+      );
+      if (gradeRequirement.error) {
+        return res.status(400).json({
+          success: false,
+          message: gradeRequirement.error,
+        });
+      }
+      wishlistItem.minGrade = gradeRequirement.minGrade;
+      wishlistItem.gradingCompany = gradeRequirement.company;
+    }
+
     // Update fields
     if (maxPrice !== undefined) wishlistItem.maxPrice = maxPrice;
     if (minCondition) wishlistItem.minCondition = minCondition;
@@ -10,16 +10,85 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../utils/sessions');
+const { getApiKeyFromRequest, findActiveApiKey } = require('../utils/apiKeys');
+
+/**
+ * Authenticate a request made with a personal API key
+ *
+ * Only works on routes that declared a scope with requireScope(), and
+ * the key has to have that scope. Sets req.apiKey instead of
+ * req.authSession, so handlers can tell the two apart if they need to.
+ */
+const protectWithApiKey = async (req, res, next, rawKey) => {
+  try {
+    if (!req.requiredScope) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys cannot be used for this endpoint',
+      });
+    }
+
+    const apiKey = await findActiveApiKey(rawKey, req);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired API key',
+      });
+    }
+
+    if (!apiKey.scopes.includes(req.requiredScope)) {
+      return res.status(403).json({
+        success: false,
+        message: `This API key is missing the "${req.requiredScope}" scope`,
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.user = await User.findById(apiKey.user).select('-password');
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists',
+      });
+    }
+
+    if (req.user.isSuspended()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended',
+        suspendedUntil: req.user.suspension.suspendedUntil,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error.message);
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, API key failed',
+    });
+  }
+};
 
 /**
  * Protect routes - require authentication
  *
  * This checks for a valid JWT in the Authorization header.
  * Format expected: "Bearer <token>"
+ *
+ * API keys are rejected here unless the route uses requireScope() instead.
  */
 const protect = async (req, res, next) => {
   let token;
 
+  // Personal API keys ("cvk_...") are handled separately from JWTs
+  const apiKey = getApiKeyFromRequest(req);
+  if (apiKey) {
+    return protectWithApiKey(req, res, next, apiKey);
+  }
+
   // Check if the Authorization header exists and starts with "Bearer"
   if (
     req.headers.authorization &&
@@ -34,6 +103,18 @@ const protect = async (req, res, next) => {
       // This throws an error if the token is invalid or expired
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Make sure the session this token belongs to is still active
+      // If the user logged out (or the session was revoked), the token
+      // stops working right away instead of waiting for it to expire
+      const session = await findActiveSession(decoded.sid);
+      if (!session || session.user.toString() !== decoded.id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked, please log in again',
+        });
+      }
+      req.authSession = session;
+
       // Find the user by the ID stored in the token
       // .select('-password') excludes the password field from the result
       req.user = await User.findById(decoded.id).select('-password');
@@ -46,6 +127,15 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Suspended users can't do anything while the suspension lasts
+      if (req.user.isSuspended()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been suspended',
+          suspendedUntil: req.user.suspension.suspendedUntil,
+        });
+      }
+
       // Everything is good - move to the next middleware/route handler
       next();
     } catch (error) {
@@ -84,7 +174,18 @@ const optionalAuth = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+
+      // Tokens from revoked sessions are treated the same as no token
+      const session = await findActiveSession(decoded.sid);
+      if (session && session.user.toString() === decoded.id) {
+        req.authSession = session;
+        req.user = await User.findById(decoded.id).select('-password');
+
+        // Suspended users browse as if they were logged out
+        if (req.user && req.user.isSuspended()) req.user = null;
+      } else {
+        req.user = null;
+      }
     } catch (error) {
       // Token is invalid, but we don't care - just continue without user
       req.user = null;
@@ -95,4 +196,61 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
-module.exports = { protect, optionalAuth };
+/**
+ * Require a verified email
+ *
+ * Goes AFTER protect (it needs req.user). Used on actions where we want
+ * to know there's a real, reachable person behind the account - like
+ * listing a card for sale or making an offer.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before doing this',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Authorize by role
+ *
+ * Goes AFTER protect. Pass in the roles that are allowed, like:
+ *   router.put('/:id/hide', protect, authorize('moderator', 'admin'), hideListing)
+ *
+ * I learned that a function that RETURNS middleware is a common pattern
+ * in Express when the middleware needs some configuration.
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do this',
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Protect a route and let API keys with the given scope use it
+ *
+ * Use this INSTEAD of protect, like:
+ *   router.get('/', requireScope('collection:read'), getMyCollection)
+ *
+ * Logged in users (JWT) can use the route as normal - scopes only limit
+ * API keys. Routes that stick with plain protect can't be used with an
+ * API key at all, so every route has to opt in to key access on purpose.
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    req.requiredScope = scope;
+    return protect(req, res, next);
+  };
+};
+
+module.exports = { protect, optionalAuth, requireVerifiedEmail, authorize, requireScope };
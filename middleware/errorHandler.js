@@ -13,10 +13,18 @@ const errorHandler = (err, req, res, next) => {
     console.error(err.stack);
   }
 
-  // Default to 500 (Internal Server Error) if no status is set
-  let statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  // Default to 500 (Internal Server Error) if no status is set.
+  // Errors we throw ourselves can say which status they mean with statusCode.
+  let statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
   let message = err.message;
 
+  // Multer errors - a file that's too big, too many files, wrong field name.
+  // Those are all problems with the upload, not the server.
+  if (err.name === 'MulterError') {
+    statusCode = 400;
+    if (err.code === 'LIMIT_FILE_SIZE') message = 'File is too large';
+  }
+
   // Handle specific Mongoose errors with better messages
   // These are common errors I've run into during development
 
@@ -0,0 +1,83 @@
+/**
+ * Rate Limit Middleware
+ *
+ * Counts requests per client in a fixed time window and answers with
+ * 429 Too Many Requests once the limit is hit. The actual limits for each
+ * route are set up in config/rateLimits.js - this file is just the
+ * generic middleware factory.
+ *
+ * Every response gets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+ * headers, and 429s also get Retry-After (in seconds) so clients know how
+ * long to wait instead of hammering the API.
+ */
+
+const { getStore } = require('../utils/rateLimitStores');
+const { getClientInfo } = require('../utils/sessions');
+
+/**
+ * Set the Retry-After header and send a 429
+ * Exported so the login lockout can send the exact same response.
+ *
+ * @param {Object} res - Express response
+ * @param {number} retryAfterSeconds
+ * @param {string} message
+ */
+const sendTooManyRequests = (res, retryAfterSeconds, message) => {
+  const seconds = Math.max(1, Math.ceil(retryAfterSeconds));
+  res.set('Retry-After', String(seconds));
+
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter: seconds,
+  });
+};
+
+/**
+ * Create a rate limiting middleware
+ *
+ * @param {Object} options
+ * @param {string} options.name - Prefix for the counter keys (keeps limiters separate)
+ * @param {number} options.windowMs - Length of the window in ms
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} [options.keyGenerator] - (req) => key, defaults to client IP
+ * @param {string} [options.store] - 'memory' or 'mongo' (defaults to RATE_LIMIT_STORE)
+ * @param {string} [options.message] - Error message for 429 responses
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => getClientInfo(req).ip,
+  store,
+  message = 'Too many requests, please try again later',
+}) => {
+  return async (req, res, next) => {
+    let result;
+
+    try {
+      const key = `${name}:${keyGenerator(req)}`;
+      result = await getStore(store).increment(key, windowMs);
+    } catch (error) {
+      // If the store is down (e.g. Mongo hiccup) let the request through.
+      // Blocking every login because the counter failed would be worse.
+      console.error(`Rate limit store error (${name}):`, error.message);
+      return next();
+    }
+
+    const secondsUntilReset = (result.resetAt.getTime() - Date.now()) / 1000;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+    res.set('RateLimit-Reset', String(Math.max(0, Math.ceil(secondsUntilReset))));
+
+    if (result.count > max) {
+      return sendTooManyRequests(res, secondsUntilReset, message);
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit, sendTooManyRequests };
@@ -0,0 +1,46 @@
+/**
+ * ApiCacheEntry Model
+ *
+ * Backing collection for the Mongo cache store (utils/cacheStores.js).
+ * Each document is one cached TCGdex or Pokewallet response.
+ *
+ * The memory store is faster, but every server process has its own copy
+ * and it's empty after a restart. With this one every instance shares the
+ * same cache, so a card only gets fetched once no matter which server
+ * handles the page view.
+ */
+
+const mongoose = require('mongoose');
+
+const apiCacheEntrySchema = new mongoose.Schema({
+  // "<source>:<key>", e.g. "tcgdex:card:en:swsh3-136"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Whatever the lookup returned (null for "not found")
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+
+  // Until then the value is served as is. After it, it's still served
+  // but refreshed in the background.
+  freshUntil: {
+    type: Date,
+    required: true,
+  },
+
+  // After this the entry is too old to serve at all
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// TTL index - Mongo deletes entries once they're too old to serve
+apiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ApiCacheEntry', apiCacheEntrySchema);
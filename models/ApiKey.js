@@ -0,0 +1,102 @@
+/**
+ * ApiKey Model
+ *
+ * Personal API keys that users create for their own scripts and tools
+ * (like syncing inventory from a spreadsheet), so they don't have to
+ * copy a short-lived login token around.
+ *
+ * Same idea as the Session refresh tokens - only a SHA-256 hash of the
+ * key is stored. The full key is shown once when it's created, and after
+ * that we only keep the first few characters so the user can tell their
+ * keys apart.
+ */
+
+const mongoose = require('mongoose');
+const { SCOPE_NAMES } = require('../config/apiScopes');
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    // Who this key acts as
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // A label the user picks, like "Inventory spreadsheet"
+    name: {
+      type: String,
+      required: [true, 'Please give the API key a name'],
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters'],
+    },
+
+    // SHA-256 hash of the full key - used to look it up on each request
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    // Start of the key (e.g. "cvk_1a2b3c4d") for display only
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    // What the key is allowed to do - see config/apiScopes.js
+    scopes: {
+      type: [String],
+      enum: {
+        values: SCOPE_NAMES,
+        message: '{VALUE} is not a valid scope',
+      },
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'Please choose at least one scope',
+      },
+    },
+
+    // Keys always expire so a forgotten key doesn't work forever
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Updated (at most every minute) when the key is used
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedIp: {
+      type: String,
+      default: '',
+    },
+
+    // Set when the user deletes the key (kept around so it shows in history)
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// For listing a user's keys
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+/**
+ * Instance Method: Is Active
+ *
+ * A key works until it's revoked or its expiry date passes.
+ */
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
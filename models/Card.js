@@ -4,9 +4,13 @@
  * This stores card information fetched from the TCGdex API.
  * I'm caching cards locally so we can track price history over time
  * and link cards to collections, wishlists, and listings.
+ *
+ * The catalog sync (utils/catalogSync.js) fills this with every card
+ * TCGdex has, so search can run against our own database.
  */
 
 const mongoose = require('mongoose');
+const { CARD_VARIANTS } = require('../utils/cardCatalog');
 
 const cardSchema = new mongoose.Schema(
   {
@@ -25,6 +29,15 @@ const cardSchema = new mongoose.Schema(
       index: true, // Index for search functionality
     },
 
+    // The card's name in other languages, keyed by language code
+    // ({ fr: 'Pikachu', de: 'Pikachu', ja: 'ピカチュウ' }). name above is
+    // always English - see config/languages.js.
+    localizedNames: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+
     // Which TCG game this card belongs to
     game: {
       type: String,
@@ -71,6 +84,148 @@ const cardSchema = new mongoose.Schema(
       default: '',
     },
 
+    // Pokemon, Trainer or Energy
+    category: {
+      type: String,
+      default: '',
+    },
+
+    // Hit points - only Pokemon cards have these
+    hp: {
+      type: Number,
+      default: null,
+    },
+
+    // Energy types like ['Fire'] or ['Water', 'Psychic']
+    types: {
+      type: [String],
+      default: [],
+    },
+
+    illustrator: {
+      type: String,
+      default: '',
+    },
+
+    // Evolution stage with spaces removed - 'Basic', 'Stage1', 'Stage2', 'VMAX'...
+    stage: {
+      type: String,
+      default: '',
+    },
+
+    // The letter in the bottom corner that decides Standard format legality ('G', 'H'...)
+    regulationMark: {
+      type: String,
+      default: '',
+    },
+
+    // Game mechanics - filled by the catalog sync from TCGdex, or from
+    // Pokewallet (utils/pokemonTcgApi.js) when TCGdex doesn't have them.
+    // damageValue is the number part of damage ("130+" -> 130) so we can
+    // search by it.
+    attacks: [
+      {
+        _id: false,
+        name: { type: String, default: '' },
+        cost: { type: [String], default: [] },
+        damage: { type: String, default: '' },
+        damageValue: { type: Number, default: null },
+        text: { type: String, default: '' },
+      },
+    ],
+
+    // I have to write { type: { type: String } } here because "type" is
+    // a special word in Mongoose schemas
+    weaknesses: [
+      {
+        _id: false,
+        type: { type: String },
+        value: { type: String, default: '' },
+      },
+    ],
+
+    resistances: [
+      {
+        _id: false,
+        type: { type: String },
+        value: { type: String, default: '' },
+      },
+    ],
+
+    // Abilities (Ability, Poké-Power, Ancient Trait...), same sources as the attacks
+    abilities: [
+      {
+        _id: false,
+        name: { type: String, default: '' },
+        text: { type: String, default: '' },
+        type: { type: String, default: '' },
+      },
+    ],
+    // Number of energy needed to retreat
+    retreatCost: {
+      type: Number,
+      default: null,
+    },
+
+    // Where the mechanics above came from
+    mechanicsSource: {
+      type: String,
+      enum: ['', 'tcgdex', 'pokewallet'],
+      default: '',
+    },
+
+    // The Pokewallet card this one is matched to (utils/cardMechanics.js).
+    // Pokewallet has its own IDs, so the match is found by name and card
+    // number - confidence (0-1) says how sure that was, and an admin can
+    // fix a wrong one. Once it's saved the card page doesn't call
+    // Pokewallet anymore, so mechanics still show when it's down.
+    pokewallet: {
+      // '' means no match
+      id: { type: String, default: '' },
+      confidence: { type: Number, default: null },
+      // auto = picked by the search, admin = set by hand
+      matchedBy: { type: String, enum: ['', 'auto', 'admin'], default: '' },
+      // null means we've never matched it
+      matchedAt: { type: Date, default: null },
+      // Everything getCardMechanics parsed (abilities, rules, retreat cost
+      // as energy...) in the shape the card page uses
+      mechanics: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    // Magic: The Gathering details from the Scryfall import
+    // (utils/scryfallBulk.js) - colors, manaCost, typeLine, oracleText,
+    // flavorText, releasedAt and Scryfall's raw prices. null for other games.
+    magic: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // The printings this card comes in (see CARD_VARIANTS in
+    // utils/cardCatalog.js), from its provider. Collection entries,
+    // listings and wishlists can only pick one of these or extraVariants.
+    // Empty means we don't know yet.
+    variants: {
+      type: [String],
+      enum: CARD_VARIANTS,
+      default: [],
+    },
+
+    // Printings the provider can't tell us about (shadowless, stamped
+    // promos), added by an admin. Kept separate so the catalog sync
+    // doesn't overwrite them.
+    extraVariants: {
+      type: [String],
+      enum: CARD_VARIANTS,
+      default: [],
+    },
+
+    // Latest TCGplayer (USD) market price per variant ({ holofoil: 420.5 }),
+    // refreshed along with currentPrice
+    variantPrices: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+
     // Current market price (we'll update this periodically)
     currentPrice: {
       type: Number,
@@ -93,6 +248,13 @@ const cardSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+
+    // When the catalog sync last refreshed this card from TCGdex
+    // null means it was only created from a user action (collection add, listing, etc.)
+    catalogSyncedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -102,4 +264,14 @@ const cardSchema = new mongoose.Schema(
 // Compound index for efficient game + name searches
 cardSchema.index({ game: 1, name: 1 });
 
+// For listing the cards in a set in order
+cardSchema.index({ setCode: 1, cardNumber: 1 });
+
+// For the advanced search filters (type + HP is the most common combo)
+cardSchema.index({ game: 1, types: 1, hp: 1 });
+cardSchema.index({ stage: 1 });
+cardSchema.index({ 'weaknesses.type': 1 });
+// For the admin list of uncertain Pokewallet matches
+cardSchema.index({ 'pokewallet.matchedBy': 1, 'pokewallet.confidence': 1 });
+
 module.exports = mongoose.model('Card', cardSchema);
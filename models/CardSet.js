@@ -0,0 +1,79 @@
+/**
+ * CardSet Model
+ *
+ * A set/expansion from TCGdex (like "Darkness Ablaze"). Filled in by the
+ * catalog sync along with the cards, so we know every set that exists
+ * and how many cards are in it without asking TCGdex each time.
+ *
+ * Cards point to their set with Card.setCode (same value as externalId here)
+ * and Card.game.
+ */
+
+const mongoose = require('mongoose');
+
+const cardSetSchema = new mongoose.Schema(
+  {
+    // The set's ID from TCGdex (e.g., 'swsh3'), or the set code from
+    // Scryfall for Magic ('neo'). Only unique within a game - see below.
+    externalId: {
+      type: String,
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+    },
+
+    game: {
+      type: String,
+      default: 'pokemon',
+    },
+
+    // The series the set belongs to (e.g., 'Sword & Shield')
+    series: {
+      type: String,
+      default: '',
+    },
+
+    releaseDate: {
+      type: Date,
+      default: null,
+    },
+
+    // total includes secret rares, official is the number printed on the cards ("/189")
+    cardCount: {
+      total: { type: Number, default: 0 },
+      official: { type: Number, default: 0 },
+    },
+
+    logoUrl: {
+      type: String,
+      default: '',
+    },
+
+    symbolUrl: {
+      type: String,
+      default: '',
+    },
+
+    // When the catalog sync last refreshed this set
+    catalogSyncedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The games' set IDs come from different places, so a Magic set code
+// could be the same as a TCGdex set ID. (This used to be unique on
+// externalId alone - run `npm run drop-old-indexes` on an existing database.)
+cardSetSchema.index({ game: 1, externalId: 1 }, { unique: true });
+
+// Newest sets first is the usual way to show them
+cardSetSchema.index({ game: 1, releaseDate: -1 });
+
+module.exports = mongoose.model('CardSet', cardSetSchema);
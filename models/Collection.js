@@ -7,6 +7,7 @@
  */
 
 const mongoose = require('mongoose');
+const { CARD_VARIANTS } = require('../utils/cardCatalog');
 
 const collectionSchema = new mongoose.Schema(
   {
@@ -32,6 +33,14 @@ const collectionSchema = new mongoose.Schema(
       min: [1, 'Quantity must be at least 1'],
     },
 
+    // Which printing they have (1st Edition, reverse holo...) - has to be
+    // one the card comes in. null means they didn't say (older entries).
+    variant: {
+      type: String,
+      enum: [...CARD_VARIANTS, null],
+      default: null,
+    },
+
     // Condition of their copy
     condition: {
       type: String,
@@ -39,7 +48,22 @@ const collectionSchema = new mongoose.Schema(
       default: 'near_mint',
     },
 
-    // Optional notes (e.g., "PSA 10 graded", "signed by artist")
+    // For graded slabs (PSA, BGS, CGC). company is null for a raw card.
+    // Checked in utils/grading.js - half grades, BGS subgrades, cert number.
+    grading: {
+      company: { type: String, enum: ['PSA', 'BGS', 'CGC', null], default: null },
+      grade: { type: Number, min: 1, max: 10, default: null },
+      // BGS only - all four or none
+      subgrades: {
+        centering: { type: Number, default: null },
+        corners: { type: Number, default: null },
+        edges: { type: Number, default: null },
+        surface: { type: Number, default: null },
+      },
+      certNumber: { type: String, default: '' },
+    },
+
+    // Optional notes (e.g., "signed by artist")
     notes: {
       type: String,
       maxlength: [500, 'Notes cannot exceed 500 characters'],
@@ -69,8 +93,16 @@ const collectionSchema = new mongoose.Schema(
   }
 );
 
-// Compound unique index - a user can only have one collection entry per card
-// If they have multiple copies, they increase quantity instead
-collectionSchema.index({ user: 1, card: 1 }, { unique: true });
+// Compound unique index - a user can only have one collection entry per
+// card, variant and slab. If they have multiple copies, they increase
+// quantity instead. Raw copies all share one entry, and graded ones are
+// split by company, grade and cert number - so two PSA 10s with their
+// cert numbers are two entries. (This used to be { user, card } and then
+// { user, card, variant } - on an existing database run
+// `npm run drop-old-indexes` so the old one doesn't block new entries.)
+collectionSchema.index(
+  { user: 1, card: 1, variant: 1, 'grading.company': 1, 'grading.grade': 1, 'grading.certNumber': 1 },
+  { unique: true }
+);
 
 module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,79 @@
+/**
+ * IdentityLink Model
+ *
+ * A pending request to attach a social login (Google, X, Apple) to an
+ * existing CardVault account that has the same email address.
+ *
+ * We used to link these automatically, which meant anyone who could get a
+ * social account with your email on it could log into your CardVault
+ * account. Now the link waits here until the existing account owner
+ * confirms it - either by re-entering their password or by clicking a
+ * link we email them.
+ *
+ * Two tokens are involved:
+ *   - tokenHash: handed to the person doing the social login. It proves
+ *     they really have the social identity (we verified it with Auth0).
+ *   - emailTokenHash: only sent to the account's email address. It proves
+ *     they own the existing account.
+ */
+
+const mongoose = require('mongoose');
+
+const identityLinkSchema = new mongoose.Schema(
+  {
+    // The existing account the identity would be linked to
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // The social identity waiting to be linked
+    auth0Id: {
+      type: String,
+      required: true,
+    },
+
+    provider: {
+      type: String,
+      enum: ['google', 'twitter', 'apple'],
+      required: true,
+    },
+
+    // Email reported (and verified) by the provider
+    email: {
+      type: String,
+      default: '',
+    },
+
+    // Hash of the link token returned from POST /api/auth/social
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Hash of the confirmation token sent by email (only set once requested)
+    emailTokenHash: {
+      type: String,
+      default: null,
+    },
+
+    // Pending links don't stick around - 30 minutes is plenty
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// TTL index - MongoDB cleans up old pending links by itself
+identityLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+identityLinkSchema.index({ emailTokenHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model('IdentityLink', identityLinkSchema);
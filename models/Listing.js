@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const { CARD_VARIANTS } = require('../utils/cardCatalog');
 
 const listingSchema = new mongoose.Schema(
   {
@@ -33,6 +34,14 @@ const listingSchema = new mongoose.Schema(
       min: [0.01, 'Price must be at least $0.01'],
     },
 
+    // Which printing is for sale (1st Edition, reverse holo...) - has to
+    // be one the card comes in. null means the seller didn't say.
+    variant: {
+      type: String,
+      enum: [...CARD_VARIANTS, null],
+      default: null,
+    },
+
     // Physical condition of the card
     condition: {
       type: String,
@@ -44,10 +53,28 @@ const listingSchema = new mongoose.Schema(
       default: 'near_mint',
     },
 
+    // For graded slabs (PSA, BGS, CGC). company is null for a raw card.
+    // Checked in utils/grading.js - graded listings need the cert number so
+    // buyers can look the slab up.
+    grading: {
+      company: { type: String, enum: ['PSA', 'BGS', 'CGC', null], default: null },
+      grade: { type: Number, min: 1, max: 10, default: null },
+      // BGS only - all four or none
+      subgrades: {
+        centering: { type: Number, default: null },
+        corners: { type: Number, default: null },
+        edges: { type: Number, default: null },
+        surface: { type: Number, default: null },
+      },
+      certNumber: { type: String, default: '' },
+    },
+
     // Current status of the listing
+    // 'hidden' means a moderator took it down - it drops out of every
+    // marketplace query since those all filter on status: 'active'
     status: {
       type: String,
-      enum: ['active', 'sold', 'expired', 'cancelled'],
+      enum: ['active', 'sold', 'expired', 'cancelled', 'hidden'],
       default: 'active',
       index: true,
     },
@@ -72,6 +99,13 @@ const listingSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // Why a moderator hid this listing (shown to the seller)
+    moderation: {
+      hiddenAt: { type: Date, default: null },
+      hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      reason: { type: String, default: '' },
+    },
+
     // Quantity available (some sellers have multiples)
     quantity: {
       type: Number,
@@ -90,4 +124,7 @@ listingSchema.index({ status: 1, createdAt: -1 });
 // Index for finding listings by card
 listingSchema.index({ card: 1, status: 1 });
 
+// Index for the minimum grade filter on the marketplace
+listingSchema.index({ status: 1, 'grading.company': 1, 'grading.grade': -1 });
+
 module.exports = mongoose.model('Listing', listingSchema);
@@ -0,0 +1,54 @@
+/**
+ * LoginThrottle Model
+ *
+ * Tracks failed login attempts per account and per IP address so we can
+ * lock out password guessing. Each failure past the threshold doubles
+ * the lockout time (exponential backoff), up to a maximum.
+ *
+ * This is separate from the RateLimit counters because it needs to
+ * remember more than a count - when the lock ends and when the last
+ * failure was, so old failures can be forgotten.
+ */
+
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    // "account:<email>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Failed attempts since the last reset
+    failures: {
+      type: Number,
+      default: 0,
+    },
+
+    // Logins are refused until this time
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    lastFailureAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Remove the record once nobody has failed for a while
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
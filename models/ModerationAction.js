@@ -0,0 +1,77 @@
+/**
+ * ModerationAction Model
+ *
+ * An audit log of everything moderators and admins do - hiding listings,
+ * removing reviews, suspending users, changing roles, fixing prices.
+ * If a moderator makes a bad call, this is how we find out who did what and why.
+ *
+ * Entries are only ever created, never edited or deleted.
+ */
+
+const mongoose = require('mongoose');
+
+const moderationActionSchema = new mongoose.Schema(
+  {
+    // The moderator or admin who did it
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // What they did
+    action: {
+      type: String,
+      enum: [
+        'hide_listing',
+        'unhide_listing',
+        'remove_review',
+        'restore_review',
+        'suspend_user',
+        'unsuspend_user',
+        'change_role',
+        'add_price',
+        'correct_price',
+        'fix_mechanics_match',
+        'set_card_variants',
+      ],
+      required: true,
+    },
+
+    // What kind of thing it was done to
+    targetType: {
+      type: String,
+      enum: ['Listing', 'Review', 'User', 'PriceHistory', 'Card'],
+      required: true,
+    },
+
+    // refPath lets this point at a different collection depending on targetType
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'targetType',
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: '',
+    },
+
+    // Anything extra worth keeping (old/new role, suspension end date, etc.)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// For the admin log page (newest first) and "history for this target"
+moderationActionSchema.index({ createdAt: -1 });
+moderationActionSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
@@ -3,6 +3,8 @@
  *
  * Stores notifications for trade offer events so users can see
  * when something happens on their offers without manually checking.
+ * Price alerts use it too - those point at a card and an alert instead
+ * of an offer.
  *
  * I learned that compound indexes help a lot when you're querying
  * by multiple fields together - like getting all unread notifications
@@ -25,7 +27,7 @@ const notificationSchema = new mongoose.Schema(
     // This helps the frontend style them differently if needed
     type: {
       type: String,
-      enum: ['offer_received', 'offer_accepted', 'offer_declined', 'offer_cancelled', 'payment_received', 'review_received'],
+      enum: ['offer_received', 'offer_accepted', 'offer_declined', 'offer_cancelled', 'payment_received', 'review_received', 'price_alert'],
       required: true,
     },
 
@@ -37,10 +39,26 @@ const notificationSchema = new mongoose.Schema(
     },
 
     // Link back to the trade offer so users can click through
+    // Every type except price_alert is about an offer
     relatedOffer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'TradeOffer',
-      required: true,
+      required: function () {
+        return this.type !== 'price_alert';
+      },
+      default: null,
+    },
+
+    // For price alerts - the card whose price moved and the alert that fired
+    relatedCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Card',
+      default: null,
+    },
+    relatedAlert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceAlert',
+      default: null,
     },
 
     // Whether the user has seen/read this notification
@@ -0,0 +1,113 @@
+/**
+ * PriceAlert Model
+ *
+ * A rule a user sets up on one card's price, e.g. "tell me when this
+ * Charizard drops below $200" or "tell me if it goes up 20% in a week".
+ * Alerts are checked in utils/priceAlerts.js every time new price
+ * snapshots get recorded for the card, and fire a price_alert notification.
+ *
+ * Types:
+ *   above          - price is at or above threshold
+ *   below          - price is at or below threshold
+ *   percent_change - price moved by percent over the last `days` days
+ *                    (positive percent = rise, negative = drop)
+ *
+ * above/below alerts only fire when the price crosses the threshold, not
+ * every day it stays past it - `armed` tracks that. percent_change alerts
+ * fire at most once per `days` window.
+ */
+
+const mongoose = require('mongoose');
+
+const priceAlertSchema = new mongoose.Schema(
+  {
+    // Who gets notified
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // The card being watched
+    card: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Card',
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: ['above', 'below', 'percent_change'],
+      required: true,
+    },
+
+    // Target price for above/below alerts (in the source's currency)
+    threshold: {
+      type: Number,
+      default: null,
+    },
+
+    // How much the price has to move for percent_change alerts, e.g. 20 or -15
+    percent: {
+      type: Number,
+      default: null,
+    },
+
+    // The window for percent_change alerts
+    days: {
+      type: Number,
+      min: 1,
+      max: 365,
+      default: 7,
+    },
+
+    // Which price series to watch (same values as PriceHistory)
+    source: {
+      type: String,
+      enum: ['tcgplayer', 'cardmarket'],
+      default: 'tcgplayer',
+    },
+
+    // null means any variant the card has a price for
+    variant: {
+      type: String,
+      enum: ['normal', 'reverseHolo', 'holofoil', 'firstEditionNormal', 'firstEditionHolofoil', 'holo', null],
+      default: null,
+    },
+
+    // Paused alerts are kept but never checked
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    // above/below: false after firing, true again once the price is back
+    // on the other side of the threshold
+    armed: {
+      type: Boolean,
+      default: true,
+    },
+
+    lastTriggeredAt: {
+      type: Date,
+      default: null,
+    },
+    lastTriggeredPrice: {
+      type: Number,
+      default: null,
+    },
+    triggerCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Used every time snapshots are recorded: "active alerts for card X"
+priceAlertSchema.index({ card: 1, active: 1 });
+
+module.exports = mongoose.model('PriceAlert', priceAlertSchema);
@@ -19,11 +19,42 @@ const priceHistorySchema = new mongoose.Schema({
   },
 
   // The price at this point in time
+  // For TCGplayer this is the market price, for Cardmarket the trend price
   price: {
     type: Number,
     required: true,
   },
 
+  // The rest of the price range, when the source gives it to us
+  low: { type: Number, default: null },
+  mid: { type: Number, default: null },
+  high: { type: Number, default: null },
+
+  currency: {
+    type: String,
+    enum: ['USD', 'EUR'],
+    default: 'USD',
+  },
+
+  // Which printing the price is for - a holo and a reverse holo of the same
+  // card can be worth very different amounts, so they're separate series.
+  // TCGplayer splits prices into normal/reverseHolo/holofoil (plus 1st
+  // edition for old sets), Cardmarket only into normal/holo.
+  // null on old snapshots from before we tracked variants.
+  variant: {
+    type: String,
+    enum: [
+      'normal',
+      'reverseHolo',
+      'holofoil',
+      'firstEditionNormal',
+      'firstEditionHolofoil',
+      'holo',
+      null,
+    ],
+    default: null,
+  },
+
   // When this price was recorded
   date: {
     type: Date,
@@ -33,10 +64,13 @@ const priceHistorySchema = new mongoose.Schema({
   },
 
   // Where the price data came from
+  // tcgplayer (USD) and cardmarket (EUR) both come to us through TCGdex.
+  // 'tcgdex' is what older snapshots used - one blended price per day,
+  // usually TCGplayer but falling back to Cardmarket.
   source: {
     type: String,
-    default: 'tcgdex',
-    enum: ['tcgdex', 'manual', 'import'],
+    default: 'tcgplayer',
+    enum: ['tcgplayer', 'cardmarket', 'tcgdex', 'manual', 'import'],
   },
 
   // Card condition - prices vary by condition
@@ -45,10 +79,60 @@ const priceHistorySchema = new mongoose.Schema({
     default: 'near_mint',
     enum: ['near_mint', 'lightly_played', 'moderately_played', 'heavily_played', 'damaged'],
   },
+
+  // Graded slabs are their own series - a PSA 10 can sell for many times
+  // a raw near mint copy. Graded prices only come from manual entries and
+  // imports. null on raw card prices (everything the daily job records).
+  gradingCompany: {
+    type: String,
+    enum: ['PSA', 'BGS', 'CGC', null],
+    default: null,
+  },
+
+  grade: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: null,
+  },
+
+  // Who added it, for imported and manually entered prices
+  // (snapshots from the daily job don't have one)
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  // Every row from the same bulk import shares this ID (utils/priceImport.js)
+  importBatch: {
+    type: String,
+    default: null,
+    index: true,
+  },
+
+  // Free text an admin can add to a manual entry ("price from a local auction")
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: '',
+  },
+
+  // Set when an admin fixes a wrong price. originalPrice is the price
+  // before the FIRST correction, so it can always be put back.
+  correction: {
+    originalPrice: { type: Number, default: null },
+    correctedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    correctedAt: { type: Date, default: null },
+    reason: { type: String, default: '' },
+  },
 });
 
 // Compound index for querying price history of a specific card
 // This makes "get all prices for card X sorted by date" very fast
 priceHistorySchema.index({ card: 1, date: -1 });
 
+// For charts of one series (e.g. TCGplayer holofoil, near mint, or PSA 10)
+priceHistorySchema.index({ card: 1, source: 1, variant: 1, condition: 1, gradingCompany: 1, grade: 1, date: -1 });
+
 module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -0,0 +1,72 @@
+/**
+ * PriceSnapshotRun Model
+ *
+ * One document per day of the price snapshot job (utils/priceSnapshots.js).
+ * It's how the job knows what it already did today - if the server restarts
+ * halfway through, the next run picks up after lastCardId instead of
+ * starting over. It's also what the admin status endpoint shows.
+ */
+
+const mongoose = require('mongoose');
+
+const priceSnapshotRunSchema = new mongoose.Schema(
+  {
+    // The UTC day this run is for, as 'YYYY-MM-DD'
+    runDate: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+
+    // How many cards needed a snapshot when the run started (or resumed)
+    totalCards: {
+      type: Number,
+      default: 0,
+    },
+
+    // Cards are processed in _id order, so everything up to and including
+    // this one is done. null means nothing has been processed yet.
+    lastCardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    processed: { type: Number, default: 0 },
+    snapshotsSaved: { type: Number, default: 0 },
+
+    // Already had a snapshot today (e.g. from the card page)
+    skipped: { type: Number, default: 0 },
+
+    // TCGdex had no price for the card
+    noPrice: { type: Number, default: 0 },
+
+    errorCount: { type: Number, default: 0 },
+
+    // Only the first few error messages are kept
+    errorMessages: {
+      type: [String],
+      default: [],
+    },
+
+    // How many times the run was picked up again after being interrupted
+    resumeCount: { type: Number, default: 0 },
+
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+
+    // Updated after every batch - a "running" run that hasn't been touched
+    // in a while was interrupted and can be resumed
+    heartbeatAt: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('PriceSnapshotRun', priceSnapshotRunSchema);
@@ -0,0 +1,38 @@
+/**
+ * RateLimit Model
+ *
+ * Backing collection for the Mongo rate limit store. Each document is one
+ * counter for one key (like "login:203.0.113.5") in the current window.
+ *
+ * The memory store is faster, but it only works when there's a single
+ * server process. With more than one instance each process would keep its
+ * own counts, so this lets all of them share the same counters.
+ */
+
+const mongoose = require('mongoose');
+
+const rateLimitSchema = new mongoose.Schema({
+  // "<limiter name>:<client key>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Requests counted in the current window
+  count: {
+    type: Number,
+    default: 0,
+  },
+
+  // When the current window ends and the count starts over
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// TTL index - old windows get cleaned up automatically
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -54,6 +54,25 @@ const reviewSchema = new mongoose.Schema(
       maxlength: [500, 'Review cannot exceed 500 characters'],
       default: '',
     },
+
+    // Set when a moderator removes the review
+    // I keep the document around instead of deleting it so there's a record,
+    // but removed reviews don't show up publicly or count toward the rating
+    removedAt: {
+      type: Date,
+      default: null,
+    },
+
+    removedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    removedReason: {
+      type: String,
+      default: '',
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,98 @@
+/**
+ * Session Model
+ *
+ * Every login (email/password or social) creates one of these.
+ * The access token JWT carries the session ID, and the refresh token
+ * is checked against the hash stored here. That way logging out (or
+ * revoking a session) actually kills the login on the server instead
+ * of just hoping the client deletes its token.
+ *
+ * I'm only storing a SHA-256 hash of the refresh token - same idea as
+ * not storing plain text passwords. If the database leaks, the hashes
+ * can't be used to get new access tokens.
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // Who this session belongs to
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // Hash of the current refresh token - changes on every refresh (rotation)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+
+    // How the user logged in for this session
+    authProvider: {
+      type: String,
+      enum: ['local', 'google', 'twitter', 'apple'],
+      default: 'local',
+    },
+
+    // Device info so users can tell their sessions apart
+    userAgent: {
+      type: String,
+      default: '',
+    },
+
+    ip: {
+      type: String,
+      default: '',
+    },
+
+    // Updated (at most every few minutes) when the session is used
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // When the refresh token stops working - pushed forward on each refresh
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Set when the user logs out or the session gets killed for another reason
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Why the session was revoked (logout, token reuse, etc.)
+    revokedReason: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// TTL index - MongoDB deletes sessions automatically once they expire
+// I learned that expireAfterSeconds: 0 means "delete at the time stored in the field"
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// For listing a user's active sessions
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+/**
+ * Instance Method: Is Active
+ *
+ * A session is usable if it hasn't been revoked and hasn't expired yet.
+ * The TTL index cleans up expired ones eventually, but it only runs
+ * about once a minute so I check the date here too.
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
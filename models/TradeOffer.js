@@ -8,6 +8,7 @@
  */
 
 const mongoose = require('mongoose');
+const { CARD_VARIANTS } = require('../utils/cardCatalog');
 
 const tradeOfferSchema = new mongoose.Schema(
   {
@@ -43,6 +44,13 @@ const tradeOfferSchema = new mongoose.Schema(
       required: true,
     },
 
+    // The listing's variant when the offer was made, same idea as listingPrice
+    variant: {
+      type: String,
+      enum: [...CARD_VARIANTS, null],
+      default: null,
+    },
+
     // The price the buyer is offering
     offeredPrice: {
       type: Number,
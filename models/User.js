@@ -8,6 +8,36 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyCode, normalizeRecoveryCode } = require('../utils/totp');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+
+// A social login identity linked to this account (Google, X, Apple)
+// One user can have several - e.g. a password plus Google plus Apple
+const identitySchema = new mongoose.Schema({
+  // Auth0 "sub" claim like "google-oauth2|123456789"
+  auth0Id: {
+    type: String,
+    required: true,
+  },
+
+  provider: {
+    type: String,
+    enum: ['google', 'twitter', 'apple'],
+    required: true,
+  },
+
+  // The email the provider gave us when it was linked (just for display)
+  email: {
+    type: String,
+    default: '',
+  },
+
+  linkedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 // Define the schema - this is like a blueprint for user documents
 const userSchema = new mongoose.Schema(
@@ -42,7 +72,9 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: [
         function () {
-          return !this.auth0Id;
+          return (
+            !this.auth0Id && !(this.identities && this.identities.length) && !this.deletedAt
+          );
         },
         'Please provide a password',
       ],
@@ -52,12 +84,20 @@ const userSchema = new mongoose.Schema(
 
     // Auth0 ID for social login users (e.g. "google-oauth2|123456789")
     // sparse: true lets multiple users have null here (all local auth users)
+    // Older accounts only have this field - newer ones use identities below.
+    // auth0Controller moves it into identities the next time they log in.
     auth0Id: {
       type: String,
       unique: true,
       sparse: true,
     },
 
+    // Social login identities linked to this account
+    identities: {
+      type: [identitySchema],
+      default: [],
+    },
+
     // How the user signed up - helps us know if they can change their password
     authProvider: {
       type: String,
@@ -92,11 +132,108 @@ const userSchema = new mongoose.Schema(
       },
     },
 
+    // Language to show card names in (see config/languages.js)
+    preferredLanguage: {
+      type: String,
+      enum: {
+        values: SUPPORTED_LANGUAGES,
+        message: '{VALUE} is not a supported language',
+      },
+      default: DEFAULT_LANGUAGE,
+    },
+
     // Profile picture URL (optional)
     avatar: {
       type: String,
       default: '',
     },
+
+    // What the user is allowed to do
+    // moderators can hide listings, remove reviews and suspend regular users
+    // admins can do all of that plus change other users' roles
+    role: {
+      type: String,
+      enum: ['user', 'moderator', 'admin'],
+      default: 'user',
+    },
+
+    // Suspension info - set by a moderator or admin
+    // suspendedUntil: null with suspendedAt set means suspended indefinitely
+    suspension: {
+      suspendedAt: { type: Date, default: null },
+      suspendedUntil: { type: Date, default: null },
+      reason: { type: String, default: '' },
+      suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    },
+
+    // TOTP two-factor authentication (local accounts only)
+    // The secrets and recovery code hashes have select: false like the password,
+    // so they never end up in an API response by accident
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      // Base32 secret shared with the authenticator app
+      secret: { type: String, select: false },
+      // Secret from /2fa/setup that hasn't been confirmed with a code yet
+      pendingSecret: { type: String, select: false },
+      // SHA-256 hashes of unused recovery codes - each one is removed once used
+      recoveryCodeHashes: { type: [String], select: false, default: undefined },
+      // Last time step a code was accepted for, so the same code can't be used twice
+      lastUsedStep: { type: Number, select: false },
+    },
+
+    // Users this user has blocked - they can't make offers on this user's
+    // listings or message them, and their listings/wishlists are hidden
+    blockedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+    },
+
+    // Users this user has muted - their listings/wishlists are hidden,
+    // but unlike blocking they can still make offers and send messages
+    mutedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+    },
+
+    // Has the user confirmed they own this email address?
+    // Unverified users can browse but can't list cards or make offers.
+    // Accounts from before this existed are verified by
+    // scripts/verifyExistingUsers.js
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Email verification and password reset tokens
+    // Only the SHA-256 hash is stored - the raw token only goes out in the email
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // Set when the user deletes their account
+    // The document stays (anonymized) so past trades and reviews still
+    // point at something - see utils/accountData.js
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     // This adds createdAt and updatedAt fields automatically
@@ -104,6 +241,17 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Each social identity can only belong to one account
+// The partial filter skips users with no identities, otherwise every
+// email/password user would collide on the "missing" value
+userSchema.index(
+  { 'identities.auth0Id': 1 },
+  { unique: true, partialFilterExpression: { 'identities.auth0Id': { $exists: true } } }
+);
+
+// For "has this person blocked me?" checks before offers and messages
+userSchema.index({ blockedUsers: 1 });
+
 /**
  * Pre-save Hook for Password Hashing
  *
@@ -136,6 +284,91 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Instance Method: Check Two-Factor Code
+ *
+ * Accepts either a 6 digit authenticator code or one of the recovery codes.
+ * The user has to be loaded with the twoFactor secret fields selected, and
+ * the caller needs to save the user afterwards - this updates lastUsedStep
+ * (so a code can't be replayed) and removes used recovery codes.
+ *
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {boolean} Whether the code was accepted
+ */
+userSchema.methods.checkTwoFactor = function ({ code, recoveryCode } = {}) {
+  if (!this.twoFactor || !this.twoFactor.enabled) return false;
+
+  if (code) {
+    const step = verifyCode(this.twoFactor.secret, code);
+
+    // Reject codes from a time step that was already used
+    if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+      return false;
+    }
+
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(normalizeRecoveryCode(recoveryCode))
+      .digest('hex');
+    const hashes = this.twoFactor.recoveryCodeHashes || [];
+
+    if (!hashes.includes(hash)) return false;
+
+    // Recovery codes only work once
+    this.twoFactor.recoveryCodeHashes = hashes.filter((h) => h !== hash);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Instance Method: Is Suspended
+ *
+ * A suspension with an end date stops counting once that date passes,
+ * so temporary suspensions lift themselves without anyone doing anything.
+ */
+userSchema.methods.isSuspended = function () {
+  const { suspendedAt, suspendedUntil } = this.suspension || {};
+  if (!suspendedAt) return false;
+  return !suspendedUntil || suspendedUntil > new Date();
+};
+
+/**
+ * Instance Method: Create Email Verification Token
+ *
+ * Generates a random token, stores its hash on the user, and returns the
+ * raw token so it can be emailed. The caller still needs to save the user.
+ */
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+  return token;
+};
+
+/**
+ * Instance Method: Create Password Reset Token
+ *
+ * Same idea as the verification token, but it expires much faster (1 hour)
+ * since anyone with this token can take over the account.
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+  return token;
+};
+
 // Create and export the model
 // mongoose.model('User', userSchema) creates a collection called 'users' (lowercase, plural)
 module.exports = mongoose.model('User', userSchema);
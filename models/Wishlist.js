@@ -7,6 +7,7 @@
  */
 
 const mongoose = require('mongoose');
+const { CARD_VARIANTS } = require('../utils/cardCatalog');
 
 const wishlistSchema = new mongoose.Schema(
   {
@@ -25,6 +26,14 @@ const wishlistSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Which printing they want - null means any of them will do.
+    // Matching only suggests listings of this variant.
+    variant: {
+      type: String,
+      enum: [...CARD_VARIANTS, null],
+      default: null,
+    },
+
     // Maximum price they're willing to pay (for matching/alerts)
     maxPrice: {
       type: Number,
@@ -38,6 +47,22 @@ const wishlistSchema = new mongoose.Schema(
       default: 'moderately_played',
     },
 
+    // Lowest grade they'll accept - setting it means they only want
+    // graded slabs. null means raw cards are fine (any grade or none).
+    minGrade: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: null,
+    },
+
+    // Only slabs from this grading company - null means any of them
+    gradingCompany: {
+      type: String,
+      enum: ['PSA', 'BGS', 'CGC', null],
+      default: null,
+    },
+
     // Priority level for the user
     priority: {
       type: String,
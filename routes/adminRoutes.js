@@ -0,0 +1,86 @@
+/**
+ * Admin Routes
+ *
+ * Moderation and background job endpoints for moderators and admins.
+ * router.use() runs protect + authorize on every route in this file,
+ * so regular users get a 403 before any controller code runs.
+ * Changing roles is admin-only on top of that.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  hideListing,
+  unhideListing,
+  removeReview,
+  restoreReview,
+  suspendUser,
+  unsuspendUser,
+  updateUserRole,
+  getModerationActions,
+  getPriceSnapshots,
+  runPriceSnapshotNow,
+  getApiCache,
+  clearApiCache,
+  getUpstreams,
+  importPrices,
+  addManualPrice,
+  correctPrice,
+  getPokewalletMatches,
+  getPokewalletCandidates,
+  setPokewalletMatch,
+  setCardVariants,
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadPriceImport } = require('../config/uploads');
+
+// Everything here needs at least moderator access
+router.use(protect, authorize('moderator', 'admin'));
+
+// Audit log
+router.get('/actions', getModerationActions);
+
+// Listings
+router.put('/listings/:id/hide', hideListing);
+router.put('/listings/:id/unhide', unhideListing);
+
+// Reviews
+router.put('/reviews/:id/remove', removeReview);
+router.put('/reviews/:id/restore', restoreReview);
+
+// Users
+router.put('/users/:id/suspend', suspendUser);
+router.put('/users/:id/unsuspend', unsuspendUser);
+router.put('/users/:id/role', authorize('admin'), updateUserRole);
+
+// Background jobs
+router.get('/price-snapshots', getPriceSnapshots);
+router.post('/price-snapshots/run', authorize('admin'), runPriceSnapshotNow);
+
+// TCGdex/Pokewallet cache stats
+router.get('/cache', getApiCache);
+router.delete('/cache', authorize('admin'), clearApiCache);
+
+// Circuit breaker state for TCGdex, Pokewallet and Vision
+router.get('/upstreams', getUpstreams);
+
+// Price history imports and corrections (admin only)
+// The import takes a multipart "file" upload or a JSON body
+router.post(
+  '/price-history/import',
+  authorize('admin'),
+  uploadPriceImport.single('file'),
+  importPrices
+);
+router.post('/price-history', authorize('admin'), addManualPrice);
+router.put('/price-history/:id', authorize('admin'), correctPrice);
+
+// Card mechanics matched to the wrong Pokewallet card
+router.get('/pokewallet-matches', getPokewalletMatches);
+router.get('/cards/:externalId/pokewallet-candidates', getPokewalletCandidates);
+router.put('/cards/:externalId/pokewallet-match', authorize('admin'), setPokewalletMatch);
+
+// Printings the card data doesn't have (shadowless, stamped promos)
+router.put('/cards/:externalId/variants', authorize('admin'), setCardVariants);
+
+module.exports = router;
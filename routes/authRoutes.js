@@ -1,23 +1,78 @@
 /**
  * Auth Routes
  *
- * These routes handle user authentication - registration, login, logout.
+ * These routes handle user authentication - registration, login, refresh, logout.
  * I'm keeping routes simple - they just connect URLs to controller functions.
  */
 
 const express = require('express');
 const router = express.Router();
-const { register, login, logout, getMe } = require('../controllers/authController');
-const { socialLogin } = require('../controllers/auth0Controller');
-const { protect } = require('../middleware/auth');
+const {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  refresh,
+  logout,
+  getMe,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+} = require('../controllers/authController');
+const {
+  socialLogin,
+  linkWithPassword,
+  requestLinkEmail,
+  confirmLinkEmail,
+  verifyLinkTwoFactor,
+} = require('../controllers/auth0Controller');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
+const { protect, requireScope } = require('../middleware/auth');
+const {
+  loginLimiter,
+  twoFactorLimiter,
+  registerLimiter,
+  emailLimiter,
+  refreshLimiter,
+} = require('../config/rateLimits');
 
 // Public routes - no authentication needed
-router.post('/register', register);
-router.post('/login', login);
-router.post('/social', socialLogin);
+// The limiters (config/rateLimits.js) run first and answer 429 when hit
+router.post('/register', registerLimiter, register);
+router.post('/login', loginLimiter, login);
+router.post('/login/2fa', twoFactorLimiter, verifyTwoFactorLogin);
+router.post('/social', loginLimiter, socialLogin);
+
+// Confirming a social login link to an existing account with the same email
+router.post('/social/link', loginLimiter, linkWithPassword);
+router.post('/social/link/email', emailLimiter, requestLinkEmail);
+router.post('/social/link/confirm', confirmLinkEmail);
+router.post('/social/link/2fa', twoFactorLimiter, verifyLinkTwoFactor);
+
+// Swap a refresh token for a new access token (the refresh token is the credential)
+router.post('/refresh', refreshLimiter, refresh);
+
+// Email verification and password reset - the emailed token is the credential
+router.post('/verify-email', verifyEmail);
+router.post('/forgot-password', emailLimiter, forgotPassword);
+router.post('/reset-password', resetPassword);
 
 // Protected routes - require valid JWT
 router.post('/logout', protect, logout);
-router.get('/me', protect, getMe);
+router.get('/me', requireScope('profile:read'), getMe);
+router.post('/resend-verification', protect, emailLimiter, resendVerification);
+
+// Two-factor auth management
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, twoFactorLimiter, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 
 module.exports = router;
@@ -2,8 +2,12 @@
  * Card Routes
  *
  * Routes for card search, lookup, and price history.
- * Everything goes through TCGdex now (Pokemon TCG only).
+ * Every route takes ?game= (default pokemon) and the controller asks that
+ * game's provider - TCGdex for Pokemon, a Scryfall bulk file for Magic
+ * (see utils/cardProviders.js). Scanning is Pokemon only.
  * All routes are public since users should be able to browse without logging in.
+ * optionalAuth is there so logged in users get card names in their
+ * preferred language without passing ?lang= every time.
  */
 
 const express = require('express');
@@ -14,29 +18,43 @@ const {
   getCardPriceHistory,
   getRandomCards,
   scanCard,
+  getSets,
+  getSetById,
 } = require('../controllers/cardController');
 const { uploadScanImage } = require('../config/cloudinary');
+const { cardScanLimiter } = require('../config/rateLimits');
+const { optionalAuth } = require('../middleware/auth');
 
-// Search Pokemon cards by name
-// GET /api/cards/search?q=pikachu&limit=20
-router.get('/search', searchCards);
+// Search cards by name
+// GET /api/cards/search?q=pikachu&limit=20&lang=fr
+// GET /api/cards/search?q=lightning bolt&game=magic
+router.get('/search', optionalAuth, searchCards);
 
 // Get random cards (for featured/trending on home page)
 // GET /api/cards/random?count=8
-router.get('/random', getRandomCards);
+router.get('/random', optionalAuth, getRandomCards);
+
+// Browse sets/expansions from the local catalog
+// GET /api/cards/sets and GET /api/cards/sets/swsh3
+router.get('/sets', getSets);
+router.get('/sets/:setId', optionalAuth, getSetById);
 
 // Scan a card image with OCR and search for matches
 // POST /api/cards/scan
 // Accepts a single image file under the "cardImage" field
-router.post('/scan', uploadScanImage.single('cardImage'), scanCard);
+// Rate limited because every scan is a paid Google Vision call - the limiter
+// runs before the upload so blocked requests don't even hit Cloudinary.
+// optionalAuth lets the limiter count logged in users by account instead of IP.
+router.post('/scan', optionalAuth, cardScanLimiter, uploadScanImage.single('cardImage'), scanCard);
 
 // Get price history for charts
-// GET /api/cards/:id/price-history
+// GET /api/cards/:id/price-history?range=1y&interval=weekly&source=tcgplayer&variant=holofoil
 // This needs to come BEFORE /:id so "price-history" isn't treated as an ID
-router.get('/:id/price-history', getCardPriceHistory);
+router.get('/:id/price-history', optionalAuth, getCardPriceHistory);
 
-// Get specific card details by TCGdex ID
-// GET /api/cards/swsh3-136
-router.get('/:id', getCardById);
+// Get specific card details by the provider's ID
+// GET /api/cards/swsh3-136?lang=de
+// GET /api/cards/<scryfall id>?game=magic
+router.get('/:id', optionalAuth, getCardById);
 
 module.exports = router;
@@ -12,15 +12,18 @@ const {
   addToCollection,
   updateCollectionItem,
   removeFromCollection,
+  getSetProgress,
 } = require('../controllers/collectionController');
-const { protect } = require('../middleware/auth');
+const { requireScope } = require('../middleware/auth');
 
 // All collection routes require authentication
-router.use(protect);
+// API keys need collection:read to look and collection:write to change anything
+router.get('/', requireScope('collection:read'), getMyCollection);
+router.post('/', requireScope('collection:write'), addToCollection);
+router.put('/:id', requireScope('collection:write'), updateCollectionItem);
+router.delete('/:id', requireScope('collection:write'), removeFromCollection);
 
-router.get('/', getMyCollection);
-router.post('/', addToCollection);
-router.put('/:id', updateCollectionItem);
-router.delete('/:id', removeFromCollection);
+// Set completion - owned vs missing cards in one set
+router.get('/sets/:setId/progress', requireScope('collection:read'), getSetProgress);
 
 module.exports = router;
@@ -15,21 +15,23 @@ const {
   deleteListing,
   getMyListings,
 } = require('../controllers/listingController');
-const { protect } = require('../middleware/auth');
+const { requireScope, requireVerifiedEmail, optionalAuth } = require('../middleware/auth');
 
 // Public routes
-router.get('/', getListings);
+// optionalAuth so logged in users get blocked/muted sellers filtered out
+router.get('/', optionalAuth, getListings);
 
 // Get filter options (rarity, set names) for marketplace dropdowns
 router.get('/filters', getFilterOptions);
 
 // Private routes - put specific routes before :id to avoid conflicts
-router.get('/mine', protect, getMyListings);
-router.post('/', protect, createListing);
+router.get('/mine', requireScope('listings:read'), getMyListings);
+// Only verified accounts can list cards for sale
+router.post('/', requireScope('listings:write'), requireVerifiedEmail, createListing);
 
 // Routes with :id parameter
-router.get('/:id', getListingById);
-router.put('/:id', protect, updateListing);
-router.delete('/:id', protect, deleteListing);
+router.get('/:id', optionalAuth, getListingById);
+router.put('/:id', requireScope('listings:write'), updateListing);
+router.delete('/:id', requireScope('listings:write'), deleteListing);
 
 module.exports = router;
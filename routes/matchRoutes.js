@@ -7,9 +7,9 @@
 const express = require('express');
 const router = express.Router();
 const { getMatches } = require('../controllers/matchController');
-const { protect } = require('../middleware/auth');
+const { requireScope } = require('../middleware/auth');
 
 // Require authentication for matches
-router.get('/', protect, getMatches);
+router.get('/', requireScope('matches:read'), getMatches);
 
 module.exports = router;
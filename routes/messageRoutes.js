@@ -13,11 +13,11 @@ const {
   sendMessage,
   markMessagesAsRead,
 } = require('../controllers/messageController');
-const { protect } = require('../middleware/auth');
+const { requireScope } = require('../middleware/auth');
 
 // All message routes require authentication
-router.get('/offer/:offerId', protect, getMessagesForOffer);
-router.post('/', protect, sendMessage);
-router.put('/offer/:offerId/read', protect, markMessagesAsRead);
+router.get('/offer/:offerId', requireScope('messages:read'), getMessagesForOffer);
+router.post('/', requireScope('messages:write'), sendMessage);
+router.put('/offer/:offerId/read', requireScope('messages:read'), markMessagesAsRead);
 
 module.exports = router;
@@ -18,12 +18,12 @@ const {
   markAsRead,
   markAllAsRead,
 } = require('../controllers/notificationController');
-const { protect } = require('../middleware/auth');
+const { requireScope } = require('../middleware/auth');
 
 // All notification routes require authentication
-router.get('/', protect, getMyNotifications);
-router.get('/unread-count', protect, getUnreadCount);
-router.put('/mark-all-read', protect, markAllAsRead);
-router.put('/:id/read', protect, markAsRead);
+router.get('/', requireScope('notifications:read'), getMyNotifications);
+router.get('/unread-count', requireScope('notifications:read'), getUnreadCount);
+router.put('/mark-all-read', requireScope('notifications:write'), markAllAsRead);
+router.put('/:id/read', requireScope('notifications:write'), markAsRead);
 
 module.exports = router;
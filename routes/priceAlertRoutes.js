@@ -0,0 +1,24 @@
+/**
+ * Price Alert Routes
+ *
+ * Routes for managing price alerts on cards.
+ * All routes require authentication.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getMyAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+} = require('../controllers/priceAlertController');
+const { requireScope } = require('../middleware/auth');
+
+// API keys need alerts:read to look and alerts:write to change anything
+router.get('/', requireScope('alerts:read'), getMyAlerts);
+router.post('/', requireScope('alerts:write'), createAlert);
+router.put('/:id', requireScope('alerts:write'), updateAlert);
+router.delete('/:id', requireScope('alerts:write'), deleteAlert);
+
+module.exports = router;
@@ -8,7 +8,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { requireScope } = require('../middleware/auth');
 const {
   createReview,
   getSellerReviews,
@@ -19,7 +19,7 @@ const {
 router.get('/seller/:sellerId', getSellerReviews);
 
 // Private - need to be logged in
-router.post('/', protect, createReview);
-router.get('/transaction/:transactionId', protect, getReviewForTransaction);
+router.post('/', requireScope('reviews:write'), createReview);
+router.get('/transaction/:transactionId', requireScope('reviews:read'), getReviewForTransaction);
 
 module.exports = router;
@@ -21,16 +21,17 @@ const {
   cancelOffer,
   getOffersForListing,
 } = require('../controllers/tradeOfferController');
-const { protect } = require('../middleware/auth');
+const { requireScope, requireVerifiedEmail } = require('../middleware/auth');
 
 // All trade offer routes require authentication
-router.post('/', protect, createOffer);
-router.get('/sent', protect, getMyOffersSent);
-router.get('/received', protect, getMyOffersReceived);
-router.get('/listing/:listingId', protect, getOffersForListing);
-router.get('/:id', protect, getOfferById);
-router.put('/:id/accept', protect, acceptOffer);
-router.put('/:id/decline', protect, declineOffer);
-router.put('/:id/cancel', protect, cancelOffer);
+// Making an offer also needs a verified email
+router.post('/', requireScope('offers:write'), requireVerifiedEmail, createOffer);
+router.get('/sent', requireScope('offers:read'), getMyOffersSent);
+router.get('/received', requireScope('offers:read'), getMyOffersReceived);
+router.get('/listing/:listingId', requireScope('offers:read'), getOffersForListing);
+router.get('/:id', requireScope('offers:read'), getOfferById);
+router.put('/:id/accept', requireScope('offers:write'), acceptOffer);
+router.put('/:id/decline', requireScope('offers:write'), declineOffer);
+router.put('/:id/cancel', requireScope('offers:write'), cancelOffer);
 
 module.exports = router;
@@ -8,10 +8,10 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { requireScope } = require('../middleware/auth');
 const { getMyTransactions } = require('../controllers/transactionController');
 
 // Get my purchases and sales
-router.get('/', protect, getMyTransactions);
+router.get('/', requireScope('transactions:read'), getMyTransactions);
 
 module.exports = router;
@@ -13,14 +13,59 @@ const {
   updateAvatar,
   getUserListings,
   getUserTradeStats,
+  getMySessions,
+  revokeMySession,
+  revokeAllOtherSessions,
+  getMyIdentities,
+  unlinkIdentity,
+  exportMyData,
+  deleteMyAccount,
+  getMyBlocks,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
 } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const {
+  getApiScopes,
+  getMyApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require('../controllers/apiKeyController');
+const { linkIdentity } = require('../controllers/auth0Controller');
+const { protect, requireScope } = require('../middleware/auth');
 const { uploadAvatar } = require('../config/cloudinary');
 
 // Protected routes - current user operations
-router.put('/me', protect, updateProfile);
+router.put('/me', requireScope('profile:write'), updateProfile);
+router.delete('/me', protect, deleteMyAccount);
+router.get('/me/export', protect, exportMyData);
 router.put('/me/password', protect, updatePassword);
-router.put('/me/avatar', protect, uploadAvatar.single('avatar'), updateAvatar);
+router.put('/me/avatar', requireScope('profile:write'), uploadAvatar.single('avatar'), updateAvatar);
+
+// Session management - see and sign out logged in devices
+router.get('/me/sessions', protect, getMySessions);
+router.delete('/me/sessions', protect, revokeAllOtherSessions);
+router.delete('/me/sessions/:id', protect, revokeMySession);
+
+// Linked social logins (Google, X, Apple)
+router.get('/me/identities', protect, getMyIdentities);
+router.post('/me/identities', protect, linkIdentity);
+router.delete('/me/identities/:id', protect, unlinkIdentity);
+
+// Block and mute lists
+router.get('/me/blocks', protect, getMyBlocks);
+router.post('/me/blocks/:userId', protect, blockUser);
+router.delete('/me/blocks/:userId', protect, unblockUser);
+router.post('/me/mutes/:userId', protect, muteUser);
+router.delete('/me/mutes/:userId', protect, unmuteUser);
+
+// Personal API keys for scripts and tools
+// These use protect, not requireScope - an API key can't manage API keys
+router.get('/me/api-keys', protect, getMyApiKeys);
+router.get('/me/api-keys/scopes', protect, getApiScopes);
+router.post('/me/api-keys', protect, createApiKey);
+router.delete('/me/api-keys/:id', protect, revokeApiKey);
 
 // Public routes - view other users
 router.get('/:id', getUserById);
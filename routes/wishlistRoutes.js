@@ -13,14 +13,13 @@ const {
   updateWishlistItem,
   removeFromWishlist,
 } = require('../controllers/wishlistController');
-const { protect } = require('../middleware/auth');
+const { requireScope } = require('../middleware/auth');
 
 // All wishlist routes require authentication
-router.use(protect);
-
-router.get('/', getMyWishlist);
-router.post('/', addToWishlist);
-router.put('/:id', updateWishlistItem);
-router.delete('/:id', removeFromWishlist);
+// API keys need wishlist:read to look and wishlist:write to change anything
+router.get('/', requireScope('wishlist:read'), getMyWishlist);
+router.post('/', requireScope('wishlist:write'), addToWishlist);
+router.put('/:id', requireScope('wishlist:write'), updateWishlistItem);
+router.delete('/:id', requireScope('wishlist:write'), removeFromWishlist);
 
 module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Create Admin Script
+ *
+ * Promotes an existing user to admin. This is how we get the FIRST admin -
+ * after that, admins can promote other users through PUT /api/admin/users/:id/role.
+ *
+ * Usage (the user has to register normally first):
+ *   npm run create-admin -- someone@example.com
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const run = async () => {
+  const email = process.argv[2];
+
+  if (!email) {
+    console.error('Usage: npm run create-admin -- <email>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  if (!user) {
+    console.error(`No user found with email ${email} - register the account first`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  user.role = 'admin';
+  await user.save();
+
+  console.log(`${user.username} (${user.email}) is now an admin`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Failed to create admin:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Drop Old Indexes Script
+ *
+ * Mongoose builds new indexes when the server starts, but it never drops
+ * the ones a model doesn't have anymore. That's a problem for unique
+ * indexes - the old one keeps rejecting documents the new one allows.
+ *
+ * Collection's unique index used to be { user, card } (user_1_card_1),
+ * then { user, card, variant } (user_1_card_1_variant_1). Each variant and
+ * each slab is its own entry now, so while either of them is still there
+ * a second variant of a card, or a slab next to a raw copy, can't be added.
+ *
+ * CardSet's externalId used to be unique on its own (externalId_1), but
+ * Magic set codes and TCGdex set IDs can clash, so it's per game now.
+ *
+ * PriceHistory's series index also gained the grading fields - the old one
+ * doesn't block anything, it just takes up space and slows down writes.
+ *
+ * Only the indexes listed here are dropped, by name - anything added to
+ * the database by hand is left alone. Running it again does nothing.
+ *
+ * Usage (once, when deploying):
+ *   npm run drop-old-indexes
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const connectDB = require('../config/db');
+const CardSet = require('../models/CardSet');
+const Collection = require('../models/Collection');
+const PriceHistory = require('../models/PriceHistory');
+
+// [model, names of the indexes it used to have]
+const OLD_INDEXES = [
+  [CardSet, ['externalId_1']],
+  [Collection, ['user_1_card_1', 'user_1_card_1_variant_1']],
+  [PriceHistory, ['card_1_source_1_variant_1_condition_1_date_-1']],
+];
+
+const run = async () => {
+  await connectDB();
+
+  for (const [Model, names] of OLD_INDEXES) {
+    const existing = (await Model.collection.indexes()).map((index) => index.name);
+
+    for (const name of names.filter((oldName) => existing.includes(oldName))) {
+      await Model.collection.dropIndex(name);
+      console.log(`Dropped ${Model.modelName} index ${name}`);
+    }
+
+    // Make sure the new ones are there too, in case the server hasn't started since
+    await Model.createIndexes();
+  }
+
+  console.log('Old indexes are gone');
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Failed to drop old indexes:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+/**
+ * Sync Catalog Script
+ *
+ * Imports Pokemon sets and cards from TCGdex into the database so card
+ * search can run locally. See utils/catalogSync.js for how it works.
+ *
+ * Usage:
+ *   npm run sync-catalog                          (refresh stale cards from TCGdex)
+ *   npm run sync-catalog -- --set swsh3 --set sv1 (only these sets)
+ *   npm run sync-catalog -- --full                (ignore the staleness check)
+ *   npm run sync-catalog -- --lang fr --lang ja   (also save card names in these languages)
+ *   npm run sync-catalog -- --save-dump cards.json (also write an offline dump)
+ *   npm run sync-catalog -- --dump cards.json     (import a dump, no network needed)
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const connectDB = require('../config/db');
+const { syncCatalog } = require('../utils/catalogSync');
+const { normalizeLanguage } = require('../config/languages');
+
+/**
+ * Read the command line flags into sync options
+ */
+const parseArgs = (args) => {
+  const options = { setIds: [] };
+  const languages = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--dump') options.dumpPath = args[++i];
+    else if (arg === '--save-dump') options.saveDumpPath = args[++i];
+    else if (arg === '--set') options.setIds.push(args[++i]);
+    else if (arg === '--full') options.staleAfterDays = 0;
+    else if (arg === '--concurrency') options.concurrency = parseInt(args[++i]);
+    else if (arg === '--lang') {
+      const lang = normalizeLanguage(args[++i]);
+      if (!lang) throw new Error(`Unsupported language: ${args[i]}`);
+      languages.push(lang);
+    } else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  // Only override CATALOG_LANGUAGES when --lang was actually passed
+  if (languages.length > 0) options.languages = languages;
+
+  return options;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+
+  const stats = await syncCatalog(options);
+
+  const seconds = Math.round((stats.finishedAt - stats.startedAt) / 1000);
+  console.log(`\nDone in ${seconds}s (${stats.source})`);
+  console.log(`  Sets:          ${stats.sets}`);
+  console.log(`  Cards saved:   ${stats.cardsSaved}`);
+  console.log(`  Cards skipped: ${stats.cardsSkipped} (synced recently)`);
+  console.log(`  Localized:     ${stats.localizedNames} names`);
+  console.log(`  Errors:        ${stats.errorCount}`);
+  stats.errors.forEach((message) => console.log(`    - ${message}`));
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Catalog sync failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+/**
+ * Sync Scryfall Script
+ *
+ * Imports Magic: The Gathering sets and cards from a Scryfall bulk data
+ * file into the database. See utils/scryfallBulk.js for how it works.
+ *
+ * Download the "Default Cards" file from https://scryfall.com/docs/api/bulk-data
+ * first - Scryfall updates it every day, so re-run this to refresh prices.
+ *
+ * Usage:
+ *   npm run sync-scryfall                           (import SCRYFALL_BULK_PATH)
+ *   npm run sync-scryfall -- --file default-cards.json (import this file instead)
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const connectDB = require('../config/db');
+const { importBulkFile } = require('../utils/scryfallBulk');
+
+/**
+ * Read the command line flags
+ */
+const parseArgs = (args) => {
+  const options = { bulkPath: process.env.SCRYFALL_BULK_PATH };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--file') options.bulkPath = args[++i];
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  if (!options.bulkPath) throw new Error('Set SCRYFALL_BULK_PATH or pass --file <path>');
+
+  return options;
+};
+
+const run = async () => {
+  const { bulkPath } = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+
+  const stats = await importBulkFile(bulkPath);
+
+  const seconds = Math.round((stats.finishedAt - stats.startedAt) / 1000);
+  console.log(`\nDone in ${seconds}s`);
+  console.log(`  Sets:          ${stats.sets}`);
+  console.log(`  Cards saved:   ${stats.cardsSaved}`);
+  console.log(`  Cards skipped: ${stats.cardsSkipped} (digital only)`);
+  console.log(`  Errors:        ${stats.errorCount}`);
+  stats.errors.forEach((message) => console.log(`    - ${message}`));
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Scryfall import failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
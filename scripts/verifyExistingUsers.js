@@ -0,0 +1,41 @@
+/**
+ * Verify Existing Users Script
+ *
+ * Listing cards and making offers need a verified email now. Accounts
+ * made before email verification existed never got the chance to verify,
+ * so without this they'd all lose access on deploy. This marks them as
+ * verified - they've been using the site with that email already.
+ *
+ * Only accounts with no emailVerified field saved at all are changed.
+ * Everyone who registered since then has it saved (true or false), so
+ * running this again, or after new signups, doesn't verify anyone it shouldn't.
+ *
+ * Usage (once, when deploying email verification):
+ *   npm run verify-existing-users
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const run = async () => {
+  await connectDB();
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Failed to verify existing users:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
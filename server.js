@@ -26,6 +26,7 @@ const cardRoutes = require('./routes/cardRoutes');
 const listingRoutes = require('./routes/listingRoutes');
 const collectionRoutes = require('./routes/collectionRoutes');
 const wishlistRoutes = require('./routes/wishlistRoutes');
+const priceAlertRoutes = require('./routes/priceAlertRoutes');
 const matchRoutes = require('./routes/matchRoutes');
 const tradeOfferRoutes = require('./routes/tradeOfferRoutes');
 const messageRoutes = require('./routes/messageRoutes');
@@ -33,14 +34,31 @@ const notificationRoutes = require('./routes/notificationRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
 const reviewRoutes = require('./routes/reviewRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 const { handleWebhook } = require('./controllers/paymentController');
+const { startCatalogSyncSchedule } = require('./utils/catalogSync');
+const { startPriceSnapshotSchedule } = require('./utils/priceSnapshots');
 
 // Initialize Express app
 const app = express();
 
+// How many proxies sit in front of the API (our host adds one). Express
+// then takes req.ip from that many hops back in X-Forwarded-For, so a
+// client can't pick their own IP by sending the header themselves - every
+// per-IP rate limit and login lockout depends on that.
+// Set TRUST_PROXY_HOPS=0 when running without a proxy.
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS);
+app.set('trust proxy', trustProxyHops >= 0 ? trustProxyHops : 1);
+
 // Connect to MongoDB
 connectDB();
 
+// Keep the local card catalog fresh (only if CATALOG_SYNC_INTERVAL_HOURS is set)
+startCatalogSyncSchedule();
+
+// Record a price for every collected/wishlisted/listed card once a day
+startPriceSnapshotSchedule();
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -110,6 +128,7 @@ app.use('/api/cards', cardRoutes);
 app.use('/api/listings', listingRoutes);
 app.use('/api/collections', collectionRoutes);
 app.use('/api/wishlists', wishlistRoutes);
+app.use('/api/price-alerts', priceAlertRoutes);
 app.use('/api/matches', matchRoutes);
 app.use('/api/trade-offers', tradeOfferRoutes);
 app.use('/api/messages', messageRoutes);
@@ -117,6 +136,7 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler for undefined routes
 app.use((req, res) => {
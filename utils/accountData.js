@@ -0,0 +1,217 @@
+/**
+ * Account Data Helpers
+ *
+ * Everything for "download my data" and "delete my account" lives here,
+ * because both need to know about every collection that holds user data.
+ * If a new model with user data gets added, it should be added here too.
+ *
+ * Deleting an account doesn't remove the User document. Transactions,
+ * reviews and message threads belong to the other person as well, so
+ * those stay and keep pointing at the user - the user just gets
+ * anonymized (no email, name, bio, avatar or logins left).
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Collection = require('../models/Collection');
+const Wishlist = require('../models/Wishlist');
+const Listing = require('../models/Listing');
+const TradeOffer = require('../models/TradeOffer');
+const Message = require('../models/Message');
+const Transaction = require('../models/Transaction');
+const Review = require('../models/Review');
+const Notification = require('../models/Notification');
+const PriceAlert = require('../models/PriceAlert');
+const IdentityLink = require('../models/IdentityLink');
+const ApiKey = require('../models/ApiKey');
+const { revokeOtherSessions } = require('./sessions');
+const { createNotification } = require('../controllers/notificationController');
+
+const CARD_FIELDS = 'name game setName externalId';
+
+/**
+ * Gather all of a user's data for the export
+ *
+ * Offers, messages and transactions include both sides of a trade,
+ * since the user was part of them. Populated users only get a username.
+ *
+ * @param {string} userId
+ * @returns {Promise<Object>} One key per section of the export
+ */
+const buildAccountExport = async (userId) => {
+  const user = await User.findById(userId);
+
+  const offers = await TradeOffer.find({ $or: [{ buyer: userId }, { seller: userId }] })
+    .populate('buyer', 'username')
+    .populate('seller', 'username')
+    .populate('card', CARD_FIELDS)
+    .sort({ createdAt: -1 });
+
+  const [
+    collection,
+    wishlist,
+    priceAlerts,
+    listings,
+    messages,
+    transactions,
+    reviewsWritten,
+    reviewsReceived,
+  ] = await Promise.all([
+    Collection.find({ user: userId }).populate('card', CARD_FIELDS),
+    Wishlist.find({ user: userId }).populate('card', CARD_FIELDS),
+    PriceAlert.find({ user: userId }).populate('card', CARD_FIELDS),
+    Listing.find({ seller: userId }).populate('card', CARD_FIELDS).sort({ createdAt: -1 }),
+    // Whole threads for every offer the user was in, not just their own messages
+    Message.find({ tradeOffer: { $in: offers.map((o) => o._id) } })
+      .populate('sender', 'username')
+      .sort({ tradeOffer: 1, createdAt: 1 }),
+    Transaction.find({ $or: [{ buyer: userId }, { seller: userId }] })
+      .populate('buyer', 'username')
+      .populate('seller', 'username')
+      .populate('card', CARD_FIELDS)
+      .sort({ createdAt: -1 }),
+    Review.find({ reviewer: userId }).populate('seller', 'username'),
+    Review.find({ seller: userId }).populate('reviewer', 'username'),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user,
+    collection,
+    wishlist,
+    priceAlerts,
+    listings,
+    offers,
+    messages,
+    transactions,
+    reviews: {
+      written: reviewsWritten,
+      received: reviewsReceived,
+    },
+  };
+};
+
+/**
+ * Close out a user's open marketplace activity before deleting them
+ *
+ * - Active listings are cancelled
+ * - Pending offers they sent are cancelled (seller gets notified)
+ * - Pending offers they received are declined (buyer gets notified)
+ *
+ * Accepted/completed offers are left alone - those are already trades.
+ *
+ * @param {Object} user - The user being deleted (before anonymizing)
+ * @returns {Promise<Object>} Counts of what was closed
+ */
+const closeMarketplaceActivity = async (user) => {
+  const now = new Date();
+
+  const listingResult = await Listing.updateMany(
+    { seller: user._id, status: 'active' },
+    { status: 'cancelled' }
+  );
+
+  const pendingOffers = await TradeOffer.find({
+    $or: [{ buyer: user._id }, { seller: user._id }],
+    status: 'pending',
+  }).populate('card', 'name');
+
+  let offersCancelled = 0;
+  let offersDeclined = 0;
+
+  for (const offer of pendingOffers) {
+    const isBuyer = offer.buyer.toString() === user._id.toString();
+    const cardName = offer.card ? offer.card.name : 'a card';
+
+    offer.status = isBuyer ? 'cancelled' : 'declined';
+    offer.resolvedAt = now;
+    if (!isBuyer) offer.responseMessage = 'The seller closed their account';
+    await offer.save();
+
+    if (isBuyer) {
+      offersCancelled += 1;
+      await createNotification(
+        offer.seller,
+        'offer_cancelled',
+        `${user.username} closed their account, so their offer on your ${cardName} listing was cancelled`,
+        offer._id
+      );
+    } else {
+      offersDeclined += 1;
+      await createNotification(
+        offer.buyer,
+        'offer_declined',
+        `Your offer on ${cardName} was declined because the seller closed their account`,
+        offer._id
+      );
+    }
+  }
+
+  return {
+    listingsCancelled: listingResult.modifiedCount,
+    offersCancelled,
+    offersDeclined,
+  };
+};
+
+/**
+ * Delete a user's account
+ *
+ * Closes their marketplace activity, removes data nobody else needs
+ * (collection, wishlist, price alerts, notifications, pending social links), signs
+ * out every session, revokes API keys and then wipes the personal fields
+ * on the User.
+ *
+ * @param {Object} user - User document (loaded with +password)
+ * @returns {Promise<Object>} Summary of what happened
+ */
+const deleteAccount = async (user) => {
+  const summary = await closeMarketplaceActivity(user);
+
+  await Promise.all([
+    Collection.deleteMany({ user: user._id }),
+    Wishlist.deleteMany({ user: user._id }),
+    PriceAlert.deleteMany({ user: user._id }),
+    Notification.deleteMany({ user: user._id }),
+    IdentityLink.deleteMany({ user: user._id }),
+  ]);
+
+  summary.signedOutSessions = await revokeOtherSessions(user._id, null, 'account_deleted');
+  await ApiKey.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+  // The username and email still have to be unique. The username gets a
+  // random suffix (it's public and shouldn't be traceable back to the ID),
+  // and example.com is reserved so the email can never belong to anyone.
+  const suffix = crypto.randomBytes(4).toString('hex');
+  user.username = `deleted_${suffix}`;
+  user.email = `deleted_${user._id}@example.com`;
+  user.password = undefined;
+  user.auth0Id = undefined;
+  user.identities = [];
+  user.bio = '';
+  user.avatar = '';
+  user.favoriteGames = [];
+  user.blockedUsers = [];
+  user.mutedUsers = [];
+  user.emailVerified = false;
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = null;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodeHashes = undefined;
+  user.emailVerificationTokenHash = undefined;
+  user.emailVerificationExpires = undefined;
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpires = undefined;
+  user.deletedAt = new Date();
+
+  await user.save();
+
+  return summary;
+};
+
+module.exports = {
+  buildAccountExport,
+  closeMarketplaceActivity,
+  deleteAccount,
+};
@@ -0,0 +1,205 @@
+/**
+ * API Response Cache
+ *
+ * Every card page used to call TCGdex and then Pokewallet (which can take
+ * up to 12 seconds) on every single view, and the price chart called
+ * TCGdex again. That made card pages slow and burned through our API
+ * quota for data that barely changes. This caches those lookups.
+ *
+ * How it works:
+ *   - Each source has its own TTL. While an entry is fresh it's returned
+ *     straight from the cache.
+ *   - Stale-while-revalidate: after the TTL the old value is still returned
+ *     right away (up to staleTtl), and a refresh runs in the background so
+ *     the next view gets the new one. Nobody waits on a slow API for a card
+ *     we already have.
+ *   - Request coalescing: if five people open the same card at once, only
+ *     one request goes out and all five wait for it.
+ *   - "Not found" (null) is cached for a shorter negativeTtl. Errors are
+ *     never cached, so a Pokewallet timeout gets retried next time.
+ *
+ * The entries live in a store from utils/cacheStores.js - memory (an LRU)
+ * by default, or Mongo with API_CACHE_STORE=mongo to share one cache
+ * between server instances. If the store itself fails (Mongo down) the
+ * lookup just goes to the API like there was no cache.
+ */
+
+const { createStore } = require('./cacheStores');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// parseInt so API_CACHE_TCGDEX_TTL_MINUTES=0 works (turns caching off for that source)
+const minutesFromEnv = (value, fallback) => {
+  const minutes = parseInt(value);
+  return minutes >= 0 ? minutes * MINUTE_MS : fallback;
+};
+
+// Per-source settings (all in ms)
+const SOURCES = {
+  // Card data and prices. Prices move during the day, but not by the minute.
+  tcgdex: {
+    ttl: minutesFromEnv(process.env.API_CACHE_TCGDEX_TTL_MINUTES, HOUR_MS),
+    staleTtl: DAY_MS,
+    negativeTtl: 5 * MINUTE_MS,
+  },
+  // Attacks, abilities and weaknesses don't change once a card is printed
+  pokewallet: {
+    ttl: minutesFromEnv(process.env.API_CACHE_POKEWALLET_TTL_MINUTES, 7 * DAY_MS),
+    staleTtl: 30 * DAY_MS,
+    negativeTtl: HOUR_MS,
+  },
+};
+
+const store = createStore();
+
+// Lookups that are running right now, by key - used for coalescing
+const inFlight = new Map();
+
+// Counters per source since the server started
+const stats = {};
+Object.keys(SOURCES).forEach((source) => {
+  stats[source] = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, errors: 0 };
+});
+
+/**
+ * Read from the store, treating a store failure as a miss
+ */
+const readEntry = async (key) => {
+  try {
+    return await store.get(key);
+  } catch (error) {
+    console.warn(`API cache read failed for ${key}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Run the loader once per key, no matter how many callers ask at once,
+ * and save whatever it returns. Loader errors go to every waiting caller
+ * and aren't cached.
+ */
+const load = (source, key, loader) => {
+  if (inFlight.has(key)) {
+    stats[source].coalesced += 1;
+    return inFlight.get(key);
+  }
+
+  const { ttl, staleTtl, negativeTtl } = SOURCES[source];
+
+  const promise = (async () => {
+    try {
+      const value = await loader();
+      const now = Date.now();
+      // A TTL of 0 turns caching off for the source, "not found" included
+      const fresh = ttl > 0 && (value === null || value === undefined) ? negativeTtl : ttl;
+
+      if (fresh > 0) {
+        try {
+          await store.set(key, value ?? null, now + fresh, now + fresh + staleTtl);
+        } catch (error) {
+          console.warn(`API cache write failed for ${key}:`, error.message);
+        }
+      }
+
+      return value ?? null;
+    } catch (error) {
+      stats[source].errors += 1;
+      throw error;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, promise);
+  return promise;
+};
+
+/**
+ * Get a value from the cache, or load it
+ *
+ * @param {string} source - 'tcgdex' or 'pokewallet' (picks the TTLs)
+ * @param {string} key - What's being looked up, e.g. 'card:en:swsh3-136'
+ * @param {Function} loader - async () => value. Should return null for
+ *   "not found" and throw on errors (so they don't get cached).
+ * @returns {Promise<*>} The value (a copy - safe to change)
+ * @throws Whatever the loader throws, if there was nothing cached
+ */
+const cached = async (source, key, loader) => {
+  const fullKey = `${source}:${key}`;
+  const entry = await readEntry(fullKey);
+  const now = Date.now();
+
+  if (entry && now < entry.freshUntil) {
+    stats[source].hits += 1;
+    return entry.value;
+  }
+
+  if (entry) {
+    // Stale - hand back what we have and refresh in the background
+    stats[source].staleHits += 1;
+    if (!inFlight.has(fullKey)) {
+      stats[source].refreshes += 1;
+      load(source, fullKey, loader).catch((error) => {
+        console.warn(`API cache refresh failed for ${fullKey}:`, error.message);
+      });
+    }
+    return entry.value;
+  }
+
+  stats[source].misses += 1;
+  // Coalesced callers all get the same object, so each one gets its own copy
+  return structuredClone(await load(source, fullKey, loader));
+};
+
+/**
+ * Hit/miss counters per source, plus the store size
+ * hitRate counts stale hits as hits - the user didn't have to wait.
+ *
+ * @returns {Promise<Object>}
+ */
+const getCacheStats = async () => {
+  const sources = {};
+  for (const [source, counts] of Object.entries(stats)) {
+    const lookups = counts.hits + counts.staleHits + counts.misses;
+    sources[source] = {
+      ...counts,
+      hitRate: lookups > 0 ? Math.round(((counts.hits + counts.staleHits) / lookups) * 1000) / 10 : null,
+      ttlMinutes: SOURCES[source].ttl / MINUTE_MS,
+    };
+  }
+
+  let size = null;
+  try {
+    size = await store.size();
+  } catch (error) {
+    console.warn('API cache size failed:', error.message);
+  }
+
+  return {
+    store: store.name,
+    size,
+    maxEntries: store.maxEntries || null,
+    inFlight: inFlight.size,
+    sources,
+  };
+};
+
+/**
+ * Empty the cache and reset the counters
+ */
+const clearCache = async () => {
+  await store.clear();
+  Object.values(stats).forEach((counts) => {
+    Object.keys(counts).forEach((name) => {
+      counts[name] = 0;
+    });
+  });
+};
+
+module.exports = {
+  cached,
+  getCacheStats,
+  clearCache,
+};
@@ -0,0 +1,98 @@
+/**
+ * API Key Helpers
+ *
+ * Keys look like "cvk_<64 hex chars>". The "cvk_" prefix (CardVault key)
+ * is how the auth middleware tells an API key apart from a JWT when both
+ * come in the Authorization header, and it also makes leaked keys easy
+ * to spot with secret scanners.
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hashToken, getClientInfo } = require('./sessions');
+
+const KEY_PREFIX = 'cvk_';
+
+// How many characters of the key we keep for display
+const DISPLAY_LENGTH = KEY_PREFIX.length + 8;
+
+// Only write lastUsedAt once a minute - scripts can make a lot of requests
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+/**
+ * Generate a new random API key
+ *
+ * @returns {{ key: string, keyHash: string, prefix: string }}
+ */
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  return {
+    key,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, DISPLAY_LENGTH),
+  };
+};
+
+/**
+ * Pull an API key out of the request, if there is one
+ * Accepts either "X-API-Key: cvk_..." or "Authorization: Bearer cvk_..."
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getApiKeyFromRequest = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) return header;
+
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith(`Bearer ${KEY_PREFIX}`)) {
+    return auth.split(' ')[1];
+  }
+
+  return null;
+};
+
+/**
+ * Look up an API key and make sure it still works
+ * Also records when (and from where) it was last used.
+ *
+ * @param {string} rawKey - The full key from the request
+ * @param {Object} req - Express request (for the IP)
+ * @returns {Promise<Object|null>} The ApiKey, or null if invalid/expired/revoked
+ */
+const findActiveApiKey = async (rawKey, req) => {
+  if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_MS) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = getClientInfo(req).ip;
+    await apiKey.save();
+  }
+
+  return apiKey;
+};
+
+/**
+ * Revoke every API key a user has
+ * Used after a password reset - that's how people get back in after
+ * their account was taken over, and keys don't need the password.
+ *
+ * @param {string} userId - The user's _id
+ * @returns {Promise<number>} How many keys were revoked
+ */
+const revokeUserApiKeys = async (userId) => {
+  const result = await ApiKey.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  KEY_PREFIX,
+  generateApiKey,
+  getApiKeyFromRequest,
+  findActiveApiKey,
+  revokeUserApiKeys,
+};
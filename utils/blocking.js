@@ -0,0 +1,48 @@
+/**
+ * Blocking Helpers
+ *
+ * The block and mute lists live on the User (blockedUsers, mutedUsers).
+ * These helpers are shared by the offer, message, listing and match
+ * controllers so they all agree on who can see and contact who.
+ *
+ *   - Blocking goes both ways for contact: if either user blocked the
+ *     other, neither can make offers to or message the other.
+ *   - Blocked and muted users' listings and wishlists are hidden from you,
+ *     and so are the listings of anyone who blocked you.
+ */
+
+const User = require('../models/User');
+
+/**
+ * Check if either user has blocked the other
+ *
+ * @param {string} userId
+ * @param {string} otherUserId
+ * @returns {Promise<boolean>}
+ */
+const isBlockedBetween = async (userId, otherUserId) => {
+  const blocked = await User.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId },
+    ],
+  });
+
+  return Boolean(blocked);
+};
+
+/**
+ * Get the IDs of users whose listings and wishlists should be hidden
+ * from this user: the ones they blocked or muted, plus anyone who
+ * blocked them.
+ *
+ * @param {Object} user - The current user (req.user)
+ * @returns {Promise<Array>} User IDs to leave out of results
+ */
+const getHiddenUserIds = async (user) => {
+  const blockedMe = await User.find({ blockedUsers: user._id }).distinct('_id');
+
+  return [...(user.blockedUsers || []), ...(user.mutedUsers || []), ...blockedMe];
+};
+
+module.exports = { isBlockedBetween, getHiddenUserIds };
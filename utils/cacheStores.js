@@ -0,0 +1,120 @@
+/**
+ * Cache Stores
+ *
+ * Where utils/apiCache.js keeps its entries. Same idea as the rate limit
+ * stores - the cache only calls get/set/clear/size, so there are two:
+ *
+ *   - memory: an LRU Map in this process. Fast and needs nothing, but
+ *     each server instance has its own and it's empty after a restart.
+ *   - mongo: entries in the ApiCacheEntry collection, shared by every
+ *     instance. One small DB read per lookup.
+ *
+ * Entries look like { value, freshUntil, expiresAt } (dates as numbers
+ * in memory, Dates in Mongo - the cache compares them with < either way).
+ */
+
+const ApiCacheEntry = require('../models/ApiCacheEntry');
+
+const DEFAULT_MAX_ENTRIES = parseInt(process.env.API_CACHE_MAX_ENTRIES) || 1000;
+
+/**
+ * Create an in-memory LRU store
+ *
+ * I learned that a Map remembers insertion order, which makes an LRU
+ * easy: every read deletes the key and sets it again so it moves to the
+ * end, and when the Map is full the first key is the least recently used.
+ *
+ * Values are copied with structuredClone on the way in and out. The card
+ * controller adds fields to the card it gets back, and without the copy
+ * that would change the cached card for everyone.
+ *
+ * @param {number} [maxEntries] - Most entries to keep
+ * @returns {{ name: string, get: Function, set: Function, clear: Function, size: Function }}
+ */
+const createMemoryStore = (maxEntries = DEFAULT_MAX_ENTRIES) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    maxEntries,
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      // Move it to the end - it's now the most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return { ...entry, value: structuredClone(entry.value) };
+    },
+
+    set: async (key, value, freshUntil, expiresAt) => {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), freshUntil, expiresAt });
+
+      // Drop the least recently used entries once we're over the limit
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    clear: async () => {
+      entries.clear();
+    },
+
+    size: async () => entries.size,
+  };
+};
+
+/**
+ * Create a MongoDB-backed store
+ * Expired entries are removed by the TTL index on expiresAt, but that only
+ * runs about once a minute, so get() checks expiresAt itself too.
+ *
+ * @returns {{ name: string, get: Function, set: Function, clear: Function, size: Function }}
+ */
+const createMongoStore = () => {
+  return {
+    name: 'mongo',
+
+    get: async (key) => {
+      const entry = await ApiCacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      return entry || null;
+    },
+
+    set: async (key, value, freshUntil, expiresAt) => {
+      await ApiCacheEntry.updateOne(
+        { key },
+        { value, freshUntil: new Date(freshUntil), expiresAt: new Date(expiresAt) },
+        { upsert: true }
+      );
+    },
+
+    clear: async () => {
+      await ApiCacheEntry.deleteMany({});
+    },
+
+    size: async () => ApiCacheEntry.estimatedDocumentCount(),
+  };
+};
+
+/**
+ * Create the store named by API_CACHE_STORE ('memory' or 'mongo')
+ *
+ * @param {string} [name]
+ * @returns {Object} Store instance
+ */
+const createStore = (name = process.env.API_CACHE_STORE) => {
+  return name === 'mongo' ? createMongoStore() : createMemoryStore();
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createStore,
+};
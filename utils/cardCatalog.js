@@ -0,0 +1,217 @@
+/**
+ * Card Catalog Helpers
+ *
+ * Small helpers for working with the cards and sets in our local catalog
+ * (the Card and CardSet collections that utils/catalogSync.js fills in).
+ * Used by both the card and collection controllers.
+ */
+
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+
+// Printings a card can come in. The first five have the same names as
+// the TCGplayer variants in PriceHistory, so a variant's market price can
+// be looked up directly. Shadowless (early Base Set prints) and stamped
+// promos (prerelease, staff, league...) have no price series or TCGdex
+// flag - an admin adds them to a card's extraVariants.
+// The models' variant enums all use this list.
+const CARD_VARIANTS = [
+  'normal',
+  'reverseHolo',
+  'holofoil',
+  'firstEditionNormal',
+  'firstEditionHolofoil',
+  'shadowless',
+  'stampedPromo',
+];
+
+/**
+ * Get a card's name in a language
+ * Falls back to the English name when we don't have a translation.
+ *
+ * @param {Object} card - Card document (needs name and localizedNames)
+ * @param {string} [lang] - Language code
+ * @returns {string}
+ */
+const getLocalizedName = (card, lang) => {
+  if (!lang || lang === DEFAULT_LANGUAGE || !card.localizedNames) return card.name;
+  return card.localizedNames.get(lang) || card.name;
+};
+
+/**
+ * Swap the card name for the viewer's language on populated documents
+ * (collection items, listings, wishlist items...). Only changes what gets
+ * sent back - these documents shouldn't be saved afterwards.
+ *
+ * The populate() has to select localizedNames for this to do anything.
+ *
+ * @param {Array|Object} items - Documents with a populated card
+ * @param {string} lang - Language code
+ */
+const localizeCardNames = (items, lang) => {
+  if (lang === DEFAULT_LANGUAGE) return;
+
+  const list = Array.isArray(items) ? items : [items];
+  list.forEach((item) => {
+    if (item?.card?.localizedNames) {
+      item.card.name = getLocalizedName(item.card, lang);
+    }
+  });
+};
+
+/**
+ * Combine lists of variants into one, in CARD_VARIANTS order
+ * e.g. the provider's variants and the ones an admin added (Card.extraVariants)
+ *
+ * @param {...string[]} lists
+ * @returns {string[]}
+ */
+const mergeVariants = (...lists) => CARD_VARIANTS.filter((variant) => lists.some((list) => list?.includes(variant)));
+
+/**
+ * Format a Card document the same way the TCGdex helpers format cards,
+ * so the frontend gets one shape no matter where the data came from.
+ *
+ * @param {Object} card - Card document
+ * @param {string} [lang] - Show the name in this language if we have it
+ * @returns {Object}
+ */
+const formatCatalogCard = (card, lang) => ({
+  id: card.externalId,
+  name: getLocalizedName(card, lang),
+  // The English name, so cards can still be matched up across languages
+  canonicalName: card.name,
+  game: card.game,
+  imageUrl: card.imageUrl,
+  setName: card.setName,
+  setCode: card.setCode,
+  cardNumber: card.cardNumber,
+  rarity: card.rarity,
+  category: card.category,
+  hp: card.hp,
+  types: card.types,
+  illustrator: card.illustrator,
+  stage: card.stage,
+  regulationMark: card.regulationMark,
+  attacks: card.attacks,
+  abilities: card.abilities,
+  weaknesses: card.weaknesses,
+  resistances: card.resistances,
+  retreatCost: card.retreatCost,
+  variants: mergeVariants(card.variants, card.extraVariants),
+  currentPrice: card.currentPrice || null,
+});
+
+/**
+ * Format a CardSet document for API responses
+ *
+ * @param {Object} set - CardSet document
+ * @returns {Object}
+ */
+const formatCatalogSet = (set) => ({
+  id: set.externalId,
+  name: set.name,
+  game: set.game,
+  series: set.series,
+  releaseDate: set.releaseDate,
+  cardCount: set.cardCount,
+  logoUrl: set.logoUrl,
+  symbolUrl: set.symbolUrl,
+});
+
+/**
+ * Sort cards by their number in the set
+ * Card numbers are strings like "2", "10", "TG05" or "SV001", so a normal
+ * string sort would put "10" before "2". numeric: true fixes that.
+ *
+ * @param {Object} a - Card with cardNumber
+ * @param {Object} b - Card with cardNumber
+ * @returns {number}
+ */
+const compareCardNumbers = (a, b) => {
+  return (a.cardNumber || '').localeCompare(b.cardNumber || '', undefined, { numeric: true });
+};
+
+/**
+ * Is this card part of the main set (numbered up to the official count)?
+ * Anything numbered above it is a secret rare - "189" in a set of 189 is
+ * in the main set, "201" isn't. Non-numeric numbers (like "TG05") don't count.
+ *
+ * @param {Object} card - Card with cardNumber
+ * @param {number} officialCount - CardSet.cardCount.official
+ * @returns {boolean}
+ */
+const isMainSetCard = (card, officialCount) => {
+  if (!officialCount || !/^\d+$/.test(card.cardNumber || '')) return false;
+  return parseInt(card.cardNumber, 10) <= officialCount;
+};
+
+/**
+ * Get the number out of a damage value
+ * Damage can be 30, "30", "130+", "30x" or "30×" - we only want the 30/130.
+ *
+ * @param {string|number} damage
+ * @returns {number|null} null for attacks that don't do damage
+ */
+const parseDamageValue = (damage) => {
+  if (damage === undefined || damage === null || damage === '') return null;
+  const match = String(damage).match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+/**
+ * Normalize a stage name so TCGdex and Pokewallet spellings match
+ * ("Stage 1" and "Stage1" both become "Stage1")
+ *
+ * @param {string} stage
+ * @returns {string}
+ */
+const normalizeStage = (stage) => {
+  return (stage || '').replace(/\s+/g, '');
+};
+
+/**
+ * Market price per variant from a provider's marketPrices
+ * Only the TCGplayer (USD) series, so the prices match currentPrice.
+ *
+ * @param {Array} marketPrices - [{ source, variant, price, ... }]
+ * @returns {Object} { holofoil: 420.5, firstEditionHolofoil: 9800 }
+ */
+const getVariantPrices = (marketPrices) => {
+  const prices = {};
+  (marketPrices || []).forEach((p) => {
+    if (p.source === 'tcgplayer' && CARD_VARIANTS.includes(p.variant)) prices[p.variant] = p.price;
+  });
+  return prices;
+};
+
+/**
+ * A card's market price for one variant
+ * Falls back to currentPrice when there's no variant (older entries) or
+ * no price for it - a 1st Edition with no price of its own is still
+ * worth at least the unlimited one.
+ *
+ * @param {Object} card - Card document (or populated card with variantPrices)
+ * @param {string|null} variant
+ * @returns {number}
+ */
+const getMarketPrice = (card, variant) => {
+  if (!card) return 0;
+  const prices = card.variantPrices;
+  const price = variant && prices && (prices instanceof Map ? prices.get(variant) : prices[variant]);
+  return price || card.currentPrice || 0;
+};
+
+module.exports = {
+  CARD_VARIANTS,
+  mergeVariants,
+  getLocalizedName,
+  localizeCardNames,
+  formatCatalogCard,
+  formatCatalogSet,
+  compareCardNumbers,
+  isMainSetCard,
+  parseDamageValue,
+  normalizeStage,
+  getVariantPrices,
+  getMarketPrice,
+};
@@ -0,0 +1,117 @@
+/**
+ * Saved Card Mechanics
+ *
+ * The card page used to search Pokewallet and re-parse its HTML attack
+ * strings on every view, and pick the printing by card number each time.
+ * Now the first match gets saved on our Card (the pokewallet field) along
+ * with the Pokewallet ID and how confident the match was, and after that
+ * the page reads it from there. That also means the mechanics still show
+ * when Pokewallet is down, and they're searchable like the TCGdex ones.
+ *
+ * Guesses can be wrong (a reprint with the same name and number), so
+ * admins can look at the low-confidence matches and set the right
+ * Pokewallet card by hand - see the pokewallet-match routes in
+ * adminController. An admin match is never replaced by an automatic one.
+ */
+
+const Card = require('../models/Card');
+const { getCardMechanics, formatMechanicsForCatalog } = require('./pokemonTcgApi');
+
+// Fields Pokewallet fills in on the Card, with their empty values - for
+// when an admin clears a wrong match. Stage is left alone since TCGdex
+// usually has it even when it has no attacks.
+const EMPTY_CATALOG_MECHANICS = {
+  attacks: [],
+  abilities: [],
+  weaknesses: [],
+  resistances: [],
+  retreatCost: null,
+  mechanicsSource: '',
+};
+
+/**
+ * Save a Pokewallet match on a Card
+ * The searchable fields (attacks, weaknesses...) only get replaced if
+ * TCGdex didn't have them, since TCGdex is the better source.
+ *
+ * @param {string} externalId - TCGdex card ID
+ * @param {Object|null} match - { mechanics, pokewalletId, confidence }, or null for "no Pokewallet card"
+ * @param {string} matchedBy - 'auto' or 'admin'
+ * @returns {Promise<Object>} The updateOne result for the pokewallet field
+ *   (matchedCount is 0 for an 'auto' match that lost to an admin one)
+ */
+const saveMechanicsMatch = async (externalId, match, matchedBy) => {
+  // An automatic lookup can take a while (Pokewallet is slow), so an admin
+  // may have fixed the match in the meantime - don't write over theirs
+  const filter = { externalId };
+  if (matchedBy === 'auto') filter['pokewallet.matchedBy'] = { $ne: 'admin' };
+
+  const result = await Card.updateOne(filter, {
+    $set: {
+      'pokewallet.id': match ? match.pokewalletId : '',
+      'pokewallet.confidence': match ? match.confidence : null,
+      'pokewallet.matchedBy': matchedBy,
+      'pokewallet.matchedAt': new Date(),
+      'pokewallet.mechanics': match ? match.mechanics : null,
+    },
+  });
+
+  if (result.matchedCount === 0) return result;
+
+  if (match) {
+    await Card.updateOne(
+      { externalId, mechanicsSource: { $ne: 'tcgdex' } },
+      { $set: formatMechanicsForCatalog(match.mechanics) }
+    );
+  } else {
+    // The old match was wrong, so what it filled in is wrong too
+    await Card.updateOne({ externalId, mechanicsSource: 'pokewallet' }, { $set: EMPTY_CATALOG_MECHANICS });
+  }
+
+  return result;
+};
+
+/**
+ * Get the mechanics for the card page
+ *
+ * Uses the match saved on our Card if there is one. Otherwise asks
+ * Pokewallet (through the cache in getCardMechanics) and saves what it
+ * finds. "Nothing found" isn't saved, since that's also what a Pokewallet
+ * outage looks like from here - it's only cached for an hour, so it gets
+ * tried again. Cards we don't have yet aren't created - the catalog sync
+ * does that.
+ *
+ * @param {string} externalId - TCGdex card ID
+ * @param {string} cardName - English card name (Pokewallet only knows those)
+ * @param {string} cardNumber - Card number from TCGdex
+ * @returns {Promise<Object|null>} { mechanics, pokewalletId, confidence, matchedBy } or null
+ */
+const getMechanicsForCard = async (externalId, cardName, cardNumber) => {
+  const localCard = await Card.findOne({ externalId }).select('pokewallet').lean();
+  const saved = localCard?.pokewallet;
+
+  if (saved?.matchedAt) {
+    // An admin can decide a card has no Pokewallet match - don't look again
+    if (!saved.mechanics) return null;
+    return {
+      mechanics: saved.mechanics,
+      pokewalletId: saved.id,
+      confidence: saved.confidence,
+      matchedBy: saved.matchedBy,
+    };
+  }
+
+  const match = await getCardMechanics(cardName, cardNumber);
+  if (!match) return null;
+
+  if (localCard) {
+    await saveMechanicsMatch(externalId, match, 'auto');
+  }
+
+  return { ...match, matchedBy: 'auto' };
+};
+
+module.exports = {
+  getMechanicsForCard,
+  saveMechanicsMatch,
+};
@@ -0,0 +1,70 @@
+/**
+ * Card Data Providers
+ *
+ * Card.game lists seven games, but every game's cards come from a
+ * different place - TCGdex only has Pokemon. Each source is wrapped in a
+ * provider with the same functions, so the card controller (and the price
+ * snapshot job) just look up the provider for a game and don't care where
+ * the data comes from. Same idea as the cache and rate limit stores.
+ *
+ * A provider looks like:
+ *
+ *   game, label                   - 'pokemon', 'TCGdex'
+ *   isConfigured()                - false if it's missing its data/settings
+ *   searchCards(query, limit, lang)  -> [card]   (by name)
+ *   getCardById(id, lang)         -> card or null (full details and prices)
+ *   getPricing(id)                -> { currentPrice, marketPrices } or null
+ *   getSets()                     -> [set]
+ *   getSet(setId, lang)           -> { ...set, cards } or null
+ *   getRandomCards(count, lang)   -> [card]
+ *
+ * Cards and sets come back in the same format whichever provider it is
+ * (see tcgdexApi.formatCardFull and cardCatalog.formatCatalogSet), and
+ * marketPrices in the PriceHistory source/variant format. Providers throw
+ * an UpstreamError when their API is down, like tcgdexApi does.
+ *
+ * To add a game, write a provider for it and add it to PROVIDERS.
+ */
+
+const tcgdex = require('./tcgdexApi');
+const { createScryfallProvider } = require('./scryfallBulk');
+
+const PROVIDERS = {
+  pokemon: tcgdex.provider,
+  magic: createScryfallProvider(),
+};
+
+const DEFAULT_GAME = 'pokemon';
+
+/**
+ * Get the provider for a game
+ *
+ * @param {string} [game] - Card.game value (default 'pokemon')
+ * @returns {Object|null} The provider, or null if we don't have one for the game
+ */
+// hasOwn, not PROVIDERS[game] - ?game=constructor would find Object's own
+// constructor function and blow up as a 500
+const getProvider = (game = DEFAULT_GAME) => (Object.hasOwn(PROVIDERS, game) ? PROVIDERS[game] : null);
+
+/**
+ * Games we have a provider for, configured or not
+ *
+ * @returns {string[]}
+ */
+const getProviderGames = () => Object.keys(PROVIDERS);
+
+/**
+ * Games whose provider is ready to use (e.g. magic needs SCRYFALL_BULK_PATH)
+ *
+ * @returns {string[]}
+ */
+const getConfiguredGames = () => {
+  return Object.keys(PROVIDERS).filter((game) => PROVIDERS[game].isConfigured());
+};
+
+module.exports = {
+  DEFAULT_GAME,
+  getProvider,
+  getProviderGames,
+  getConfiguredGames,
+};
@@ -0,0 +1,80 @@
+/**
+ * Card Variant Checks
+ *
+ * A "Charizard 4/102" can be unlimited or 1st Edition, holo or not, and
+ * those are worth very different amounts. Collection entries, listings,
+ * wishlists and trade offers say which one they mean with a variant
+ * (CARD_VARIANTS in utils/cardCatalog.js), and it has to be one the card
+ * actually comes in - Card.variants.
+ *
+ * Cards that users added before the catalog sync got to them don't have
+ * their variants yet, so those get looked up from the card's provider
+ * the first time someone picks a variant. Shadowless and stamped promo
+ * printings never come from a provider - an admin adds them to
+ * Card.extraVariants, and they count as well.
+ */
+
+const Card = require('../models/Card');
+const { CARD_VARIANTS, mergeVariants } = require('./cardCatalog');
+const { getProvider } = require('./cardProviders');
+const { UpstreamError } = require('./httpClient');
+
+/**
+ * Get the variants a card comes in, filling them in from the provider
+ * (and saving them on the Card) if we don't have them yet
+ *
+ * @param {Object} card - Card document
+ * @returns {Promise<string[]>} Empty if nobody knows
+ */
+const getCardVariants = async (card) => {
+  if (card.variants && card.variants.length > 0) return mergeVariants(card.variants, card.extraVariants);
+
+  const provider = getProvider(card.game);
+  if (!provider || !provider.isConfigured()) return mergeVariants(card.extraVariants);
+
+  const fullCard = await provider.getCardById(card.externalId);
+  const variants = fullCard?.variants || [];
+
+  if (variants.length > 0) {
+    await Card.updateOne({ _id: card._id }, { $set: { variants } });
+  }
+  return mergeVariants(variants, card.extraVariants);
+};
+
+/**
+ * Check a variant someone picked for a card
+ *
+ * No variant (null or '') is always fine - it means "not specified" on a
+ * collection entry or listing and "any" on a wishlist. If we can't find
+ * out which variants the card has (the provider is down, or doesn't know)
+ * any known variant is accepted rather than blocking the user.
+ *
+ * @param {Object} card - Card document
+ * @param {string|null|undefined} variant
+ * @returns {Promise<string|null>} Error message, or null if it's fine
+ */
+const validateVariant = async (card, variant) => {
+  if (variant === undefined || variant === null || variant === '') return null;
+
+  if (!CARD_VARIANTS.includes(variant)) {
+    return `variant must be one of: ${CARD_VARIANTS.join(', ')}`;
+  }
+
+  let variants = [];
+  try {
+    variants = await getCardVariants(card);
+  } catch (error) {
+    if (!(error instanceof UpstreamError)) throw error;
+  }
+
+  if (variants.length > 0 && !variants.includes(variant)) {
+    return `This card doesn't come in ${variant} - it comes in: ${variants.join(', ')}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  getCardVariants,
+  validateVariant,
+};
@@ -0,0 +1,368 @@
+/**
+ * Card Catalog Sync
+ *
+ * Copies sets and cards from TCGdex into our own CardSet and Card
+ * collections, so card search doesn't depend on TCGdex being up (or fast).
+ *
+ * It can run from two sources:
+ *   - live: walks every set on TCGdex and fetches each card's full details
+ *   - dump: reads a JSON file with { sets: [...], cards: [...] } in the raw
+ *     TCGdex format, so it works offline (e.g. seeding a dev database).
+ *     A live sync can write this file with the saveDumpPath option.
+ *
+ * Card names in other languages (CATALOG_LANGUAGES) are saved into
+ * Card.localizedNames from the same sets fetched in that language.
+ *
+ * A full live sync is tens of thousands of requests, so cards that were
+ * synced recently are skipped - each run only refreshes the stale ones.
+ *
+ * Run it by hand with `npm run sync-catalog`, or set
+ * CATALOG_SYNC_INTERVAL_HOURS to have the server refresh it on a timer.
+ */
+
+const fs = require('fs/promises');
+const Card = require('../models/Card');
+const CardSet = require('../models/CardSet');
+const tcgdex = require('./tcgdexApi');
+const { mapWithConcurrency } = require('./concurrency');
+const { CircuitOpenError } = require('./httpClient');
+const { DEFAULT_LANGUAGE, normalizeLanguage } = require('../config/languages');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cards synced within this many days are skipped on a live sync
+const DEFAULT_STALE_AFTER_DAYS = parseInt(process.env.CATALOG_STALE_AFTER_DAYS) || 7;
+
+// How many card requests to TCGdex can be in flight at once
+const DEFAULT_CONCURRENCY = parseInt(process.env.CATALOG_SYNC_CONCURRENCY) || 5;
+
+// Other languages to fetch card names in, e.g. CATALOG_LANGUAGES=fr,de,ja
+const DEFAULT_LANGUAGES = (process.env.CATALOG_LANGUAGES || '')
+  .split(',')
+  .map(normalizeLanguage)
+  .filter(Boolean);
+
+// Only keep this many error messages in the result so it stays readable
+const MAX_ERRORS_REPORTED = 20;
+
+/**
+ * Upsert one raw TCGdex set into CardSet
+ */
+const saveSet = async (rawSet, syncedAt) => {
+  const fields = tcgdex.formatSetForCatalog(rawSet);
+
+  await CardSet.updateOne(
+    { externalId: fields.externalId, game: fields.game },
+    { $set: { ...fields, catalogSyncedAt: syncedAt } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Upsert one raw TCGdex card into Card
+ * Cards that users already added (collection, listing...) get filled in,
+ * since they're matched on externalId.
+ */
+const saveCard = async (rawCard, syncedAt) => {
+  const fields = tcgdex.formatCardForCatalog(rawCard);
+
+  await Card.updateOne(
+    { externalId: fields.externalId },
+    { $set: { ...fields, catalogSyncedAt: syncedAt } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Save the localized card names from a raw TCGdex set in another language
+ * Only updates cards we already have - the English sync creates them.
+ *
+ * @param {Object} rawSet - Raw set JSON fetched in `lang`
+ * @param {string} lang - Language code
+ * @returns {Promise<number>} How many cards were updated
+ */
+const saveLocalizedNames = async (rawSet, lang) => {
+  const operations = (rawSet.cards || [])
+    .filter((brief) => brief.name)
+    .map((brief) => ({
+      updateOne: {
+        filter: { externalId: brief.id },
+        update: { $set: { [`localizedNames.${lang}`]: brief.name } },
+      },
+    }));
+
+  if (operations.length === 0) return 0;
+
+  const result = await Card.bulkWrite(operations, { ordered: false });
+  return result.modifiedCount;
+};
+
+/**
+ * Create an empty stats object for a sync run
+ */
+const createStats = (source) => ({
+  source,
+  startedAt: new Date(),
+  finishedAt: null,
+  sets: 0,
+  cardsSaved: 0,
+  cardsSkipped: 0,
+  localizedNames: 0,
+  errorCount: 0,
+  errors: [],
+});
+
+const recordError = (stats, message) => {
+  stats.errorCount += 1;
+  if (stats.errors.length < MAX_ERRORS_REPORTED) stats.errors.push(message);
+};
+
+/**
+ * Import the catalog from a local JSON dump
+ *
+ * @param {string} dumpPath - Path to the dump file
+ * @param {Function} log - Where progress messages go
+ * @returns {Promise<Object>} Stats for the run
+ */
+const syncFromDump = async (dumpPath, log) => {
+  const stats = createStats('dump');
+  const syncedAt = new Date();
+
+  const dump = JSON.parse(await fs.readFile(dumpPath, 'utf8'));
+  const sets = dump.sets || [];
+  const cards = dump.cards || [];
+
+  log(`Importing ${sets.length} sets and ${cards.length} cards from ${dumpPath}`);
+
+  for (const rawSet of sets) {
+    try {
+      await saveSet(rawSet, syncedAt);
+      stats.sets += 1;
+    } catch (error) {
+      recordError(stats, `set ${rawSet.id}: ${error.message}`);
+    }
+  }
+
+  // Everything is local, so the concurrency is only about how hard we hit Mongo
+  await mapWithConcurrency(cards, DEFAULT_CONCURRENCY * 2, async (rawCard) => {
+    try {
+      await saveCard(rawCard, syncedAt);
+      stats.cardsSaved += 1;
+    } catch (error) {
+      recordError(stats, `card ${rawCard.id}: ${error.message}`);
+    }
+  });
+
+  // Localized sets are stored as { fr: [rawSet, ...], de: [...] }
+  const localizedSets = dump.localizedSets || {};
+  for (const [lang, langSets] of Object.entries(localizedSets)) {
+    for (const rawSet of langSets) {
+      try {
+        stats.localizedNames += await saveLocalizedNames(rawSet, lang);
+      } catch (error) {
+        recordError(stats, `set ${rawSet.id} (${lang}): ${error.message}`);
+      }
+    }
+  }
+
+  stats.finishedAt = new Date();
+  return stats;
+};
+
+/**
+ * Sync the catalog from the live TCGdex API
+ *
+ * @param {Object} options
+ * @param {string[]} [options.setIds] - Only sync these sets (default: all)
+ * @param {number} options.staleAfterDays - Skip cards synced more recently than this
+ * @param {number} options.concurrency - Parallel card requests
+ * @param {string} [options.saveDumpPath] - Also write everything fetched to this file
+ * @param {string[]} options.languages - Extra languages to fetch card names in
+ * @param {Function} options.log - Where progress messages go
+ * @returns {Promise<Object>} Stats for the run
+ */
+const syncFromTcgdex = async ({ setIds, staleAfterDays, concurrency, saveDumpPath, languages, log }) => {
+  const stats = createStats('tcgdex');
+  const syncedAt = new Date();
+
+  // A dump has to contain every card, so don't skip anything when writing one
+  const cutoff = saveDumpPath ? syncedAt : new Date(syncedAt.getTime() - staleAfterDays * DAY_MS);
+  const dump = saveDumpPath ? { sets: [], cards: [], localizedSets: {} } : null;
+
+  const ids = setIds && setIds.length > 0 ? setIds : (await tcgdex.fetchSetList()).map((s) => s.id);
+  log(`Syncing ${ids.length} sets from TCGdex`);
+
+  for (const setId of ids) {
+    let rawSet;
+    try {
+      rawSet = await tcgdex.fetchSet(setId);
+    } catch (error) {
+      // TCGdex is down - stop here, the next sync picks up where this left off
+      if (error instanceof CircuitOpenError) throw error;
+      recordError(stats, `set ${setId}: ${error.message}`);
+      continue;
+    }
+
+    if (!rawSet) {
+      recordError(stats, `set ${setId}: not found`);
+      continue;
+    }
+
+    // One bad set (e.g. it fails validation) shouldn't stop the whole sync.
+    // Its cards are left for the next run, once the set saves.
+    try {
+      await saveSet(rawSet, syncedAt);
+    } catch (error) {
+      recordError(stats, `set ${setId}: ${error.message}`);
+      continue;
+    }
+    stats.sets += 1;
+    if (dump) dump.sets.push(rawSet);
+
+    // Skip the cards in this set that were refreshed recently
+    const briefCards = rawSet.cards || [];
+    const fresh = new Set(
+      await Card.find({
+        externalId: { $in: briefCards.map((c) => c.id) },
+        catalogSyncedAt: { $gte: cutoff },
+      }).distinct('externalId')
+    );
+    const toFetch = briefCards.filter((c) => !fresh.has(c.id));
+    stats.cardsSkipped += briefCards.length - toFetch.length;
+
+    await mapWithConcurrency(toFetch, concurrency, async (brief) => {
+      try {
+        const rawCard = await tcgdex.fetchCard(brief.id);
+        if (!rawCard) {
+          recordError(stats, `card ${brief.id}: not found`);
+          return;
+        }
+
+        await saveCard(rawCard, syncedAt);
+        stats.cardsSaved += 1;
+        if (dump) dump.cards.push(rawCard);
+      } catch (error) {
+        if (error instanceof CircuitOpenError) throw error;
+        recordError(stats, `card ${brief.id}: ${error.message}`);
+      }
+    });
+
+    // The names in other languages come from the set in that language -
+    // one request per language instead of one per card.
+    // Names don't change, so these aren't skipped like the cards are.
+    for (const lang of languages) {
+      try {
+        const localizedSet = await tcgdex.fetchSet(setId, lang);
+        if (!localizedSet) continue; // Not every set exists in every language
+
+        stats.localizedNames += await saveLocalizedNames(localizedSet, lang);
+        if (dump) {
+          dump.localizedSets[lang] = dump.localizedSets[lang] || [];
+          dump.localizedSets[lang].push(localizedSet);
+        }
+      } catch (error) {
+        recordError(stats, `set ${setId} (${lang}): ${error.message}`);
+      }
+    }
+
+    log(`  ${rawSet.name} (${setId}): ${toFetch.length} fetched, ${fresh.size} up to date`);
+  }
+
+  if (dump) {
+    await fs.writeFile(saveDumpPath, JSON.stringify(dump));
+    log(`Wrote dump with ${dump.sets.length} sets and ${dump.cards.length} cards to ${saveDumpPath}`);
+  }
+
+  stats.finishedAt = new Date();
+  return stats;
+};
+
+/**
+ * Sync the card catalog
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dumpPath] - Import from this JSON dump instead of TCGdex
+ * @param {string[]} [options.setIds] - Only sync these sets (live sync only)
+ * @param {number} [options.staleAfterDays] - Skip cards synced more recently (live sync only)
+ * @param {number} [options.concurrency] - Parallel requests to TCGdex
+ * @param {string} [options.saveDumpPath] - Write a dump file while syncing live
+ * @param {string[]} [options.languages] - Also fetch card names in these languages (live sync only)
+ * @param {Function} [options.log] - Progress logger (default console.log)
+ * @returns {Promise<Object>} { source, sets, cardsSaved, cardsSkipped, localizedNames, errorCount, errors, ... }
+ */
+const syncCatalog = async ({
+  dumpPath,
+  setIds,
+  staleAfterDays = DEFAULT_STALE_AFTER_DAYS,
+  concurrency = DEFAULT_CONCURRENCY,
+  saveDumpPath,
+  languages = DEFAULT_LANGUAGES,
+  log = console.log,
+} = {}) => {
+  if (dumpPath) {
+    return syncFromDump(dumpPath, log);
+  }
+
+  // English is the main sync, so it's never an "extra" language
+  const extraLanguages = languages.filter((lang) => lang !== DEFAULT_LANGUAGE);
+
+  return syncFromTcgdex({
+    setIds,
+    staleAfterDays,
+    concurrency,
+    saveDumpPath,
+    languages: extraLanguages,
+    log,
+  });
+};
+
+// Stops a slow sync from overlapping with the next scheduled one
+let syncRunning = false;
+
+/**
+ * Start refreshing the catalog on a timer
+ *
+ * Does nothing unless CATALOG_SYNC_INTERVAL_HOURS is set. If CATALOG_DUMP_PATH
+ * is set too, the scheduled runs import that file instead of calling TCGdex.
+ * The first run waits one interval, so restarting the server doesn't kick
+ * off a sync every time.
+ *
+ * @returns {Object|null} The interval handle, or null if disabled
+ */
+const startCatalogSyncSchedule = () => {
+  const hours = parseFloat(process.env.CATALOG_SYNC_INTERVAL_HOURS);
+  if (!hours || hours <= 0) return null;
+
+  const run = async () => {
+    if (syncRunning) return;
+    syncRunning = true;
+
+    try {
+      const stats = await syncCatalog({
+        dumpPath: process.env.CATALOG_DUMP_PATH || undefined,
+        log: () => {},
+      });
+      console.log(
+        `Catalog sync (${stats.source}): ${stats.sets} sets, ${stats.cardsSaved} cards saved, ` +
+          `${stats.cardsSkipped} up to date, ${stats.localizedNames} localized names, ` +
+          `${stats.errorCount} errors`
+      );
+    } catch (error) {
+      console.error('Catalog sync error:', error.message);
+    } finally {
+      syncRunning = false;
+    }
+  };
+
+  const interval = setInterval(run, hours * 60 * 60 * 1000);
+  // Don't keep the process alive just for this timer
+  interval.unref();
+
+  console.log(`Catalog sync scheduled every ${hours} hour(s)`);
+  return interval;
+};
+
+module.exports = {
+  syncCatalog,
+  startCatalogSyncSchedule,
+};
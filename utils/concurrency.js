@@ -0,0 +1,36 @@
+/**
+ * Concurrency Helper
+ *
+ * Runs an async function over a list of items with at most `limit`
+ * running at the same time. Promise.all on thousands of API calls would
+ * fire them all at once and get us rate limited (or run out of sockets),
+ * while a plain for loop is way too slow for a full catalog sync.
+ *
+ * It works by starting `limit` "workers" that each keep pulling the next
+ * item off a shared index until the list is empty.
+ */
+
+/**
+ * @param {Array} items - Things to process
+ * @param {number} limit - Max number running at once
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
@@ -4,24 +4,29 @@
  * This utility creates JSON Web Tokens for user authentication.
  * I learned that JWTs are a way to securely transmit information between parties.
  * The token contains the user's ID, and it's signed with our secret key.
+ *
+ * Access tokens are short-lived now (15 minutes by default). They also carry
+ * the session ID ("sid") so the auth middleware can reject tokens whose
+ * session was revoked. The client uses its refresh token to get a new one.
  */
 
 const jwt = require('jsonwebtoken');
 
 /**
- * Generate a JWT token for a user
+ * Generate a JWT access token for a user
  * @param {string} userId - The user's MongoDB _id
+ * @param {string} sessionId - The Session _id this token belongs to
  * @returns {string} - The signed JWT token
  */
-const generateToken = (userId) => {
+const generateToken = (userId, sessionId) => {
   // jwt.sign creates a token with:
-  // 1. Payload (data we want to store - here just the user id)
+  // 1. Payload (the user id and the session id)
   // 2. Secret key (from our .env file)
   // 3. Options (like expiration time)
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
@@ -0,0 +1,232 @@
+/**
+ * Graded Card Helpers
+ *
+ * A graded card is sealed in a "slab" by a grading company, with a grade
+ * from 1 to 10 and a certificate number you can look up on their site.
+ * We support the big three - PSA, BGS (Beckett) and CGC.
+ *
+ * The rules I had to look up:
+ *   - Grades go up in halves (8.5, 9.5...). PSA is the odd one out - its
+ *     half grades stop at 8.5, there's no PSA 9.5.
+ *   - BGS slabs can also have four subgrades (centering, corners, edges,
+ *     surface), each 1-10 in halves. It's all four or none.
+ *   - Cert numbers are all digits (PSA 8-9, BGS/CGC up to 10), so I
+ *     accept 6-12 digits.
+ *
+ * Collection entries and listings keep this in their `grading` field,
+ * and graded prices are a separate series in PriceHistory.
+ */
+
+const GRADING_COMPANIES = ['PSA', 'BGS', 'CGC'];
+
+const BGS_SUBGRADES = ['centering', 'corners', 'edges', 'surface'];
+
+const CERT_NUMBER_PATTERN = /^\d{6,12}$/;
+
+/**
+ * Turn "psa" into "PSA" (or null if it isn't a company we know)
+ */
+const normalizeCompany = (company) => {
+  const upper = String(company || '').trim().toUpperCase();
+  return GRADING_COMPANIES.includes(upper) ? upper : null;
+};
+
+/**
+ * Is this a real grade? 1-10 in steps of 0.5 (and no PSA 9.5)
+ *
+ * @param {*} value
+ * @param {string} [company] - Only needed for the PSA rule
+ * @returns {boolean}
+ */
+const isValidGrade = (value, company) => {
+  const grade = Number(value);
+  if (!Number.isFinite(grade) || grade < 1 || grade > 10) return false;
+  if (!Number.isInteger(grade * 2)) return false;
+  if (company === 'PSA' && grade === 9.5) return false;
+  return true;
+};
+
+/**
+ * Check the grading someone sent for a collection entry or listing
+ *
+ * null (or leaving it out) means a raw, ungraded card.
+ *
+ * @param {Object|null|undefined} input - { company, grade, subgrades?, certNumber? }
+ * @param {Object} [options]
+ * @param {boolean} [options.requireCertNumber] - Listings need one so buyers can check the slab
+ * @returns {Object} { grading } (null for raw) or { error }
+ */
+const parseGrading = (input, { requireCertNumber = false } = {}) => {
+  if (input === undefined || input === null || input.company === null) return { grading: null };
+  if (typeof input !== 'object') return { error: 'grading must be an object' };
+
+  const company = normalizeCompany(input.company);
+  if (!company) {
+    return { error: `grading.company must be one of: ${GRADING_COMPANIES.join(', ')}` };
+  }
+
+  if (!isValidGrade(input.grade, company)) {
+    return {
+      error:
+        company === 'PSA'
+          ? 'grading.grade must be a whole grade from 1 to 10, or a half grade from 1.5 to 8.5 for PSA'
+          : 'grading.grade must be from 1 to 10 in steps of 0.5',
+    };
+  }
+
+  // Forms tend to send every subgrade field, empty or not
+  const hasSubgrades =
+    input.subgrades && Object.values(input.subgrades).some((value) => value !== null && value !== '');
+
+  let subgrades = null;
+  if (hasSubgrades) {
+    if (company !== 'BGS') return { error: 'Only BGS slabs have subgrades' };
+
+    subgrades = {};
+    for (const name of BGS_SUBGRADES) {
+      if (!isValidGrade(input.subgrades[name])) {
+        return { error: `grading.subgrades needs ${BGS_SUBGRADES.join(', ')}, each from 1 to 10 in steps of 0.5` };
+      }
+      subgrades[name] = Number(input.subgrades[name]);
+    }
+  }
+
+  const certNumber = String(input.certNumber || '').trim();
+  if (certNumber && !CERT_NUMBER_PATTERN.test(certNumber)) {
+    return { error: 'grading.certNumber must be 6 to 12 digits' };
+  }
+  if (!certNumber && requireCertNumber) {
+    return { error: 'grading.certNumber is required for graded listings' };
+  }
+
+  return {
+    grading: {
+      company,
+      grade: Number(input.grade),
+      subgrades,
+      certNumber,
+    },
+  };
+};
+
+/**
+ * The grading field to save on a collection entry or listing
+ * Fills in the nulls for a raw card, so switching a slab back to raw
+ * clears the old grade.
+ *
+ * @param {Object|null} grading - From parseGrading
+ * @returns {Object}
+ */
+const gradingFields = (grading) => ({
+  company: grading ? grading.company : null,
+  grade: grading ? grading.grade : null,
+  subgrades: grading?.subgrades || { centering: null, corners: null, edges: null, surface: null },
+  certNumber: grading ? grading.certNumber : '',
+});
+
+/**
+ * Mongo conditions for "the same slab" (or raw) - used to find an
+ * existing collection entry to add to instead of making a duplicate
+ *
+ * @param {Object|null} grading - From parseGrading
+ * @returns {Object} Conditions to merge into a filter
+ */
+const slabFilter = (grading) => {
+  // null also matches entries from before grading existed
+  if (!grading) return { 'grading.company': null };
+  return {
+    'grading.company': grading.company,
+    'grading.grade': grading.grade,
+    'grading.certNumber': grading.certNumber,
+  };
+};
+
+/**
+ * Check a minimum grade and grading company - the listing search filter
+ * and a wishlist's grade requirement. No PSA rule here: "at least 9.5"
+ * is a fine thing to ask for, PSA 10s still match it.
+ *
+ * @param {*} minGrade - Empty for no minimum
+ * @param {*} company - Empty for any company
+ * @returns {Object} { minGrade, company } (nulls when not set) or { error }
+ */
+const parseGradeRequirement = (minGrade, company) => {
+  const hasMinGrade = minGrade !== undefined && minGrade !== null && minGrade !== '';
+  if (hasMinGrade && !isValidGrade(minGrade)) {
+    return { error: 'minGrade must be from 1 to 10 in steps of 0.5' };
+  }
+
+  const normalizedCompany = company ? normalizeCompany(company) : null;
+  if (company && !normalizedCompany) {
+    return { error: `gradingCompany must be one of: ${GRADING_COMPANIES.join(', ')}` };
+  }
+
+  return {
+    minGrade: hasMinGrade ? Number(minGrade) : null,
+    company: normalizedCompany,
+  };
+};
+
+/**
+ * Check the grading of a price (PriceHistory's gradingCompany and grade)
+ * Both empty is a raw card price. A graded price needs both.
+ *
+ * @param {*} company
+ * @param {*} grade
+ * @returns {Object} { gradingCompany, grade } (nulls for raw) or { error }
+ */
+const parsePriceGrade = (company, grade) => {
+  const isEmpty = (value) => value === undefined || value === null || value === '';
+  if (isEmpty(company) && isEmpty(grade)) return { gradingCompany: null, grade: null };
+
+  const gradingCompany = normalizeCompany(company);
+  if (!gradingCompany || !isValidGrade(grade, gradingCompany)) {
+    return {
+      error: `gradingCompany (${GRADING_COMPANIES.join(', ')}) and a grade from 1 to 10 (in steps of 0.5) go together`,
+    };
+  }
+  return { gradingCompany, grade: Number(grade) };
+};
+
+/**
+ * Mongo conditions for "graded at least minGrade (by company)"
+ *
+ * @param {number|null} minGrade
+ * @param {string|null} [company]
+ * @returns {Object} Conditions to merge into a listing filter (empty for no requirement)
+ */
+const buildGradeFilter = (minGrade, company) => {
+  const filter = {};
+  if (minGrade) filter['grading.grade'] = { $gte: minGrade };
+  if (company) filter['grading.company'] = company;
+  return filter;
+};
+
+/**
+ * Does a listing's slab meet a wishlist's grade requirement?
+ * Wishlists without a minGrade or company take anything, raw included.
+ *
+ * @param {Object} listing - Listing with grading
+ * @param {Object} wishlistItem - Wishlist entry with minGrade and gradingCompany
+ * @returns {boolean}
+ */
+const meetsGradeRequirement = (listing, wishlistItem) => {
+  const grading = listing.grading || {};
+  if (wishlistItem.gradingCompany && grading.company !== wishlistItem.gradingCompany) return false;
+  if (wishlistItem.minGrade && !(grading.grade >= wishlistItem.minGrade)) return false;
+  return true;
+};
+
+module.exports = {
+  GRADING_COMPANIES,
+  BGS_SUBGRADES,
+  normalizeCompany,
+  isValidGrade,
+  parseGrading,
+  gradingFields,
+  slabFilter,
+  parseGradeRequirement,
+  parsePriceGrade,
+  buildGradeFilter,
+  meetsGradeRequirement,
+};
@@ -0,0 +1,298 @@
+/**
+ * Outbound HTTP Client
+ *
+ * Every call we make to another service (TCGdex, Pokewallet, Google
+ * Vision and the Cloudinary image download for the scanner) goes
+ * through request() here, so they all get the same handling:
+ *
+ *   - Timeouts: each upstream has its own, enforced with an AbortController.
+ *     It covers reading the body too, not just getting the headers - a
+ *     server that sends headers and then stalls would otherwise hang the
+ *     caller's response.json() forever.
+ *   - Retries: network errors, timeouts, 429s and 5xx responses are retried
+ *     a couple of times with "full jitter" backoff - a random wait between
+ *     0 and an exponentially growing cap. I learned the random part matters:
+ *     without it every request that failed together retries together and
+ *     hits the API at the same moment again.
+ *   - Circuit breaker per upstream: after enough failed requests in a row
+ *     the circuit "opens" and requests fail straight away for a cooldown,
+ *     instead of every user waiting out a timeout on an API we already
+ *     know is down. After the cooldown one trial request is let through
+ *     ("half open") - if it works the circuit closes again.
+ *   - Typed errors: everything that goes wrong is thrown as an
+ *     UpstreamError subclass, so callers can tell "TCGdex is down" apart
+ *     from "no results" and controllers can answer with a 503.
+ *
+ * Responses with other 4xx statuses (404 etc.) are returned as is - those
+ * mean the upstream is working, and the caller decides what they mean.
+ *
+ * Breaker state is kept per server process.
+ */
+
+// Per-upstream settings. label is what shows up in error messages.
+const UPSTREAMS = {
+  tcgdex: { label: 'TCGdex', timeoutMs: 10000, retries: 2 },
+  // Pokewallet can be slow, especially when their cache is down
+  pokewallet: { label: 'Pokewallet', timeoutMs: 12000, retries: 1 },
+  vision: { label: 'Google Vision', timeoutMs: 15000, retries: 1 },
+  cloudinary: { label: 'Cloudinary', timeoutMs: 10000, retries: 1 },
+};
+
+// Failed requests in a row (after retries) that open the circuit
+const FAILURE_THRESHOLD = 5;
+
+// How long an open circuit fails fast before letting a trial request through
+const COOLDOWN_MS = 30 * 1000;
+
+// Backoff between retries: random wait between 0 and min(MAX, BASE * 2^attempt)
+const BASE_DELAY_MS = 300;
+const MAX_DELAY_MS = 5000;
+
+/**
+ * Base class for anything that went wrong talking to another service
+ * upstream is the key from UPSTREAMS, retryAfter is in seconds (if known).
+ */
+class UpstreamError extends Error {
+  constructor(upstream, message, { status = null, retryAfter = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'UpstreamError';
+    this.upstream = upstream;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The upstream didn't answer within its timeout
+class UpstreamTimeoutError extends UpstreamError {
+  constructor(upstream, timeoutMs) {
+    super(upstream, `${labelFor(upstream)} took too long to respond`);
+    this.name = 'UpstreamTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Couldn't connect at all (DNS, connection refused, reset...)
+class UpstreamNetworkError extends UpstreamError {
+  constructor(upstream, cause) {
+    super(upstream, `Could not reach ${labelFor(upstream)}`, { cause });
+    this.name = 'UpstreamNetworkError';
+  }
+}
+
+// The upstream answered with a 5xx or 429
+class UpstreamResponseError extends UpstreamError {
+  constructor(upstream, status, retryAfter = null) {
+    super(upstream, `${labelFor(upstream)} returned an error (${status})`, { status, retryAfter });
+    this.name = 'UpstreamResponseError';
+  }
+}
+
+// The circuit is open - we didn't even try
+class CircuitOpenError extends UpstreamError {
+  constructor(upstream, retryAfter) {
+    super(upstream, `${labelFor(upstream)} is temporarily unavailable, please try again in ${retryAfter} seconds`, {
+      retryAfter,
+    });
+    this.name = 'CircuitOpenError';
+  }
+}
+
+function labelFor(upstream) {
+  return UPSTREAMS[upstream]?.label || upstream;
+}
+
+// Circuit state per upstream, created the first time it's used
+const breakers = new Map();
+
+const getBreaker = (upstream) => {
+  if (!breakers.has(upstream)) {
+    breakers.set(upstream, {
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      lastError: null,
+      lastFailureAt: null,
+      timesOpened: 0,
+    });
+  }
+  return breakers.get(upstream);
+};
+
+/**
+ * Throw CircuitOpenError if the upstream's circuit is open
+ * Moves an open circuit to half open once the cooldown is over, and only
+ * lets one trial request through while it's half open.
+ */
+const checkBreaker = (upstream) => {
+  const breaker = getBreaker(upstream);
+
+  if (breaker.state === 'open') {
+    const remaining = COOLDOWN_MS - (Date.now() - breaker.openedAt);
+    if (remaining > 0) {
+      throw new CircuitOpenError(upstream, Math.ceil(remaining / 1000));
+    }
+    breaker.state = 'half_open';
+    breaker.trialInFlight = false;
+  }
+
+  if (breaker.state === 'half_open') {
+    if (breaker.trialInFlight) {
+      throw new CircuitOpenError(upstream, Math.ceil(COOLDOWN_MS / 1000));
+    }
+    breaker.trialInFlight = true;
+  }
+};
+
+const recordSuccess = (upstream) => {
+  const breaker = getBreaker(upstream);
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.trialInFlight = false;
+};
+
+const recordFailure = (upstream, error) => {
+  const breaker = getBreaker(upstream);
+  breaker.failures += 1;
+  breaker.lastError = error.message;
+  breaker.lastFailureAt = new Date();
+  breaker.trialInFlight = false;
+
+  // A failed trial request reopens it straight away
+  if (breaker.state === 'half_open' || breaker.failures >= FAILURE_THRESHOLD) {
+    if (breaker.state !== 'open') breaker.timesOpened += 1;
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * How long to wait before retry number `attempt` (1, 2, ...)
+ * A Retry-After from a 429/503 wins if it isn't too long.
+ */
+const backoffDelay = (attempt, retryAfter) => {
+  if (retryAfter && retryAfter * 1000 <= MAX_DELAY_MS) return retryAfter * 1000;
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+};
+
+/**
+ * Read a Retry-After header (seconds only - nobody we call sends dates)
+ */
+const parseRetryAfter = (response) => {
+  const seconds = parseInt(response.headers.get('retry-after'));
+  return seconds >= 0 ? seconds : null;
+};
+
+// Statuses that can't have a body (new Response() throws if you give them one)
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * One fetch with a timeout, turning failures into UpstreamErrors
+ *
+ * The body is read while the timeout is still running, and handed back
+ * in a new Response, so callers can still call .json() / .arrayBuffer()
+ * on it - it just can't hang anymore. Error responses (5xx, 429) come
+ * back unread, request() throws those away.
+ */
+const fetchOnce = async (upstream, url, options, timeoutMs) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (response.status >= 500 || response.status === 429) return response;
+
+    const body = NULL_BODY_STATUSES.includes(response.status) ? null : await response.arrayBuffer();
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  } catch (error) {
+    if (controller.signal.aborted) throw new UpstreamTimeoutError(upstream, timeoutMs);
+    throw new UpstreamNetworkError(upstream, error);
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Make a request to another service
+ *
+ * @param {string} upstream - Key from UPSTREAMS ('tcgdex', 'pokewallet', 'vision', 'cloudinary')
+ * @param {string} url - Full URL
+ * @param {Object} [options] - fetch options (method, headers, body), plus:
+ * @param {number} [options.timeoutMs] - Override the upstream's timeout
+ * @param {number} [options.retries] - Override the upstream's retry count
+ * @returns {Promise<Response>} The fetch Response (anything below 500 except 429)
+ * @throws {UpstreamError} Timeout, network error, 5xx/429 after retries, or open circuit
+ */
+const request = async (upstream, url, options = {}) => {
+  const { timeoutMs: timeoutOverride, retries: retriesOverride, ...fetchOptions } = options;
+  const config = UPSTREAMS[upstream] || {};
+  const timeoutMs = timeoutOverride ?? config.timeoutMs ?? 10000;
+  const retries = retriesOverride ?? config.retries ?? 0;
+
+  checkBreaker(upstream);
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) await sleep(backoffDelay(attempt, lastError?.retryAfter));
+
+    try {
+      const response = await fetchOnce(upstream, url, fetchOptions, timeoutMs);
+
+      if (response.status >= 500 || response.status === 429) {
+        // Free up the connection - we're not going to read this body
+        await response.body?.cancel().catch(() => {});
+        lastError = new UpstreamResponseError(upstream, response.status, parseRetryAfter(response));
+        continue;
+      }
+
+      recordSuccess(upstream);
+      return response;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  recordFailure(upstream, lastError);
+  throw lastError;
+};
+
+/**
+ * Circuit state of every upstream, for the admin status endpoint
+ *
+ * @returns {Object} { [upstream]: { label, state, failures, ... } }
+ */
+const getUpstreamStatus = () => {
+  const status = {};
+  for (const [upstream, config] of Object.entries(UPSTREAMS)) {
+    const breaker = getBreaker(upstream);
+    status[upstream] = {
+      label: config.label,
+      timeoutMs: config.timeoutMs,
+      retries: config.retries,
+      state: breaker.state,
+      failures: breaker.failures,
+      timesOpened: breaker.timesOpened,
+      lastError: breaker.lastError,
+      lastFailureAt: breaker.lastFailureAt,
+      reopensAt: breaker.state === 'open' ? new Date(breaker.openedAt + COOLDOWN_MS) : null,
+    };
+  }
+  return status;
+};
+
+module.exports = {
+  UpstreamError,
+  UpstreamTimeoutError,
+  UpstreamNetworkError,
+  UpstreamResponseError,
+  CircuitOpenError,
+  request,
+  getUpstreamStatus,
+};
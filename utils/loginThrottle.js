@@ -0,0 +1,156 @@
+/**
+ * Login Throttle
+ *
+ * Brute-force protection for password logins. Failures are counted for
+ * both the account (email) and the IP address:
+ *
+ *   - After 5 failures on an account, it gets locked for 1 minute, then
+ *     2, 4, 8... minutes for each further failure, up to 1 hour.
+ *   - An IP gets more slack (20 failures) because lots of people can share
+ *     one IP at a game store or school, but the same backoff applies.
+ *
+ * A successful login clears the account counter - for 2FA accounts that's
+ * after the code, not the password, so wrong codes keep adding up. The IP
+ * counter is NOT cleared on success - otherwise an attacker could log into
+ * their own account between guesses to keep resetting it. Instead,
+ * failures are forgotten once there hasn't been one for an hour.
+ */
+
+const LoginThrottle = require('../models/LoginThrottle');
+
+const MINUTE = 60 * 1000;
+
+const RULES = {
+  account: { threshold: 5, baseLockMs: MINUTE },
+  ip: { threshold: 20, baseLockMs: MINUTE },
+};
+
+const MAX_LOCK_MS = 60 * MINUTE;
+
+// Failures older than this don't count anymore
+const FORGET_AFTER_MS = 60 * MINUTE;
+
+/**
+ * Build the throttle keys for a login attempt
+ * Emails are lowercased so "Bob@x.com" and "bob@x.com" share a counter.
+ */
+const buildKeys = (email, ip) => {
+  return [
+    { type: 'account', key: `account:${String(email).toLowerCase().trim()}` },
+    { type: 'ip', key: `ip:${ip}` },
+  ];
+};
+
+/**
+ * Work out how long to lock for after a given number of failures
+ *
+ * @param {number} failures - Failures so far (including this one)
+ * @param {Object} rule - { threshold, baseLockMs }
+ * @returns {number} Lock duration in ms (0 if under the threshold)
+ */
+const getLockDuration = (failures, rule) => {
+  if (failures < rule.threshold) return 0;
+  const doublings = failures - rule.threshold;
+  return Math.min(rule.baseLockMs * 2 ** doublings, MAX_LOCK_MS);
+};
+
+/**
+ * Check whether a login attempt is currently locked out
+ *
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<{ locked: boolean, retryAfterSeconds: number }>}
+ */
+const checkLoginThrottle = async (email, ip) => {
+  const keys = buildKeys(email, ip).map((k) => k.key);
+  const records = await LoginThrottle.find({ key: { $in: keys } });
+
+  const now = Date.now();
+  let retryAfterMs = 0;
+
+  for (const record of records) {
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+      retryAfterMs = Math.max(retryAfterMs, record.lockedUntil.getTime() - now);
+    }
+  }
+
+  return {
+    locked: retryAfterMs > 0,
+    retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+  };
+};
+
+/**
+ * Add one failure to a throttle record, creating it if needed
+ * One atomic $inc - reading the record, adding one and saving it would let
+ * parallel wrong guesses overwrite each other, which is exactly when the
+ * count matters.
+ *
+ * @param {string} key
+ * @param {Date} now
+ * @returns {Promise<Object>} The record after the update
+ */
+const incrementFailures = async (key, now) => {
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FORGET_AFTER_MS + MAX_LOCK_MS) },
+  };
+
+  try {
+    return await LoginThrottle.findOneAndUpdate({ key }, update, { new: true, upsert: true });
+  } catch (error) {
+    // Two first failures at once can both try to insert - the loser just
+    // increments the record the other one made
+    if (error.code !== 11000) throw error;
+    return LoginThrottle.findOneAndUpdate({ key }, update, { new: true });
+  }
+};
+
+/**
+ * Record a failed login for the account and the IP
+ *
+ * @param {string} email
+ * @param {string} ip
+ */
+const recordLoginFailure = async (email, ip) => {
+  const now = new Date();
+
+  for (const { type, key } of buildKeys(email, ip)) {
+    // Start over if the last failure was a long time ago. Only matches
+    // while it's still stale, so it can't undo a failure counted since.
+    await LoginThrottle.updateOne(
+      { key, lastFailureAt: { $lte: new Date(now.getTime() - FORGET_AFTER_MS) } },
+      { $set: { failures: 0, lockedUntil: null } }
+    );
+
+    const record = await incrementFailures(key, now);
+
+    const lockMs = getLockDuration(record.failures, RULES[type]);
+    if (lockMs > 0) {
+      // Only ever push the lock further out - a parallel failure with a
+      // lower count shouldn't shorten it
+      const lockedUntil = new Date(now.getTime() + lockMs);
+      await LoginThrottle.updateOne(
+        { key, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: lockedUntil } }] },
+        { $set: { lockedUntil } }
+      );
+    }
+  }
+};
+
+/**
+ * Clear the account counter after a successful login
+ *
+ * @param {string} email
+ */
+const recordLoginSuccess = async (email) => {
+  const [account] = buildKeys(email, '');
+  await LoginThrottle.deleteOne({ key: account.key });
+};
+
+module.exports = {
+  checkLoginThrottle,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLockDuration,
+};
@@ -0,0 +1,181 @@
+/**
+ * Mailer Service
+ *
+ * All outgoing email goes through sendMail() here, so the controllers
+ * don't care HOW the email gets delivered. The transport is picked with
+ * the MAIL_TRANSPORT env variable:
+ *
+ *   - "smtp"   - sends real email through an SMTP server (uses nodemailer)
+ *   - "outbox" - writes each email as a JSON file into MAIL_OUTBOX_DIR
+ *
+ * The outbox transport is the default. It needs no network at all, which
+ * makes it perfect for local development and testing - you can just open
+ * the file and click the verification/reset link inside it.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'CardVault <no-reply@cardvault.app>';
+
+/**
+ * SMTP transport
+ * nodemailer handles all the SMTP protocol stuff for us. I create the
+ * transporter lazily so the app doesn't need SMTP settings unless it
+ * actually uses this transport.
+ */
+let smtpTransporter = null;
+
+const smtpTransport = {
+  name: 'smtp',
+  send: async (message) => {
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        // Port 465 uses TLS right away, other ports upgrade with STARTTLS
+        secure: parseInt(process.env.SMTP_PORT) === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+
+    const info = await smtpTransporter.sendMail(message);
+    return { id: info.messageId };
+  },
+};
+
+/**
+ * Outbox transport
+ * Writes the email to a file instead of sending it. The file name starts
+ * with a timestamp so the newest email is always last when sorted.
+ */
+const outboxTransport = {
+  name: 'outbox',
+  send: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+    await fs.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(dir, `${id}.json`);
+
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id, filePath };
+  },
+};
+
+const transports = {
+  smtp: smtpTransport,
+  outbox: outboxTransport,
+};
+
+/**
+ * Get the transport configured for this environment
+ * Falls back to the outbox if MAIL_TRANSPORT is missing or unknown.
+ *
+ * @returns {{ name: string, send: Function }}
+ */
+const getTransport = () => {
+  return transports[process.env.MAIL_TRANSPORT] || outboxTransport;
+};
+
+/**
+ * Send an email
+ *
+ * @param {Object} options
+ * @param {string} options.to - Recipient email address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @param {string} [options.html] - Optional HTML body
+ * @returns {Promise<Object>} Whatever the transport returns (at least an id)
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+  };
+
+  return getTransport().send(message);
+};
+
+/**
+ * Build a link into the frontend app
+ * @param {string} pathname - e.g. '/verify-email'
+ * @param {string} token - Token to put in the query string
+ * @returns {string}
+ */
+const buildClientLink = (pathname, token) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  return `${clientUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send the "please verify your email" message
+ *
+ * @param {Object} user - User document (needs email and username)
+ * @param {string} token - The raw verification token
+ */
+const sendVerificationEmail = async (user, token) => {
+  const link = buildClientLink('/verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your CardVault email',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${user.username},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+/**
+ * Send the password reset message
+ *
+ * @param {Object} user - User document (needs email and username)
+ * @param {string} token - The raw reset token
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const link = buildClientLink('/reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your CardVault password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset your password. If that was you, open this link:\n\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>Someone asked to reset your password. If that was you:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`,
+  });
+};
+
+/**
+ * Send the "confirm linking a social login" message
+ *
+ * @param {Object} user - The existing account (needs email and username)
+ * @param {string} provider - 'google', 'twitter' or 'apple'
+ * @param {string} token - The raw confirmation token
+ */
+const sendIdentityLinkEmail = async (user, provider, token) => {
+  const link = buildClientLink('/link-account', token);
+
+  return sendMail({
+    to: user.email,
+    subject: `Confirm linking ${provider} to your CardVault account`,
+    text: `Hi ${user.username},\n\nSomeone signed in with ${provider} using your email address and asked to link it to your CardVault account. If that was you, open this link:\n\n${link}\n\nThe link expires in 30 minutes. If it wasn't you, ignore this email and nothing will be linked.`,
+    html: `<p>Hi ${user.username},</p><p>Someone signed in with ${provider} using your email address and asked to link it to your CardVault account. If that was you:</p><p><a href="${link}">Link ${provider}</a></p><p>The link expires in 30 minutes. If it wasn't you, ignore this email and nothing will be linked.</p>`,
+  });
+};
+
+module.exports = {
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendIdentityLinkEmail,
+  buildClientLink,
+  transports,
+};
@@ -17,6 +17,10 @@
  * Docs: https://www.pokewallet.io/api-docs
  */
 
+const { parseDamageValue, normalizeStage } = require('./cardCatalog');
+const { cached } = require('./apiCache');
+const { request } = require('./httpClient');
+
 /**
  * Map of single-letter energy abbreviations to full type names
  * Pokewallet uses these in attack cost strings like [1RR] or [GCC]
@@ -346,131 +350,241 @@ function parseRetreatCost(retreatCost) {
 }
 
 /**
- * Fetch detailed card mechanics from the Pokewallet API
+ * Search Pokewallet by name (no caching)
+ * Returns only real cards - "Code Card" listings and results without any
+ * game data (no HP, no attacks) are filtered out.
+ * The timeout (12 seconds - Pokewallet can be slow) and retries are set
+ * up in utils/httpClient.js.
  *
- * Since Pokewallet uses its own IDs (pk_xxxxx), I search by card name
- * and try to match based on the card number. The card name and number
- * come from the TCGdex data that the controller already has.
+ * @param {string} apiKey - Pokewallet API key
+ * @param {string} query - Card name to search for
+ * @returns {Promise<Array>} Raw Pokewallet results ({ id, card_info })
+ * @throws {Error} If the API call fails
+ */
+const searchPokewallet = async (apiKey, query) => {
+  // Search by card name - Pokewallet doesn't support TCGdex IDs
+  // I'm limiting to 10 results and hoping to find a match by card number
+  const searchUrl = `https://api.pokewallet.io/search?q=${encodeURIComponent(query)}&limit=10`;
+
+  const response = await request('pokewallet', searchUrl, {
+    headers: {
+      'X-API-Key': apiKey,
+    },
+  });
+
+  // Thrown instead of returning null so the cache doesn't keep it
+  if (!response.ok) {
+    throw new Error(`Pokewallet API returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  const results = data.results || [];
+
+  return results.filter((r) => {
+    const info = r.card_info;
+    if (!info) return false;
+    // Skip code cards, tokens, and other non-playable items
+    if (info.rarity === 'Code Card') return false;
+    if (info.name?.includes('Code Card')) return false;
+    // Must have at least HP or attacks to be a real card
+    return info.hp || (info.attacks && info.attacks.length > 0);
+  });
+};
+
+/**
+ * How sure we are that a Pokewallet result is the card we want, 0 to 1
+ *
+ * Multiple cards share the same name (different sets/printings), so the
+ * card number counts for the most. A name-only match is a guess - those
+ * are the ones worth checking in the admin match list.
  *
- * This only gets called from the card detail page - we don't need mechanics
- * data for search results or random cards. If the API call fails for any
- * reason, we just return null and the frontend gracefully hides the
- * mechanics sections.
+ *   card number matches   +0.6
+ *   exact name            +0.4  (or +0.2 if one name contains the other)
  *
+ * @param {Object} result - Raw Pokewallet result
  * @param {string} cardName - The card name from TCGdex
  * @param {string} cardNumber - The card number from TCGdex (e.g., '136')
- * @returns {Object|null} Formatted mechanics object or null on failure
+ * @returns {number}
  */
-const getCardMechanics = async (cardName, cardNumber) => {
-  try {
-    const apiKey = process.env.POKEWALLET_API_KEY;
+const scoreMatch = (result, cardName, cardNumber) => {
+  const info = result.card_info;
+  let score = 0;
+
+  // Card numbers can be like "136/189" or just "136"
+  // TCGdex gives us just the number part
+  const numPart = info.card_number?.split('/')[0];
+  if (cardNumber && numPart && (numPart === cardNumber || numPart === String(parseInt(cardNumber)))) {
+    score += 0.6;
+  }
 
-    if (!apiKey) {
-      console.warn('POKEWALLET_API_KEY not set - skipping mechanics fetch');
-      return null;
-    }
+  const wanted = (cardName || '').toLowerCase();
+  const found = (info.name || '').toLowerCase();
+  if (found === wanted) {
+    score += 0.4;
+  } else if (wanted && found && (found.includes(wanted) || wanted.includes(found))) {
+    score += 0.2;
+  }
 
-    if (!cardName) return null;
+  return Math.round(score * 100) / 100;
+};
 
-    // 12 second timeout - Pokewallet can be slow, especially when their
-    // cache is down. I'd rather wait a bit longer than show no data at all.
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 12000);
+/**
+ * Turn a Pokewallet card_info into our mechanics format
+ *
+ * @param {Object} card - card_info from a Pokewallet result
+ * @returns {Object} { attacks, abilities, weaknesses, resistances, retreatCost, stage, subtypes, rules, cardType }
+ */
+const parseMechanics = (card) => {
+  // Parse attacks from the HTML-formatted strings
+  const attacks = (card.attacks || [])
+    .map(parseAttack)
+    .filter((a) => a !== null);
 
-    // Search by card name - Pokewallet doesn't support TCGdex IDs
-    // I'm limiting to 10 results and hoping to find a match by card number
-    const searchUrl = `https://api.pokewallet.io/search?q=${encodeURIComponent(cardName)}&limit=10`;
+  // Parse abilities and rules from card_text
+  const { abilities, rules } = parseCardText(card.card_text);
 
-    const response = await fetch(searchUrl, {
-      headers: {
-        'X-API-Key': apiKey,
-      },
-      signal: controller.signal,
-    });
+  // Parse weakness, resistance, and retreat cost
+  const weaknesses = parseWeakness(card.weakness);
+  const resistances = parseResistance(card.resistance);
+  const retreatCost = parseRetreatCost(card.retreat_cost);
 
-    clearTimeout(timeout);
+  return {
+    attacks,
+    abilities,
+    weaknesses,
+    resistances,
+    retreatCost,
+    stage: card.stage || null,
+    subtypes: card.stage ? [card.stage] : [],
+    rules,
+    cardType: card.card_type || null,
+  };
+};
 
-    if (!response.ok) {
-      console.warn(`Pokewallet API returned ${response.status} for "${cardName}"`);
-      return null;
+/**
+ * Search Pokewallet and pick the best match (no caching)
+ * The highest confidence wins - on a tie the first result does, since
+ * that's the one Pokewallet ranked highest.
+ *
+ * @param {string} apiKey - Pokewallet API key
+ * @param {string} cardName - The card name from TCGdex
+ * @param {string} cardNumber - The card number from TCGdex (e.g., '136')
+ * @returns {Promise<Object|null>} { mechanics, pokewalletId, confidence } or null if nothing matched
+ */
+const fetchCardMechanics = async (apiKey, cardName, cardNumber) => {
+  const realCards = await searchPokewallet(apiKey, cardName);
+  if (realCards.length === 0) return null;
+
+  let bestMatch = null;
+  let bestScore = -1;
+  for (const result of realCards) {
+    const score = scoreMatch(result, cardName, cardNumber);
+    if (score > bestScore) {
+      bestMatch = result;
+      bestScore = score;
     }
+  }
 
-    const data = await response.json();
-    const results = data.results;
-
-    if (!results || results.length === 0) return null;
-
-    // Filter out non-real cards like "Code Card" listings and cards
-    // without any actual game data (no HP, no attacks)
-    const realCards = results.filter((r) => {
-      const info = r.card_info;
-      if (!info) return false;
-      // Skip code cards, tokens, and other non-playable items
-      if (info.rarity === 'Code Card') return false;
-      if (info.name?.includes('Code Card')) return false;
-      // Must have at least HP or attacks to be a real card
-      return info.hp || (info.attacks && info.attacks.length > 0);
-    });
-
-    if (realCards.length === 0) return null;
+  return {
+    mechanics: parseMechanics(bestMatch.card_info),
+    pokewalletId: bestMatch.id || '',
+    confidence: bestScore,
+  };
+};
 
-    // Try to find the best match - prefer matching by card number
-    // since multiple cards can share the same name (different sets/printings)
-    let bestMatch = realCards[0]; // Default to first real card
+/**
+ * Fetch detailed card mechanics from the Pokewallet API
+ *
+ * Since Pokewallet uses its own IDs (pk_xxxxx), I search by card name
+ * and try to match based on the card number. The card name and number
+ * come from the TCGdex data that the controller already has.
+ *
+ * This only gets called from the card detail page, and only until the
+ * match is saved on our Card (see utils/cardMechanics.js). If the API call
+ * fails for any reason, we just return null and the frontend gracefully
+ * hides the mechanics sections.
+ *
+ * Results are cached for a week (see utils/apiCache.js) - this was the
+ * slowest part of every card page, and the mechanics never change.
+ *
+ * @param {string} cardName - The card name from TCGdex
+ * @param {string} cardNumber - The card number from TCGdex (e.g., '136')
+ * @returns {Object|null} { mechanics, pokewalletId, confidence } or null on failure
+ */
+const getCardMechanics = async (cardName, cardNumber) => {
+  const apiKey = process.env.POKEWALLET_API_KEY;
 
-    if (cardNumber) {
-      for (const result of realCards) {
-        const resultNum = result.card_info?.card_number;
-        if (!resultNum) continue;
+  if (!apiKey) {
+    console.warn('POKEWALLET_API_KEY not set - skipping mechanics fetch');
+    return null;
+  }
 
-        // Card numbers can be like "136/189" or just "136"
-        // TCGdex gives us just the number part
-        const numPart = resultNum.split('/')[0];
-        if (numPart === cardNumber || numPart === String(parseInt(cardNumber))) {
-          bestMatch = result;
-          break;
-        }
-      }
-    }
+  if (!cardName) return null;
 
-    const card = bestMatch.card_info;
-    if (!card) return null;
-
-    // Parse attacks from the HTML-formatted strings
-    const attacks = (card.attacks || [])
-      .map(parseAttack)
-      .filter((a) => a !== null);
-
-    // Parse abilities and rules from card_text
-    const { abilities, rules } = parseCardText(card.card_text);
-
-    // Parse weakness, resistance, and retreat cost
-    const weaknesses = parseWeakness(card.weakness);
-    const resistances = parseResistance(card.resistance);
-    const retreatCost = parseRetreatCost(card.retreat_cost);
-
-    return {
-      attacks,
-      abilities,
-      weaknesses,
-      resistances,
-      retreatCost,
-      stage: card.stage || null,
-      subtypes: card.stage ? [card.stage] : [],
-      rules,
-      cardType: card.card_type || null,
-    };
+  try {
+    const key = `match:${cardName.toLowerCase()}:${cardNumber || ''}`;
+    return await cached('pokewallet', key, () => fetchCardMechanics(apiKey, cardName, cardNumber));
   } catch (error) {
-    // AbortError means our timeout fired - the API was too slow
-    if (error.name === 'AbortError') {
-      console.warn(`Pokewallet API timed out for "${cardName}"`);
-    } else {
-      console.warn(`Pokewallet API error for "${cardName}":`, error.message);
-    }
+    // Timeouts, outages and an open circuit all end up here as UpstreamErrors
+    console.warn(`Pokewallet API error for "${cardName}":`, error.message);
     return null;
   }
 };
 
+/**
+ * Every Pokewallet result for a search, with its confidence score
+ * Used by the admin endpoint for fixing a wrong match. Not cached, and
+ * errors are thrown so the admin sees them.
+ *
+ * @param {string} query - What to search Pokewallet for (usually the card name)
+ * @param {string} cardName - The card name from TCGdex (for scoring)
+ * @param {string} cardNumber - The card number from TCGdex (for scoring)
+ * @returns {Promise<Array>} [{ pokewalletId, name, cardNumber, rarity, confidence, mechanics }]
+ */
+const getMechanicsCandidates = async (query, cardName, cardNumber) => {
+  const apiKey = process.env.POKEWALLET_API_KEY;
+  if (!apiKey) throw new Error('POKEWALLET_API_KEY is not set');
+
+  const results = await searchPokewallet(apiKey, query);
+
+  return results.map((result) => ({
+    pokewalletId: result.id || '',
+    name: result.card_info.name || '',
+    cardNumber: result.card_info.card_number || '',
+    rarity: result.card_info.rarity || '',
+    confidence: scoreMatch(result, cardName, cardNumber),
+    mechanics: parseMechanics(result.card_info),
+  }));
+};
+
+/**
+ * Convert the mechanics from getCardMechanics into Card model fields
+ *
+ * Lets us save Pokewallet's data on the Card for cards where TCGdex
+ * didn't have attacks/weaknesses, so they show up in advanced search.
+ *
+ * @param {Object} mechanics - The mechanics part of a getCardMechanics result
+ * @returns {Object} Fields to $set on the Card
+ */
+const formatMechanicsForCatalog = (mechanics) => {
+  return {
+    stage: normalizeStage(mechanics.stage),
+    attacks: mechanics.attacks.map((attack) => ({
+      ...attack,
+      damageValue: parseDamageValue(attack.damage),
+    })),
+    abilities: mechanics.abilities.map(({ name, text, type }) => ({ name, text, type })),
+    weaknesses: mechanics.weaknesses,
+    resistances: mechanics.resistances,
+    retreatCost: mechanics.retreatCost.length,
+    mechanicsSource: 'pokewallet',
+  };
+};
+
 module.exports = {
   getCardMechanics,
+  getMechanicsCandidates,
+  formatMechanicsForCatalog,
+  parseAttack,
+  parseWeakness,
 };
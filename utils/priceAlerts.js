@@ -0,0 +1,142 @@
+/**
+ * Price Alert Checks
+ *
+ * Runs every time the daily snapshot job records new prices for a card
+ * (through recordDailySnapshots) and sends a price_alert notification for
+ * every alert on the card that the new price sets off.
+ *
+ * Imported prices aren't checked - those are old prices being backfilled,
+ * and "your card dropped below $20" about something from 2021 would just
+ * be confusing.
+ *
+ * Like createNotification, this never throws. A broken alert shouldn't
+ * stop prices from being saved.
+ */
+
+const Card = require('../models/Card');
+const PriceAlert = require('../models/PriceAlert');
+const PriceHistory = require('../models/PriceHistory');
+const { createNotification } = require('../controllers/notificationController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshots are always recorded as near mint
+const ALERT_CONDITION = 'near_mint';
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€' };
+
+const formatPrice = (price, currency) => `${CURRENCY_SYMBOLS[currency] || ''}${price.toFixed(2)}`;
+
+/**
+ * Pick the snapshot an alert is watching
+ * An alert without a variant watches the first one the card has, the
+ * same default the price chart uses.
+ */
+const findSnapshot = (alert, snapshots) =>
+  snapshots.find(
+    (snap) => snap.source === alert.source && (!alert.variant || snap.variant === alert.variant)
+  );
+
+/**
+ * Check an above/below alert against the new price
+ *
+ * @returns {string|null} The notification message, or null if it doesn't fire
+ */
+const checkThreshold = (alert, snap, cardName) => {
+  const crossed = alert.type === 'above' ? snap.price >= alert.threshold : snap.price <= alert.threshold;
+
+  if (!crossed) {
+    // Back on the other side - the next crossing fires again
+    alert.armed = true;
+    return null;
+  }
+
+  if (!alert.armed) return null;
+  alert.armed = false;
+
+  const price = formatPrice(snap.price, snap.currency);
+  const target = formatPrice(alert.threshold, snap.currency);
+  return alert.type === 'above'
+    ? `${cardName} rose to ${price} - above your ${target} alert`
+    : `${cardName} dropped to ${price} - below your ${target} alert`;
+};
+
+/**
+ * Check a percent_change alert against the price `days` days ago
+ *
+ * @returns {Promise<string|null>} The notification message, or null if it doesn't fire
+ */
+const checkPercentChange = async (alert, snap, cardName, date) => {
+  // Fire at most once per window
+  if (alert.lastTriggeredAt && date - alert.lastTriggeredAt < alert.days * DAY_MS) return null;
+
+  const baseline = await PriceHistory.findOne({
+    card: alert.card,
+    source: snap.source,
+    variant: snap.variant,
+    condition: ALERT_CONDITION,
+    gradingCompany: null,
+    date: { $lte: new Date(date.getTime() - alert.days * DAY_MS) },
+  })
+    .sort({ date: -1 })
+    .select('price');
+
+  // Not enough history yet to compare against
+  if (!baseline || baseline.price <= 0) return null;
+
+  const change = (snap.price / baseline.price - 1) * 100;
+  const hit = alert.percent > 0 ? change >= alert.percent : change <= alert.percent;
+  if (!hit) return null;
+
+  const direction = change >= 0 ? 'up' : 'down';
+  return `${cardName} is ${direction} ${Math.abs(change).toFixed(1)}% in the last ${alert.days} days (now ${formatPrice(snap.price, snap.currency)})`;
+};
+
+/**
+ * Check every active alert on a card against freshly recorded prices
+ *
+ * @param {ObjectId} cardId - Card document ID
+ * @param {Array} snapshots - The prices just saved ({ source, variant, currency, price })
+ * @param {Date} [date] - When the prices were seen
+ * @returns {Promise<number>} How many alerts fired
+ */
+const evaluatePriceAlerts = async (cardId, snapshots, date = new Date()) => {
+  try {
+    const alerts = await PriceAlert.find({ card: cardId, active: true });
+    if (alerts.length === 0) return 0;
+
+    const card = await Card.findById(cardId).select('name');
+    const cardName = card ? card.name : 'A card';
+    let fired = 0;
+
+    for (const alert of alerts) {
+      const snap = findSnapshot(alert, snapshots);
+      if (!snap) continue;
+
+      const message =
+        alert.type === 'percent_change'
+          ? await checkPercentChange(alert, snap, cardName, date)
+          : checkThreshold(alert, snap, cardName);
+
+      if (message) {
+        alert.lastTriggeredAt = date;
+        alert.lastTriggeredPrice = snap.price;
+        alert.triggerCount += 1;
+        await createNotification(alert.user, 'price_alert', message, { card: cardId, alert: alert._id });
+        fired += 1;
+      }
+
+      // Only writes if armed or the trigger fields changed
+      await alert.save();
+    }
+
+    return fired;
+  } catch (error) {
+    console.error('Failed to check price alerts:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  evaluatePriceAlerts,
+};
@@ -0,0 +1,345 @@
+/**
+ * Price History Import
+ *
+ * Lets admins load old price data (exported from spreadsheets or other
+ * tools) into PriceHistory. Accepts CSV or JSON with one row per price:
+ *
+ *   externalId,date,price,currency,variant,condition,source,low,mid,high,gradingCompany,grade
+ *   swsh3-136,2022-03-01,12.50,USD,holofoil,near_mint,tcgplayer,,,,,
+ *   swsh3-136,2022-03-01,240.00,USD,holofoil,near_mint,import,,,,PSA,10
+ *
+ * Only externalId, date and price are required. The rest default to
+ * USD / normal / near_mint / source 'import'. source can also be tcgplayer
+ * or cardmarket, so imported TCGplayer history shows up on the same chart
+ * as the prices we record ourselves. Rows with a gradingCompany and grade
+ * are graded slab sales, which go in their own series.
+ *
+ * A row is a duplicate if there's already a price for the same card, day,
+ * source, variant, condition and grade (in the database or earlier in the
+ * file), and gets skipped. With dryRun nothing is saved - you just get the report.
+ */
+
+const crypto = require('crypto');
+const Card = require('../models/Card');
+const PriceHistory = require('../models/PriceHistory');
+const { parsePriceGrade } = require('./grading');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keeps one import from tying up the server (split bigger files up)
+const MAX_IMPORT_ROWS = 50000;
+
+// Only this many row errors are listed in the report
+const MAX_ERRORS_REPORTED = 100;
+
+// Rows are saved in chunks so one insertMany doesn't get huge
+const INSERT_CHUNK_SIZE = 1000;
+
+// The sources an import is allowed to write
+const IMPORT_SOURCES = ['import', 'tcgplayer', 'cardmarket'];
+
+// Column names people are likely to use -> our field names
+const COLUMN_ALIASES = {
+  externalid: 'externalId',
+  cardid: 'externalId',
+  card_id: 'externalId',
+  card: 'externalId',
+  date: 'date',
+  price: 'price',
+  currency: 'currency',
+  variant: 'variant',
+  condition: 'condition',
+  source: 'source',
+  low: 'low',
+  mid: 'mid',
+  high: 'high',
+  gradingcompany: 'gradingCompany',
+  grading_company: 'gradingCompany',
+  grader: 'gradingCompany',
+  grade: 'grade',
+};
+
+/**
+ * Parse CSV text into rows of objects using the header row for keys
+ *
+ * Handles quoted fields ("Pikachu, Jr.") and "" for a quote inside one.
+ * Unknown columns are ignored.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Array<Object>}
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a BOM - Excel likes to add one
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // \r\n counts as one line break
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((value) => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const columns = nonEmpty[0].map((name) => COLUMN_ALIASES[name.trim().toLowerCase()] || null);
+
+  return nonEmpty.slice(1).map((values) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      if (column) row[column] = (values[index] || '').trim();
+    });
+    return row;
+  });
+};
+
+/**
+ * Read an uploaded import file
+ *
+ * @param {Buffer|string} content - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} Rows
+ * @throws {Error} If the JSON is invalid or isn't a list of rows
+ */
+const parseImportFile = (content, format) => {
+  const text = content.toString('utf8');
+
+  if (format === 'csv') return parseCsv(text);
+
+  const parsed = JSON.parse(text);
+  // Allow either a bare array or { rows: [...] }
+  const rows = Array.isArray(parsed) ? parsed : parsed.rows;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON import must be an array of rows or { "rows": [...] }');
+  }
+  return rows;
+};
+
+/**
+ * Parse an optional number column ('' or missing -> null)
+ */
+const optionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+};
+
+/**
+ * Check one row and turn it into PriceHistory fields
+ *
+ * @param {Object} row - Raw row from the file
+ * @param {Map} cardsByExternalId - externalId -> Card _id
+ * @returns {Object} { entry } or { error }
+ */
+const validateRow = (row, cardsByExternalId) => {
+  const externalId = String(row.externalId || '').trim();
+  if (!externalId) return { error: 'externalId is required' };
+
+  const cardId = cardsByExternalId.get(externalId);
+  if (!cardId) return { error: `Unknown card "${externalId}"` };
+
+  // A plain 2024-01-31 is read as midnight UTC, which is what we want
+  const date = new Date(row.date);
+  if (!row.date || isNaN(date.getTime())) return { error: 'date must be a valid date' };
+  if (date > new Date()) return { error: 'date cannot be in the future' };
+
+  const price = Number(row.price);
+  if (!Number.isFinite(price) || price <= 0) return { error: 'price must be a number above 0' };
+
+  const source = row.source || 'import';
+  if (!IMPORT_SOURCES.includes(source)) {
+    return { error: `source must be one of: ${IMPORT_SOURCES.join(', ')}` };
+  }
+
+  const checks = [
+    ['currency', row.currency || 'USD'],
+    ['variant', row.variant || 'normal'],
+    ['condition', row.condition || 'near_mint'],
+  ];
+  for (const [field, value] of checks) {
+    const allowed = PriceHistory.schema.path(field).enumValues.filter(Boolean);
+    if (!allowed.includes(value)) {
+      return { error: `${field} must be one of: ${allowed.join(', ')}` };
+    }
+  }
+
+  const low = optionalNumber(row.low);
+  const mid = optionalNumber(row.mid);
+  const high = optionalNumber(row.high);
+  if ([low, mid, high].some(Number.isNaN)) return { error: 'low, mid and high must be numbers' };
+
+  const priceGrade = parsePriceGrade(row.gradingCompany, row.grade);
+  if (priceGrade.error) return { error: priceGrade.error };
+
+  return {
+    entry: {
+      card: cardId,
+      date,
+      price,
+      source,
+      currency: checks[0][1],
+      variant: checks[1][1],
+      condition: checks[2][1],
+      low,
+      mid,
+      high,
+      gradingCompany: priceGrade.gradingCompany,
+      grade: priceGrade.grade,
+    },
+  };
+};
+
+/**
+ * The dedupe key - one price per card, UTC day, source, variant, condition
+ * and grade. Prices saved before grading existed have no gradingCompany,
+ * so ?? null makes them match raw rows.
+ */
+const entryKey = (entry) => {
+  const day = entry.date.toISOString().slice(0, 10);
+  const grade = `${entry.gradingCompany ?? null}:${entry.grade ?? null}`;
+  return `${entry.card}:${day}:${entry.source}:${entry.variant}:${entry.condition}:${grade}`;
+};
+
+/**
+ * Validate, dedupe and (unless dryRun) save imported prices
+ * The caller checks rows.length against MAX_IMPORT_ROWS first.
+ *
+ * @param {Array<Object>} rows - From parseImportFile or a JSON body
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would happen
+ * @param {ObjectId} options.userId - The admin doing the import
+ * @returns {Promise<Object>} Report - counts, date range and row errors
+ */
+const importPriceHistory = async (rows, { dryRun, userId }) => {
+  const report = {
+    dryRun,
+    batchId: dryRun ? null : crypto.randomBytes(8).toString('hex'),
+    totalRows: rows.length,
+    valid: 0,
+    inserted: 0,
+    duplicatesInFile: 0,
+    alreadyExisting: 0,
+    invalid: 0,
+    cards: 0,
+    dateRange: null,
+    errors: [],
+  };
+
+  const addError = (index, message) => {
+    report.invalid += 1;
+    // +2 so the number matches the line in a CSV (1-based, plus the header)
+    if (report.errors.length < MAX_ERRORS_REPORTED) report.errors.push({ row: index + 2, message });
+  };
+
+  // Look up every card in one query
+  const externalIds = [...new Set(rows.map((row) => String(row?.externalId || '').trim()))];
+  const cards = await Card.find({ externalId: { $in: externalIds } }).select('_id externalId');
+  const cardsByExternalId = new Map(cards.map((card) => [card.externalId, card._id]));
+
+  // Validate and drop duplicates within the file (first one wins)
+  const entries = [];
+  const seen = new Set();
+
+  rows.forEach((row, index) => {
+    if (!row || typeof row !== 'object') {
+      addError(index, 'Row must be an object');
+      return;
+    }
+
+    const { entry, error } = validateRow(row, cardsByExternalId);
+    if (error) {
+      addError(index, error);
+      return;
+    }
+
+    const key = entryKey(entry);
+    if (seen.has(key)) {
+      report.duplicatesInFile += 1;
+      return;
+    }
+
+    seen.add(key);
+    entries.push(entry);
+  });
+
+  report.valid = entries.length;
+  if (entries.length === 0) return report;
+
+  // Find the prices we already have for these cards over the same days
+  // reduce instead of Math.min(...times) - spreading 50,000 args can overflow the stack
+  const times = entries.map((entry) => entry.date.getTime());
+  const firstDay = new Date(times.reduce((a, b) => Math.min(a, b)));
+  firstDay.setUTCHours(0, 0, 0, 0);
+  const lastDay = new Date(times.reduce((a, b) => Math.max(a, b)));
+  lastDay.setUTCHours(0, 0, 0, 0);
+
+  report.dateRange = { from: firstDay, to: lastDay };
+  report.cards = new Set(entries.map((entry) => entry.card.toString())).size;
+
+  const existing = await PriceHistory.find({
+    card: { $in: [...new Set(entries.map((entry) => entry.card))] },
+    source: { $in: [...new Set(entries.map((entry) => entry.source))] },
+    date: { $gte: firstDay, $lt: new Date(lastDay.getTime() + DAY_MS) },
+  }).select('card date source variant condition gradingCompany grade');
+
+  const existingKeys = new Set(existing.map(entryKey));
+  const toInsert = entries.filter((entry) => !existingKeys.has(entryKey(entry)));
+  report.alreadyExisting = entries.length - toInsert.length;
+
+  if (dryRun) {
+    // What would be inserted
+    report.inserted = toInsert.length;
+    return report;
+  }
+
+  for (let i = 0; i < toInsert.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = toInsert.slice(i, i + INSERT_CHUNK_SIZE).map((entry) => ({
+      ...entry,
+      recordedBy: userId,
+      importBatch: report.batchId,
+    }));
+    await PriceHistory.insertMany(chunk);
+    report.inserted += chunk.length;
+  }
+
+  return report;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  parseImportFile,
+  importPriceHistory,
+};
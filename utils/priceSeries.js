@@ -0,0 +1,262 @@
+/**
+ * Price Series Helpers
+ *
+ * Turns the daily PriceHistory snapshots into what the price charts need:
+ * open/high/low/close candles per day, week or month, moving averages,
+ * and a few stats for the range (volatility, % change, all-time high/low).
+ *
+ * Everything is done with Mongo aggregation so a multi-year chart doesn't
+ * mean loading thousands of snapshots into Node. I learned about
+ * $dateTrunc (groups dates into days/weeks/months) and $setWindowFields
+ * (lets each bucket look at the buckets before it, for moving averages)
+ * for this - both need MongoDB 5.0 or newer.
+ */
+
+const PriceHistory = require('../models/PriceHistory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Preset ranges -> number of days. 'all' has no start date.
+const RANGE_DAYS = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '180d': 180,
+  '1y': 365,
+};
+
+// Chart intervals -> $dateTrunc units
+const INTERVAL_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+};
+
+// Moving average windows (in buckets) when none are asked for
+const DEFAULT_MOVING_AVERAGES = [7, 30];
+const MAX_MOVING_AVERAGES = 3;
+const MAX_MOVING_AVERAGE_WINDOW = 365;
+
+// Round to cents (prices) or one decimal place (percentages) inside a pipeline
+const round = (expression, places = 2) => ({ $round: [expression, places] });
+
+/**
+ * Work out the date range for a chart from the query string
+ *
+ * Either a preset (?range=7d|30d|90d|180d|1y|all) or a custom range
+ * (?from=2024-01-01&to=2024-06-30). from/to win if they're given.
+ *
+ * @param {Object} query - range/duration, from, to
+ * @returns {Object} { from, to, range } or { error } if something's invalid
+ */
+const resolveDateRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  if (isNaN(to.getTime())) return { error: 'to must be a valid date' };
+
+  if (query.from) {
+    const from = new Date(query.from);
+    if (isNaN(from.getTime())) return { error: 'from must be a valid date' };
+    if (from > to) return { error: 'from must be before to' };
+    return { from, to, range: 'custom' };
+  }
+
+  // duration is the old name of the param, the frontend still sends it
+  const range = query.range || query.duration || '30d';
+
+  if (range === 'all') return { from: null, to, range };
+
+  const days = RANGE_DAYS[range];
+  if (!days) {
+    return { error: `range must be one of: ${[...Object.keys(RANGE_DAYS), 'all'].join(', ')}` };
+  }
+
+  return { from: new Date(to.getTime() - days * DAY_MS), to, range };
+};
+
+/**
+ * Read the moving average windows from ?ma=7,30
+ *
+ * @param {string} [value]
+ * @returns {number[]|null} Window sizes, or null if invalid
+ */
+const parseMovingAverages = (value) => {
+  if (value === undefined || value === '') return DEFAULT_MOVING_AVERAGES;
+
+  const windows = String(value)
+    .split(',')
+    .map((n) => parseInt(n, 10));
+
+  const valid = windows.every((n) => n >= 2 && n <= MAX_MOVING_AVERAGE_WINDOW);
+  if (!valid || windows.length > MAX_MOVING_AVERAGES) return null;
+
+  return [...new Set(windows)];
+};
+
+/**
+ * Build the candles and range stats for one price series
+ *
+ * Each bucket (day/week/month) gets:
+ *   open/close - first/last price in the bucket
+ *   high/low   - highest/lowest price in the bucket
+ *   count      - how many snapshots went into it
+ *   ma<N>      - average close of the last N buckets (null until there are N)
+ *   price      - same as close, so old chart code keeps working
+ *
+ * Stats for the whole range:
+ *   changePercent - first open to last close
+ *   volatility    - standard deviation of the bucket-to-bucket % changes
+ *                   (a rough "how jumpy is this price", not annualized)
+ *   high/low      - highest and lowest price in the range
+ *
+ * @param {Object} seriesFilter - PriceHistory filter for the series (card, source, variant...)
+ * @param {Object} options
+ * @param {Date|null} options.from - Start of the range (null = everything)
+ * @param {Date} options.to - End of the range
+ * @param {string} options.interval - daily, weekly or monthly
+ * @param {number[]} options.movingAverages - Window sizes in buckets
+ * @returns {Promise<Object>} { buckets, stats }
+ */
+const getPriceCandles = async (seriesFilter, { from, to, interval, movingAverages }) => {
+  const date = { $lte: to };
+  if (from) date.$gte = from;
+
+  // One average + one count per window, so we can blank out averages
+  // that don't have a full window of buckets behind them yet
+  const windowOutput = {
+    previousClose: { $shift: { output: '$close', by: -1 } },
+  };
+  const maFields = {};
+  movingAverages.forEach((size) => {
+    windowOutput[`ma${size}`] = { $avg: '$close', window: { documents: [-(size - 1), 0] } };
+    windowOutput[`ma${size}Count`] = { $sum: 1, window: { documents: [-(size - 1), 0] } };
+    maFields[`ma${size}`] = {
+      $cond: [{ $gte: [`$ma${size}Count`, size] }, round(`$ma${size}`), null],
+    };
+  });
+
+  // Weeks start on Monday (startOfWeek is only allowed for weeks)
+  const dateTrunc = { date: '$date', unit: INTERVAL_UNITS[interval], timezone: 'UTC' };
+  if (interval === 'weekly') dateTrunc.startOfWeek = 'monday';
+
+  const [result] = await PriceHistory.aggregate([
+    { $match: { ...seriesFilter, date } },
+    { $sort: { date: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: dateTrunc },
+        open: { $first: '$price' },
+        high: { $max: '$price' },
+        low: { $min: '$price' },
+        close: { $last: '$price' },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $setWindowFields: { sortBy: { _id: 1 }, output: windowOutput } },
+    {
+      $addFields: {
+        changeFromPrevious: {
+          $cond: [
+            { $gt: ['$previousClose', 0] },
+            { $multiply: [{ $subtract: [{ $divide: ['$close', '$previousClose'] }, 1] }, 100] },
+            null,
+          ],
+        },
+      },
+    },
+    {
+      $facet: {
+        buckets: [
+          {
+            $project: {
+              _id: 0,
+              date: '$_id',
+              open: 1,
+              high: 1,
+              low: 1,
+              close: 1,
+              price: '$close',
+              count: 1,
+              ...maFields,
+            },
+          },
+        ],
+        stats: [
+          {
+            $group: {
+              _id: null,
+              firstOpen: { $first: '$open' },
+              lastClose: { $last: '$close' },
+              high: { $max: '$high' },
+              low: { $min: '$low' },
+              volatility: { $stdDevSamp: '$changeFromPrevious' },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              high: 1,
+              low: 1,
+              volatility: round('$volatility', 1),
+              changePercent: {
+                $cond: [
+                  { $gt: ['$firstOpen', 0] },
+                  round(
+                    {
+                      $multiply: [
+                        { $subtract: [{ $divide: ['$lastClose', '$firstOpen'] }, 1] },
+                        100,
+                      ],
+                    },
+                    1
+                  ),
+                  null,
+                ],
+              },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    buckets: result.buckets,
+    stats: result.stats[0] || { high: null, low: null, volatility: null, changePercent: null },
+  };
+};
+
+/**
+ * Highest and lowest price a series has ever had, and when
+ *
+ * @param {Object} seriesFilter - PriceHistory filter for the series
+ * @returns {Promise<Object>} { high: { price, date } | null, low: { price, date } | null }
+ */
+const getAllTimeExtremes = async (seriesFilter) => {
+  const pick = { $project: { _id: 0, price: 1, date: 1 } };
+
+  const [result] = await PriceHistory.aggregate([
+    { $match: seriesFilter },
+    {
+      $facet: {
+        // Earliest date wins a tie, so it's "first reached on"
+        high: [{ $sort: { price: -1, date: 1 } }, { $limit: 1 }, pick],
+        low: [{ $sort: { price: 1, date: 1 } }, { $limit: 1 }, pick],
+      },
+    },
+  ]);
+
+  return {
+    high: result.high[0] || null,
+    low: result.low[0] || null,
+  };
+};
+
+module.exports = {
+  RANGE_DAYS,
+  INTERVAL_UNITS,
+  resolveDateRange,
+  parseMovingAverages,
+  getPriceCandles,
+  getAllTimeExtremes,
+};
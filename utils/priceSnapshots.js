@@ -0,0 +1,384 @@
+/**
+ * Daily Price Snapshots
+ *
+ * Price history used to only get recorded when someone opened a card's
+ * price chart, so most cards had big gaps (or no history at all). This job
+ * records the TCGdex prices once a day (every TCGplayer and Cardmarket
+ * variant separately) for every card that someone actually cares about -
+ * anything in a collection, a wishlist, an active listing or a price alert.
+ * Magic cards get their prices from the last Scryfall import instead (each
+ * game asks its own provider, see utils/cardProviders.js).
+ *
+ * How it works:
+ *   - Once a day (after PRICE_SNAPSHOT_HOUR, UTC) it creates a
+ *     PriceSnapshotRun for the day and walks the cards in _id order,
+ *     a batch at a time, with a few TCGdex requests in flight at once.
+ *   - After each batch it saves lastCardId on the run. If the server
+ *     restarts halfway through, the next check resumes after that card.
+ *   - Cards that already have a snapshot today are skipped, so resuming
+ *     (or the card page recording one) never creates duplicates.
+ *
+ * Turn it off with PRICE_SNAPSHOT_DISABLED=true.
+ */
+
+const Card = require('../models/Card');
+const Collection = require('../models/Collection');
+const Wishlist = require('../models/Wishlist');
+const Listing = require('../models/Listing');
+const PriceHistory = require('../models/PriceHistory');
+const PriceSnapshotRun = require('../models/PriceSnapshotRun');
+const PriceAlert = require('../models/PriceAlert');
+const { getProvider, getConfiguredGames } = require('./cardProviders');
+const { mapWithConcurrency } = require('./concurrency');
+const { evaluatePriceAlerts } = require('./priceAlerts');
+const { CircuitOpenError } = require('./httpClient');
+const { getVariantPrices } = require('./cardCatalog');
+
+const MINUTE_MS = 60 * 1000;
+
+// Hour of the day (UTC) the job is allowed to start. parseInt so 0 works.
+const parsedHour = parseInt(process.env.PRICE_SNAPSHOT_HOUR);
+const SNAPSHOT_HOUR = parsedHour >= 0 && parsedHour <= 23 ? parsedHour : 3;
+
+// How many TCGdex requests can be in flight at once
+const DEFAULT_CONCURRENCY = parseInt(process.env.PRICE_SNAPSHOT_CONCURRENCY) || 5;
+
+// Progress is saved after every batch, so this is also the most work
+// that gets repeated after a crash
+const BATCH_SIZE = 100;
+
+// A "running" run that hasn't saved progress in this long was interrupted
+const STALE_RUN_MS = 15 * MINUTE_MS;
+
+// How often the scheduler checks whether today's run still needs doing
+const CHECK_INTERVAL_MS = 15 * MINUTE_MS;
+
+// Only keep this many error messages on the run so it stays readable
+const MAX_ERRORS_REPORTED = 20;
+
+/**
+ * Midnight UTC at the start of the given day
+ */
+const startOfUtcDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * The run key for a day ('2024-05-01')
+ */
+const getRunDate = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// The sources the daily snapshot records (both come through TCGdex)
+const SNAPSHOT_SOURCES = ['tcgplayer', 'cardmarket'];
+
+// TCGdex prices are for near mint copies - other conditions only come
+// from manual or imported prices
+const SNAPSHOT_CONDITION = 'near_mint';
+
+/**
+ * Does this card already have a TCGdex snapshot for the day?
+ */
+const hasSnapshotForDay = async (cardId, date) => {
+  return Boolean(
+    await PriceHistory.exists({
+      card: cardId,
+      source: { $in: SNAPSHOT_SOURCES },
+      gradingCompany: null,
+      date: { $gte: startOfUtcDay(date) },
+    })
+  );
+};
+
+/**
+ * Record today's prices for a card - one row per source and variant
+ * (TCGplayer holofoil, Cardmarket normal...). Series that already have a
+ * snapshot today are left alone. Price alerts on the card are checked
+ * against whatever got saved.
+ *
+ * @param {ObjectId} cardId - Card document ID
+ * @param {Array} snapshots - From tcgdexApi.extractPriceSnapshots
+ * @param {Date} [date] - When the prices were seen
+ * @returns {Promise<number>} How many snapshots were saved
+ */
+const recordDailySnapshots = async (cardId, snapshots, date = new Date()) => {
+  if (snapshots.length === 0) return 0;
+
+  const existing = await PriceHistory.find({
+    card: cardId,
+    source: { $in: SNAPSHOT_SOURCES },
+    condition: SNAPSHOT_CONDITION,
+    // Graded prices are their own series - they don't count as today's snapshot
+    gradingCompany: null,
+    date: { $gte: startOfUtcDay(date) },
+  }).select('source variant');
+
+  const recorded = new Set(existing.map((entry) => `${entry.source}:${entry.variant}`));
+  const toSave = snapshots.filter((snap) => !recorded.has(`${snap.source}:${snap.variant}`));
+
+  if (toSave.length === 0) return 0;
+
+  await PriceHistory.insertMany(
+    toSave.map((snap) => ({
+      ...snap,
+      card: cardId,
+      condition: SNAPSHOT_CONDITION,
+      date,
+    }))
+  );
+
+  await evaluatePriceAlerts(cardId, toSave, date);
+
+  return toSave.length;
+};
+
+/**
+ * Every card that's in a collection, a wishlist, an active listing or an
+ * active price alert (sold and cancelled listings don't need a price anymore)
+ *
+ * @param {ObjectId|null} afterCardId - Only cards after this one (for resuming)
+ * @returns {Promise<Array>} Card documents (_id, externalId and game), in _id order
+ */
+const getCardsToSnapshot = async (afterCardId) => {
+  const [collectionCards, wishlistCards, listingCards, alertCards] = await Promise.all([
+    Collection.distinct('card'),
+    Wishlist.distinct('card'),
+    Listing.distinct('card', { status: 'active' }),
+    PriceAlert.distinct('card', { active: true }),
+  ]);
+
+  const filter = {
+    _id: { $in: [...collectionCards, ...wishlistCards, ...listingCards, ...alertCards] },
+    // Only games we can get prices for
+    game: { $in: getConfiguredGames() },
+  };
+  if (afterCardId) filter._id.$gt = afterCardId;
+
+  return Card.find(filter).select('_id externalId game').sort({ _id: 1 });
+};
+
+/**
+ * Fetch one card's price and save the snapshot
+ *
+ * @returns {Promise<Object>} { outcome, message? } - outcome is the run counter to bump
+ */
+const snapshotCard = async (card, date) => {
+  try {
+    if (await hasSnapshotForDay(card._id, date)) {
+      return { outcome: 'skipped' };
+    }
+
+    const pricing = await getProvider(card.game).getPricing(card.externalId);
+    const currentPrice = pricing?.currentPrice;
+    const snapshots = pricing?.marketPrices || [];
+
+    if (snapshots.length === 0) {
+      return { outcome: 'noPrice' };
+    }
+
+    // Keep the card's own price fresh too, since collection values use it
+    if (currentPrice) {
+      await Card.updateOne(
+        { _id: card._id },
+        { $set: { currentPrice, variantPrices: getVariantPrices(snapshots), lastPriceUpdate: date } }
+      );
+    }
+
+    const saved = await recordDailySnapshots(card._id, snapshots, date);
+    return { outcome: saved > 0 ? 'snapshotsSaved' : 'skipped' };
+  } catch (error) {
+    // TCGdex is down - stop the run (it's marked failed and resumed on a
+    // later check) instead of burning through every card with errors
+    if (error instanceof CircuitOpenError) throw error;
+    return { outcome: 'error', message: `card ${card.externalId}: ${error.message}` };
+  }
+};
+
+/**
+ * Get today's run to work on
+ * Creates it if it doesn't exist yet, or takes over one that failed or
+ * was interrupted (still "running" but no progress for STALE_RUN_MS).
+ *
+ * @param {string} runDate - 'YYYY-MM-DD'
+ * @returns {Promise<Object|null>} The run, or null if it's already done
+ *   (or still running in another process)
+ */
+const claimRun = async (runDate) => {
+  try {
+    return await PriceSnapshotRun.create({ runDate });
+  } catch (error) {
+    // 11000 = duplicate key, meaning today's run already exists
+    if (error.code !== 11000) throw error;
+  }
+
+  return PriceSnapshotRun.findOneAndUpdate(
+    {
+      runDate,
+      $or: [
+        { status: 'failed' },
+        { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } },
+      ],
+    },
+    {
+      $set: { status: 'running', heartbeatAt: new Date(), finishedAt: null },
+      $inc: { resumeCount: 1 },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Runs from earlier days that never finished won't be resumed (a new day
+ * means a new run), so mark them failed instead of leaving them "running"
+ */
+const closeAbandonedRuns = async (runDate) => {
+  await PriceSnapshotRun.updateMany(
+    { runDate: { $lt: runDate }, status: 'running' },
+    {
+      $set: { status: 'failed', finishedAt: new Date() },
+      $push: { errorMessages: 'Interrupted and not resumed before the next day' },
+    }
+  );
+};
+
+/**
+ * Run (or resume) today's price snapshot
+ *
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Parallel TCGdex requests
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<Object|null>} The finished run, or null if there was nothing to do
+ */
+const runPriceSnapshot = async ({ concurrency = DEFAULT_CONCURRENCY, log = console.log } = {}) => {
+  const now = new Date();
+  const runDate = getRunDate(now);
+
+  await closeAbandonedRuns(runDate);
+
+  const run = await claimRun(runDate);
+  if (!run) return null;
+
+  try {
+    const cards = await getCardsToSnapshot(run.lastCardId);
+    run.totalCards = run.processed + cards.length;
+    await run.save();
+
+    log(
+      `Price snapshot ${runDate}: ${cards.length} cards to go` +
+        (run.processed ? ` (resuming after ${run.processed})` : '')
+    );
+
+    for (let i = 0; i < cards.length; i += BATCH_SIZE) {
+      const batch = cards.slice(i, i + BATCH_SIZE);
+      const results = await mapWithConcurrency(batch, concurrency, (card) => snapshotCard(card, now));
+
+      results.forEach((result) => {
+        if (result.outcome === 'error') {
+          run.errorCount += 1;
+          if (run.errorMessages.length < MAX_ERRORS_REPORTED) run.errorMessages.push(result.message);
+        } else {
+          run[result.outcome] += 1;
+        }
+      });
+
+      run.processed += batch.length;
+      run.lastCardId = batch[batch.length - 1]._id;
+      run.heartbeatAt = new Date();
+      await run.save();
+    }
+
+    run.status = 'completed';
+    run.finishedAt = new Date();
+    await run.save();
+  } catch (error) {
+    // Progress up to the last batch is saved, so the next check resumes from there
+    run.status = 'failed';
+    run.finishedAt = new Date();
+    run.errorCount += 1;
+    if (run.errorMessages.length < MAX_ERRORS_REPORTED) run.errorMessages.push(error.message);
+    await run.save();
+    throw error;
+  }
+
+  return run;
+};
+
+// Stops a slow run from overlapping with the next check (or a manual trigger)
+let snapshotRunning = false;
+
+/**
+ * Start a run in the background unless one is already going in this process
+ *
+ * @returns {boolean} false if a run was already in progress
+ */
+const triggerPriceSnapshot = () => {
+  if (snapshotRunning) return false;
+  snapshotRunning = true;
+
+  runPriceSnapshot({ log: () => {} })
+    .then((run) => {
+      if (run) {
+        console.log(
+          `Price snapshot ${run.runDate}: ${run.snapshotsSaved} saved, ${run.skipped} already had one, ` +
+            `${run.noPrice} without a price, ${run.errorCount} errors`
+        );
+      }
+    })
+    .catch((error) => console.error('Price snapshot error:', error.message))
+    .finally(() => {
+      snapshotRunning = false;
+    });
+
+  return true;
+};
+
+/**
+ * Start checking for the daily snapshot on a timer
+ *
+ * Every CHECK_INTERVAL_MS it starts today's run if it's past
+ * PRICE_SNAPSHOT_HOUR and the run isn't done yet. There's also one check
+ * shortly after startup, so a run that a restart interrupted gets resumed.
+ *
+ * @returns {Object|null} The interval handle, or null if disabled
+ */
+const startPriceSnapshotSchedule = () => {
+  if (process.env.PRICE_SNAPSHOT_DISABLED === 'true') return null;
+
+  const check = () => {
+    if (new Date().getUTCHours() < SNAPSHOT_HOUR) return;
+    triggerPriceSnapshot();
+  };
+
+  const interval = setInterval(check, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for these timers
+  interval.unref();
+  setTimeout(check, MINUTE_MS).unref();
+
+  console.log(`Daily price snapshots scheduled after ${SNAPSHOT_HOUR}:00 UTC`);
+  return interval;
+};
+
+/**
+ * Job settings and the most recent runs, for the admin status endpoint
+ *
+ * @param {number} [limit] - How many recent runs to include
+ * @returns {Promise<Object>}
+ */
+const getPriceSnapshotStatus = async (limit = 7) => {
+  const runs = await PriceSnapshotRun.find().sort({ runDate: -1 }).limit(limit);
+
+  return {
+    enabled: process.env.PRICE_SNAPSHOT_DISABLED !== 'true',
+    hourUtc: SNAPSHOT_HOUR,
+    concurrency: DEFAULT_CONCURRENCY,
+    runningInThisProcess: snapshotRunning,
+    runs,
+  };
+};
+
+module.exports = {
+  recordDailySnapshots,
+  runPriceSnapshot,
+  triggerPriceSnapshot,
+  startPriceSnapshotSchedule,
+  getPriceSnapshotStatus,
+};
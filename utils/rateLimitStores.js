@@ -0,0 +1,127 @@
+/**
+ * Rate Limit Stores
+ *
+ * The rate limit middleware doesn't care where the counters live - it
+ * just calls store.increment(key, windowMs). There are two stores:
+ *
+ *   - memory: a Map in this process. Fast and needs nothing, but every
+ *     server instance has its own counts and they reset on restart.
+ *   - mongo: counters in the RateLimit collection, shared by every
+ *     instance. One small DB write per limited request.
+ *
+ * Both return { count, resetAt } where count includes the current request.
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Create an in-memory store
+ *
+ * Expired entries are swept every minute so the Map doesn't grow forever.
+ * unref() lets the process exit even though the interval is still set.
+ *
+ * @returns {{ name: string, increment: Function, reset: Function }}
+ */
+const createMemoryStore = () => {
+  const hits = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+
+      // Start a new window if there isn't one or the old one ended
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    reset: async (key) => {
+      hits.delete(key);
+    },
+  };
+};
+
+/**
+ * Create a MongoDB-backed store
+ *
+ * Uses two atomic updates: the first only matches a window that's still
+ * open and bumps its count, and if nothing matched (no window or it ended)
+ * the second starts a fresh one. Doing it with $inc instead of
+ * read-then-write means two requests at the same time can't both read
+ * count = 4 and both get through.
+ *
+ * @returns {{ name: string, increment: Function, reset: Function }}
+ */
+const createMongoStore = () => {
+  return {
+    name: 'mongo',
+
+    increment: async (key, windowMs) => {
+      const now = new Date();
+
+      const existing = await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $gt: now } },
+        { $inc: { count: 1 } },
+        { new: true }
+      );
+
+      if (existing) {
+        return { count: existing.count, resetAt: existing.resetAt };
+      }
+
+      const fresh = await RateLimit.findOneAndUpdate(
+        { key },
+        { count: 1, resetAt: new Date(now.getTime() + windowMs) },
+        { new: true, upsert: true }
+      );
+
+      return { count: fresh.count, resetAt: fresh.resetAt };
+    },
+
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+};
+
+// One shared instance of each store so all limiters using "memory" share a sweep timer
+let memoryStore = null;
+let mongoStore = null;
+
+/**
+ * Get a store by name ('memory' or 'mongo')
+ * Defaults to RATE_LIMIT_STORE from the environment, then memory.
+ *
+ * @param {string} [name]
+ * @returns {Object} Store instance
+ */
+const getStore = (name = process.env.RATE_LIMIT_STORE) => {
+  if (name === 'mongo') {
+    if (!mongoStore) mongoStore = createMongoStore();
+    return mongoStore;
+  }
+
+  if (!memoryStore) memoryStore = createMemoryStore();
+  return memoryStore;
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  getStore,
+};
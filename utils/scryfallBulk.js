@@ -0,0 +1,438 @@
+/**
+ * Scryfall Bulk Data Service
+ *
+ * Card data for Magic: The Gathering. Scryfall publishes its whole card
+ * database as one big JSON file every day (https://scryfall.com/docs/api/bulk-data),
+ * and they ask people to use that instead of hammering their API. So
+ * instead of calling Scryfall for every search, `npm run sync-scryfall`
+ * imports a downloaded copy of the file (SCRYFALL_BULK_PATH) into our
+ * Card and CardSet collections, same as the TCGdex catalog sync, and the
+ * Magic provider answers everything from there.
+ *
+ * I first read the whole file into memory on the first Magic request, but
+ * "Default Cards" is hundreds of MB - JSON.parse blocked the server for
+ * ages and needed GBs of heap, and "All Cards" is too big to even fit in
+ * one string. So the import reads the file a chunk at a time and parses
+ * one card at a time (readBulkCards), and the server never touches it.
+ *
+ * Use the "Default Cards" file - one entry per printing, in English
+ * where there is one. "All Cards" imports too, but it's several times
+ * bigger and the other languages just add more printings of each card.
+ *
+ * Scryfall's USD prices come from TCGplayer and the EUR ones from
+ * Cardmarket, so they fit into the same price series as the Pokemon
+ * prices from TCGdex: foil is stored as the holofoil (USD) or holo (EUR)
+ * variant. Prices only change when the file is imported again, so
+ * re-download and re-import it every day or so.
+ *
+ * Only the fields we use are saved, not the raw Scryfall JSON.
+ */
+
+const { createReadStream } = require('fs');
+const Card = require('../models/Card');
+const CardSet = require('../models/CardSet');
+const { formatCatalogSet } = require('./cardCatalog');
+
+// How many cards are upserted per bulkWrite during an import
+const IMPORT_BATCH_SIZE = 500;
+
+// Only keep this many error messages in the result so it stays readable
+const MAX_ERRORS_REPORTED = 20;
+
+/**
+ * Turn a Scryfall price string ("0.25", or null) into a number
+ */
+const parsePrice = (value) => {
+  const price = parseFloat(value);
+  return price > 0 ? price : null;
+};
+
+/**
+ * Split Scryfall's prices into one entry per source and variant
+ * Same format as tcgdexApi.extractPriceSnapshots, so price history and
+ * alerts work the same for both games. Scryfall only has one price per
+ * variant, so there's no low/mid/high.
+ *
+ * @param {Object} prices - Scryfall prices ({ usd, usd_foil, eur, eur_foil, ... })
+ * @returns {Array} [{ source, variant, currency, price, low, mid, high }]
+ */
+const extractPriceSnapshots = (prices) => {
+  if (!prices) return [];
+
+  const series = [
+    ['tcgplayer', 'normal', 'USD', prices.usd],
+    ['tcgplayer', 'holofoil', 'USD', prices.usd_foil],
+    ['cardmarket', 'normal', 'EUR', prices.eur],
+    ['cardmarket', 'holo', 'EUR', prices.eur_foil],
+  ];
+
+  return series
+    .map(([source, variant, currency, value]) => ({
+      source,
+      variant,
+      currency,
+      price: parsePrice(value),
+      low: null,
+      mid: null,
+      high: null,
+    }))
+    .filter((snapshot) => snapshot.price !== null);
+};
+
+/**
+ * Get the display price and the per-variant prices
+ * Same shape as tcgdexApi.extractPricing: USD first (non-foil, then foil),
+ * then EUR if TCGplayer has nothing.
+ *
+ * @param {Object} prices - Scryfall prices
+ * @returns {Object} { currentPrice, prices }
+ */
+const extractPricing = (prices) => {
+  if (!prices) return { currentPrice: null, prices: null };
+
+  const usd = parsePrice(prices.usd);
+  const usdFoil = parsePrice(prices.usd_foil);
+
+  const variants = {};
+  if (usd) variants.normal = { low: null, mid: null, high: null, market: usd };
+  if (usdFoil) variants.holofoil = { low: null, mid: null, high: null, market: usdFoil };
+
+  return {
+    currentPrice: usd || usdFoil || parsePrice(prices.eur) || parsePrice(prices.eur_foil),
+    prices: variants,
+  };
+};
+
+// Scryfall finishes -> our variants. Etched foils have no variant of
+// their own (or a price series), so they're left out.
+const FINISH_VARIANTS = {
+  nonfoil: 'normal',
+  foil: 'holofoil',
+};
+
+// "mythic" -> "Mythic", to match how TCGdex writes rarities
+const formatRarity = (rarity) => (rarity ? rarity.charAt(0).toUpperCase() + rarity.slice(1) : 'Common');
+
+/**
+ * Read the cards out of a bulk data file one at a time
+ *
+ * The file is one JSON array of card objects. This keeps track of the
+ * braces (skipping anything inside strings) to find where each card
+ * starts and ends, and only JSON.parses that one card - so memory stays
+ * at a chunk plus a card, however big the file is.
+ *
+ * @param {string} bulkPath - Path to the Scryfall JSON file
+ * @yields {Object} One raw Scryfall object (usually a card)
+ */
+async function* readBulkCards(bulkPath) {
+  const notBulkFile = () => new Error(`${bulkPath} is not a Scryfall bulk data file (expected a JSON array)`);
+
+  let inArray = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  // The part of the current card that was in earlier chunks
+  let pending = '';
+
+  for await (const chunk of createReadStream(bulkPath, { encoding: 'utf8' })) {
+    let start = 0;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (depth === 0) {
+        if (char === '{' && inArray) {
+          start = i;
+          depth = 1;
+        } else if (char === '[' && !inArray) {
+          inArray = true;
+        } else if (!((char === ',' || char === ']') && inArray) && !/\s/.test(char)) {
+          throw notBulkFile();
+        }
+      } else if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth += 1;
+      } else if (char === '}') {
+        depth -= 1;
+        if (depth === 0) {
+          yield JSON.parse(pending + chunk.slice(start, i + 1));
+          pending = '';
+        }
+      }
+    }
+
+    if (depth > 0) pending += chunk.slice(start);
+  }
+
+  if (!inArray || depth > 0) throw notBulkFile();
+}
+
+/**
+ * Turn a raw Scryfall card into the fields we save on Card
+ *
+ * Double-faced cards (transform, modal) have no top-level image or rules
+ * text - those are on each face, so the front face is used for the image
+ * and both faces' text is joined.
+ *
+ * The Magic-only details go in Card.magic, along with Scryfall's prices
+ * so the provider can split them up the same way every time.
+ *
+ * @param {Object} raw - One card from the bulk file
+ * @returns {Object} Card fields
+ */
+const formatCardForCatalog = (raw) => {
+  const faces = raw.card_faces || [];
+  const imageUris = raw.image_uris || faces[0]?.image_uris || {};
+  const { currentPrice, prices } = extractPricing(raw.prices);
+
+  const variantPrices = {};
+  for (const [variant, price] of Object.entries(prices || {})) {
+    variantPrices[variant] = price.market;
+  }
+
+  return {
+    externalId: raw.id,
+    scryfallId: raw.id,
+    name: raw.name,
+    game: 'magic',
+    setName: raw.set_name || '',
+    setCode: raw.set || '',
+    cardNumber: raw.collector_number || '',
+    rarity: formatRarity(raw.rarity),
+    imageUrl: imageUris.normal || imageUris.large || '',
+    illustrator: raw.artist || '',
+    variants: (raw.finishes || []).map((finish) => FINISH_VARIANTS[finish]).filter(Boolean),
+    currentPrice: currentPrice || 0,
+    variantPrices,
+    magic: {
+      colors: raw.colors || faces[0]?.colors || [],
+      manaCost: raw.mana_cost ?? faces[0]?.mana_cost ?? '',
+      typeLine: raw.type_line || '',
+      oracleText: raw.oracle_text ?? faces.map((face) => face.oracle_text || '').join('\n//\n'),
+      flavorText: raw.flavor_text || '',
+      releasedAt: raw.released_at || null,
+      prices: {
+        usd: raw.prices?.usd ?? null,
+        usd_foil: raw.prices?.usd_foil ?? null,
+        eur: raw.prices?.eur ?? null,
+        eur_foil: raw.prices?.eur_foil ?? null,
+      },
+    },
+  };
+};
+
+/**
+ * Format a Magic Card document like tcgdexApi.formatCardFull
+ *
+ * @param {Object} card - Card document (or lean object) saved by the import
+ * @returns {Object} Formatted card
+ */
+const formatMagicCard = (card) => {
+  const magic = card.magic || {};
+  const { currentPrice, prices } = extractPricing(magic.prices);
+
+  return {
+    id: card.externalId,
+    name: card.name,
+    game: 'magic',
+    setName: card.setName,
+    setCode: card.setCode,
+    cardNumber: card.cardNumber,
+    rarity: card.rarity,
+    imageUrl: card.imageUrl,
+    currentPrice,
+    prices,
+    marketPrices: extractPriceSnapshots(magic.prices),
+    variants: card.variants || [],
+    hp: null,
+    types: [],
+    colors: magic.colors || [],
+    manaCost: magic.manaCost || '',
+    typeLine: magic.typeLine || '',
+    oracleText: magic.oracleText || '',
+    illustrator: card.illustrator,
+    description: magic.flavorText || '',
+    releasedAt: magic.releasedAt || null,
+  };
+};
+
+/**
+ * Import a bulk data file into Card and CardSet
+ *
+ * Digital-only cards (Arena, MTGO) are skipped - they can't be collected
+ * or traded. The bulk file has no separate set list, so sets are worked
+ * out from the set code/name on each card as they go past. Scryfall's
+ * set_type (expansion, core, masters...) goes in series.
+ *
+ * @param {string} bulkPath - Path to the Scryfall JSON file
+ * @param {Object} [options]
+ * @param {Function} [options.log] - Where progress messages go
+ * @returns {Promise<Object>} Stats for the run
+ */
+const importBulkFile = async (bulkPath, { log = console.log } = {}) => {
+  const syncedAt = new Date();
+  const stats = {
+    startedAt: syncedAt,
+    finishedAt: null,
+    sets: 0,
+    cardsSaved: 0,
+    cardsSkipped: 0,
+    errorCount: 0,
+    errors: [],
+  };
+  const recordError = (message) => {
+    stats.errorCount += 1;
+    if (stats.errors.length < MAX_ERRORS_REPORTED) stats.errors.push(message);
+  };
+
+  // code -> { name, setType, releasedAt, printedSize, total }
+  const sets = new Map();
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const operations = batch;
+    batch = [];
+
+    try {
+      await Card.bulkWrite(operations, { ordered: false });
+      stats.cardsSaved += operations.length;
+    } catch (error) {
+      // ordered: false still saves the rest of the batch
+      const failed = error.writeErrors?.length ?? operations.length;
+      stats.cardsSaved += operations.length - failed;
+      recordError(`${failed} cards: ${error.message}`);
+    }
+    log(`  ${stats.cardsSaved} cards saved`);
+  };
+
+  log(`Importing Magic cards from ${bulkPath}`);
+
+  for await (const raw of readBulkCards(bulkPath)) {
+    if (raw.object !== 'card' || raw.digital) {
+      stats.cardsSkipped += 1;
+      continue;
+    }
+
+    batch.push({
+      updateOne: {
+        filter: { externalId: raw.id },
+        update: { $set: { ...formatCardForCatalog(raw), lastPriceUpdate: syncedAt, catalogSyncedAt: syncedAt } },
+        upsert: true,
+      },
+    });
+    if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+
+    if (!sets.has(raw.set)) {
+      sets.set(raw.set, {
+        name: raw.set_name || raw.set,
+        setType: raw.set_type || '',
+        releasedAt: raw.released_at,
+        printedSize: raw.printed_size,
+        total: 0,
+      });
+    }
+    sets.get(raw.set).total += 1;
+  }
+  await flush();
+
+  for (const [code, set] of sets) {
+    try {
+      await CardSet.updateOne(
+        { externalId: code, game: 'magic' },
+        {
+          $set: {
+            name: set.name,
+            series: set.setType,
+            releaseDate: set.releasedAt ? new Date(set.releasedAt) : null,
+            cardCount: { total: set.total, official: set.printedSize || set.total },
+            catalogSyncedAt: syncedAt,
+          },
+        },
+        { upsert: true }
+      );
+      stats.sets += 1;
+    } catch (error) {
+      recordError(`set ${code}: ${error.message}`);
+    }
+  }
+
+  stats.finishedAt = new Date();
+  return stats;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Create the Magic card provider (see utils/cardProviders.js)
+ *
+ * Everything is read from the cards and sets the import saved. Setting
+ * SCRYFALL_BULK_PATH is what turns Magic on - until the file has been
+ * imported, searches are just empty and cards aren't found.
+ *
+ * @param {string} [bulkPath] - Path to the bulk data file
+ * @returns {Object} Card provider
+ */
+const createScryfallProvider = (bulkPath = process.env.SCRYFALL_BULK_PATH) => {
+  const withImage = { game: 'magic', imageUrl: { $ne: '' } };
+
+  return {
+    game: 'magic',
+    label: 'Scryfall',
+
+    isConfigured: () => Boolean(bulkPath),
+
+    searchCards: async (query, limit = 20) => {
+      const cards = await Card.find({ ...withImage, name: { $regex: escapeRegex(query || ''), $options: 'i' } })
+        .limit(limit)
+        .lean();
+      return cards.map(formatMagicCard);
+    },
+
+    getCardById: async (id) => {
+      const card = await Card.findOne({ externalId: id, game: 'magic' }).lean();
+      return card ? formatMagicCard(card) : null;
+    },
+
+    getPricing: async (id) => {
+      const card = await Card.findOne({ externalId: id, game: 'magic' }).select('magic.prices').lean();
+      if (!card) return null;
+      const { currentPrice } = extractPricing(card.magic?.prices);
+      return { currentPrice, marketPrices: extractPriceSnapshots(card.magic?.prices) };
+    },
+
+    getSets: async () => {
+      const sets = await CardSet.find({ game: 'magic' }).sort({ releaseDate: -1 });
+      return sets.map(formatCatalogSet);
+    },
+
+    getSet: async (setId) => {
+      const set = await CardSet.findOne({ externalId: setId, game: 'magic' });
+      if (!set) return null;
+      const cards = await Card.find({ setCode: setId, game: 'magic' }).lean();
+      return { ...formatCatalogSet(set), cards: cards.map(formatMagicCard) };
+    },
+
+    getRandomCards: async (count = 8) => {
+      // $sample throws on NaN, which is what a bad ?count= parses to
+      const size = count > 0 ? count : 8;
+      const cards = await Card.aggregate([{ $match: withImage }, { $sample: { size } }]);
+      return cards.map(formatMagicCard);
+    },
+  };
+};
+
+module.exports = {
+  createScryfallProvider,
+  readBulkCards,
+  importBulkFile,
+  formatCardForCatalog,
+  formatMagicCard,
+  extractPricing,
+  extractPriceSnapshots,
+};
@@ -0,0 +1,216 @@
+/**
+ * Session Helpers
+ *
+ * Shared logic for creating, refreshing, and revoking login sessions.
+ * Both authController (email/password) and auth0Controller (social login)
+ * use these, so the token flow is the same no matter how someone logs in.
+ *
+ * The refresh token looks like "<sessionId>.<random hex>". The session ID
+ * part lets us find the session quickly, and the random part is what
+ * actually proves you own it (we compare its hash to the stored one).
+ *
+ * Refresh tokens rotate - every refresh hands out a new one and the old one
+ * stops working. If an old refresh token ever shows up again, that means
+ * someone copied it, so I revoke the whole session to be safe.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const generateToken = require('./generateToken');
+
+// How long a session lasts without being refreshed
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Only write lastSeenAt every 5 minutes so we don't hit the DB on every request
+const LAST_SEEN_UPDATE_MS = 5 * 60 * 1000;
+
+/**
+ * Hash a refresh token secret with SHA-256
+ * bcrypt would be overkill here - the secret is 48 random bytes,
+ * so it can't be brute forced like a human password can.
+ *
+ * @param {string} secret - The random part of the refresh token
+ * @returns {string} Hex-encoded hash
+ */
+const hashToken = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Build the expiry date for a session starting from now
+ * @returns {Date}
+ */
+const getExpiryDate = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_DAYS);
+  return expiresAt;
+};
+
+/**
+ * Pull device info out of the request for the session record
+ *
+ * The IP is req.ip, which Express works out from X-Forwarded-For using the
+ * 'trust proxy' setting in server.js. Never read that header directly -
+ * the client can put anything in it, and the rate limits key on this IP.
+ *
+ * @param {Object} req - Express request
+ * @returns {{ userAgent: string, ip: string }}
+ */
+const getClientInfo = (req) => {
+  const ip = req.ip || '';
+
+  return {
+    userAgent: (req.headers['user-agent'] || '').slice(0, 500),
+    ip,
+  };
+};
+
+/**
+ * Create a new session and the tokens that go with it
+ *
+ * @param {Object} user - The user document logging in
+ * @param {Object} req - Express request (for user agent and IP)
+ * @param {string} authProvider - 'local', 'google', 'twitter' or 'apple'
+ * @returns {Promise<{ session: Object, token: string, refreshToken: string }>}
+ */
+const createSession = async (user, req, authProvider = 'local') => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const { userAgent, ip } = getClientInfo(req);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    authProvider,
+    userAgent,
+    ip,
+    lastSeenAt: new Date(),
+    expiresAt: getExpiryDate(),
+  });
+
+  return {
+    session,
+    token: generateToken(user._id, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token + refresh token
+ *
+ * Returns null if the refresh token is invalid, expired, or revoked.
+ * If the token belongs to a real session but doesn't match the current
+ * hash, it's an old (already rotated) token being reused - the session
+ * gets revoked so whoever stole it can't keep going.
+ *
+ * @param {string} refreshToken - The "<sessionId>.<secret>" token
+ * @param {Object} req - Express request (to update device info)
+ * @returns {Promise<{ session: Object, token: string, refreshToken: string }|null>}
+ */
+const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  const newSecret = crypto.randomBytes(48).toString('hex');
+  const { userAgent, ip } = getClientInfo(req);
+
+  // Swap the hash in one step, and only if it's still the one this token
+  // matches. With a findById + save, two refreshes with the same token at
+  // once would both pass the check and both get a working refresh token.
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(secret), revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newSecret),
+        lastSeenAt: new Date(),
+        expiresAt: getExpiryDate(),
+        userAgent: userAgent || session.userAgent,
+        ip: ip || session.ip,
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // Someone is using a refresh token that was already rotated out
+    // (or lost the race to a refresh with the same token)
+    await revokeSession(session._id, 'refresh_token_reuse');
+    return null;
+  }
+
+  return {
+    session: rotated,
+    token: generateToken(rotated.user, rotated._id),
+    refreshToken: `${rotated._id}.${newSecret}`,
+  };
+};
+
+/**
+ * Revoke a single session
+ *
+ * @param {string} sessionId - The Session _id
+ * @param {string} reason - Why it's being revoked (stored for debugging)
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Revoke every active session for a user except (optionally) one
+ * Used for "sign out everywhere else" and after a password change.
+ *
+ * @param {string} userId - The user's _id
+ * @param {string|null} keepSessionId - Session to leave alone (usually the current one)
+ * @param {string} reason - Why they're being revoked
+ * @returns {Promise<number>} How many sessions were revoked
+ */
+const revokeOtherSessions = async (userId, keepSessionId = null, reason = 'signed_out_elsewhere') => {
+  const filter = { user: userId, revokedAt: null };
+  if (keepSessionId) filter._id = { $ne: keepSessionId };
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Load the session an access token points to, if it's still active
+ * Also bumps lastSeenAt if it hasn't been updated in a while.
+ *
+ * @param {string} sessionId - The "sid" claim from the JWT
+ * @returns {Promise<Object|null>} The session, or null if revoked/missing
+ */
+const findActiveSession = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_MS) {
+    session.lastSeenAt = new Date();
+    await session.save();
+  }
+
+  return session;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeOtherSessions,
+  findActiveSession,
+  getClientInfo,
+  hashToken,
+};
@@ -10,6 +10,9 @@
  *
  * Note: TCGdex is Pokemon TCG only, which is fine for this project.
  *
+ * Everything takes an optional language code (see config/languages.js)
+ * and defaults to English.
+ *
  * Docs: https://tcgdex.dev/sdks/javascript
  * Pricing: https://tcgdex.dev/markets-prices
  */
@@ -17,9 +20,46 @@
 const TCGdexSDK = require('@tcgdex/sdk');
 const TCGdex = TCGdexSDK.default;
 const Query = TCGdexSDK.Query;
+const {
+  CARD_VARIANTS,
+  parseDamageValue,
+  normalizeStage,
+  formatCatalogSet,
+  getVariantPrices,
+} = require('./cardCatalog');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+const { cached } = require('./apiCache');
+const { request, UpstreamError } = require('./httpClient');
+
+// Send all of the SDK's requests through our HTTP client, so TCGdex calls
+// get timeouts, retries and the circuit breaker like everything else.
+// When TCGdex is down the functions below throw an UpstreamError instead
+// of returning [] or null, so callers can tell that apart from "no results".
+TCGdex.fetch = (url, options) => request('tcgdex', url, options);
 
-// Initialize the SDK with English language
-const tcgdex = new TCGdex('en');
+// One SDK instance per language, created the first time it's needed.
+// The SDK is tied to a language when it's created.
+//
+// The SDK's own cache is turned off. It kept everything it fetched in
+// memory for an hour, which would mean holding the whole catalog (tens of
+// thousands of cards) in memory during a sync, and card lookups are cached
+// by utils/apiCache.js now anyway.
+const clients = new Map();
+
+/**
+ * Get the SDK instance for a language
+ *
+ * @param {string} [lang] - Language code from config/languages.js
+ * @returns {TCGdex}
+ */
+const getClient = (lang = DEFAULT_LANGUAGE) => {
+  if (!clients.has(lang)) {
+    const client = new TCGdex(lang);
+    client.setCache({ get: () => undefined, set: () => {} });
+    clients.set(lang, client);
+  }
+  return clients.get(lang);
+};
 
 /**
  * Search for Pokemon cards by name
@@ -31,9 +71,11 @@ const tcgdex = new TCGdex('en');
  *
  * @param {string} query - The card name to search for
  * @param {number} limit - Max results to return (default 20)
+ * @param {string} [lang] - Language to search and return names in
  * @returns {Array} Array of formatted card objects with image URLs
+ * @throws {UpstreamError} If TCGdex is down
  */
-const searchCards = async (query, limit = 20) => {
+const searchCards = async (query, limit = 20, lang = DEFAULT_LANGUAGE) => {
   try {
     // Using .contains() instead of .equal() so the search is case-insensitive
     // and matches partial names too (e.g., "pika" finds "Pikachu")
@@ -42,7 +84,7 @@ const searchCards = async (query, limit = 20) => {
       .contains('name', query)
       .paginate(1, limit);
 
-    const results = await tcgdex.card.list(searchQuery);
+    const results = await getClient(lang).card.list(searchQuery);
 
     if (!results || results.length === 0) {
       return [];
@@ -53,6 +95,7 @@ const searchCards = async (query, limit = 20) => {
     const formatted = results.map(formatCardBrief);
     return formatted.filter((card) => card.imageUrl !== '');
   } catch (error) {
+    if (error instanceof UpstreamError) throw error;
     console.error('TCGdex search error:', error.message);
     return [];
   }
@@ -63,16 +106,20 @@ const searchCards = async (query, limit = 20) => {
  * Returns full card details including high-quality image URL and pricing
  *
  * @param {string} cardId - The TCGdex card ID (e.g., 'swsh3-136')
+ * @param {string} [lang] - Language for the name, attacks, etc.
  * @returns {Object|null} Formatted card object or null if not found
+ * @throws {UpstreamError} If TCGdex is down (and the card isn't cached)
  */
-const getCardById = async (cardId) => {
+const getCardById = async (cardId, lang = DEFAULT_LANGUAGE) => {
   try {
-    const card = await tcgdex.card.get(cardId);
-
-    if (!card) return null;
-
-    return formatCardFull(card);
+    // Cached for an hour (see utils/apiCache.js) - the card page and the
+    // price chart both ask for the same card
+    return await cached('tcgdex', `card:${lang}:${cardId}`, async () => {
+      const card = await getClient(lang).card.get(cardId);
+      return card ? formatCardFull(card) : null;
+    });
   } catch (error) {
+    if (error instanceof UpstreamError) throw error;
     console.error('TCGdex getCardById error:', error.message);
     return null;
   }
@@ -81,14 +128,17 @@ const getCardById = async (cardId) => {
 /**
  * Get a random Pokemon card (useful for featured/trending sections)
  *
+ * @param {string} [lang] - Language code
  * @returns {Object|null} A random card with image URL
+ * @throws {UpstreamError} If TCGdex is down
  */
-const getRandomCard = async () => {
+const getRandomCard = async (lang = DEFAULT_LANGUAGE) => {
   try {
-    const card = await tcgdex.random.card();
+    const card = await getClient(lang).random.card();
     if (!card) return null;
     return formatCardFull(card);
   } catch (error) {
+    if (error instanceof UpstreamError) throw error;
     console.error('TCGdex random card error:', error.message);
     return null;
   }
@@ -98,22 +148,22 @@ const getRandomCard = async () => {
  * Get multiple random Pokemon cards
  *
  * @param {number} count - How many random cards to get
+ * @param {string} [lang] - Language code
  * @returns {Array} Array of random card objects
+ * @throws {UpstreamError} If TCGdex is down
  */
-const getRandomCards = async (count = 8) => {
+const getRandomCards = async (count = 8, lang = DEFAULT_LANGUAGE) => {
   try {
     const cards = [];
     const seenIds = new Set();
-    // The SDK seems to cache random results, so I'm creating a fresh instance
-    // for each call to avoid getting the same card over and over.
-    // Also skipping cards without images and duplicates.
+    // The SDK used to cache random results, so I was creating a fresh
+    // instance for each call. Its cache is off now (see getClient), so the
+    // shared one works. Still skipping cards without images and duplicates.
     let attempts = 0;
     const maxAttempts = count * 4;
     while (cards.length < count && attempts < maxAttempts) {
       attempts++;
-      // Fresh SDK instance to bypass caching
-      const freshTcgdex = new TCGdex('en');
-      const card = await freshTcgdex.random.card();
+      const card = await getClient(lang).random.card();
       if (card && !seenIds.has(card.id)) {
         seenIds.add(card.id);
         const formatted = formatCardFull(card);
@@ -124,6 +174,7 @@ const getRandomCards = async (count = 8) => {
     }
     return cards;
   } catch (error) {
+    if (error instanceof UpstreamError) throw error;
     console.error('TCGdex random cards error:', error.message);
     return [];
   }
@@ -205,6 +256,115 @@ const extractPricing = (pricing) => {
   return { currentPrice, prices };
 };
 
+// TCGplayer's variant names on TCGdex -> the names we store in PriceHistory
+const TCGPLAYER_VARIANTS = {
+  normal: 'normal',
+  'reverse-holofoil': 'reverseHolo',
+  holofoil: 'holofoil',
+  '1st-edition-normal': 'firstEditionNormal',
+  '1st-edition-holofoil': 'firstEditionHolofoil',
+};
+
+/**
+ * Split TCGdex pricing into one entry per source and variant
+ *
+ * extractPricing boils everything down to one currentPrice for display,
+ * but for price history we need every series separately, otherwise a
+ * chart would jump between the holo and reverse holo price.
+ *
+ * Cardmarket doesn't give a low/mid/high range for its variants, just an
+ * average, a lowest listing and a trend - so trend is the price and the
+ * lowest listing is the low.
+ *
+ * @param {Object} pricing - The raw pricing object from TCGdex
+ * @returns {Array} [{ source, variant, currency, price, low, mid, high }]
+ */
+const extractPriceSnapshots = (pricing) => {
+  if (!pricing) return [];
+
+  const snapshots = [];
+  const tcgplayer = pricing.tcgplayer;
+  const cardmarket = pricing.cardmarket;
+
+  if (tcgplayer) {
+    Object.entries(TCGPLAYER_VARIANTS).forEach(([key, variant]) => {
+      const p = tcgplayer[key];
+      const price = p && (p.marketPrice || p.midPrice);
+      if (!price) return;
+
+      snapshots.push({
+        source: 'tcgplayer',
+        variant,
+        currency: 'USD',
+        price,
+        low: p.lowPrice ?? null,
+        mid: p.midPrice ?? null,
+        high: p.highPrice ?? null,
+      });
+    });
+  }
+
+  if (cardmarket) {
+    const normalPrice = cardmarket.trend || cardmarket.avg;
+    if (normalPrice) {
+      snapshots.push({
+        source: 'cardmarket',
+        variant: 'normal',
+        currency: 'EUR',
+        price: normalPrice,
+        low: cardmarket.low ?? null,
+        mid: cardmarket.avg ?? null,
+        high: null,
+      });
+    }
+
+    const holoPrice = cardmarket['trend-holo'] || cardmarket['avg-holo'];
+    if (holoPrice) {
+      snapshots.push({
+        source: 'cardmarket',
+        variant: 'holo',
+        currency: 'EUR',
+        price: holoPrice,
+        low: cardmarket['low-holo'] ?? null,
+        mid: cardmarket['avg-holo'] ?? null,
+        high: null,
+      });
+    }
+  }
+
+  return snapshots;
+};
+
+/**
+ * Work out which printings a card comes in
+ *
+ * TCGdex has flags for this (normal, reverse, holo, firstEdition), but
+ * firstEdition just means a 1st Edition exists - it's the 1st Edition of
+ * whichever of normal/holo the card has. Anything TCGplayer has a price
+ * for exists too, which catches cards where the flags are missing.
+ * TCGdex has nothing for shadowless or stamped promo printings - those
+ * are added by an admin (Card.extraVariants).
+ *
+ * @param {Object} card - Raw full card data from TCGdex
+ * @returns {string[]} Variants from CARD_VARIANTS, in that order
+ */
+const extractVariants = (card) => {
+  const flags = card.variants || {};
+  const found = new Set();
+
+  if (flags.normal) found.add('normal');
+  if (flags.holo) found.add('holofoil');
+  if (flags.reverse) found.add('reverseHolo');
+  if (flags.firstEdition && flags.normal) found.add('firstEditionNormal');
+  if (flags.firstEdition && flags.holo) found.add('firstEditionHolofoil');
+
+  extractPriceSnapshots(card.pricing)
+    .filter((p) => p.source === 'tcgplayer')
+    .forEach((p) => found.add(p.variant));
+
+  return CARD_VARIANTS.filter((variant) => found.has(variant));
+};
+
 /**
  * Format a brief card object from TCGdex list results
  * The list endpoint returns minimal data: id, localId, name, image
@@ -251,6 +411,9 @@ const formatCardFull = (card) => {
     imageUrl,
     currentPrice,
     prices,
+    // Every source/variant price separately (see extractPriceSnapshots)
+    marketPrices: extractPriceSnapshots(card.pricing),
+    variants: extractVariants(card),
     hp: card.hp || null,
     types: card.types || [],
     illustrator: card.illustrator || '',
@@ -258,13 +421,188 @@ const formatCardFull = (card) => {
   };
 };
 
+/**
+ * Catalog sync helpers
+ *
+ * These return the raw TCGdex JSON (not the SDK model objects) so the
+ * sync can save it straight into a dump file and read it back offline.
+ */
+
+/**
+ * Get the list of every set (brief info only)
+ * @returns {Promise<Array>}
+ */
+const fetchSetList = async () => {
+  return (await getClient().fetch('sets')) || [];
+};
+
+/**
+ * Get one set with its card list (the cards are brief - id, localId, name, image)
+ * The brief cards have the name in the requested language, which is how
+ * the sync gets every localized name in a set with one request.
+ *
+ * @param {string} setId - e.g. 'swsh3'
+ * @param {string} [lang] - Language code
+ * @returns {Promise<Object|undefined>}
+ */
+const fetchSet = async (setId, lang = DEFAULT_LANGUAGE) => {
+  return getClient(lang).fetch('sets', setId);
+};
+
+/**
+ * Get one card with full details
+ * @param {string} cardId - e.g. 'swsh3-136'
+ * @returns {Promise<Object|undefined>}
+ */
+const fetchCard = async (cardId) => {
+  return getClient().fetch('cards', cardId);
+};
+
+/**
+ * Turn a raw TCGdex set into CardSet fields
+ *
+ * @param {Object} set - Raw set JSON
+ * @returns {Object} Fields for the CardSet model
+ */
+const formatSetForCatalog = (set) => {
+  return {
+    externalId: set.id,
+    name: set.name,
+    game: 'pokemon',
+    series: set.serie?.name || '',
+    releaseDate: set.releaseDate ? new Date(set.releaseDate) : null,
+    cardCount: {
+      total: set.cardCount?.total || 0,
+      official: set.cardCount?.official || 0,
+    },
+    // Set logos and symbols use the same base URL pattern as card images
+    logoUrl: set.logo ? `${set.logo}.webp` : '',
+    symbolUrl: set.symbol ? `${set.symbol}.webp` : '',
+  };
+};
+
+/**
+ * Turn a raw TCGdex card into Card model fields
+ *
+ * Price is only included when TCGdex actually has one, so a sync
+ * never overwrites a known price with nothing. Same for the mechanics
+ * (attacks, abilities, weaknesses...) - when TCGdex has none, the ones
+ * saved from a Pokewallet match (utils/cardMechanics.js) have to stay,
+ * or they'd drop out of search after every sync.
+ *
+ * @param {Object} card - Raw full card JSON
+ * @returns {Object} Fields for the Card model
+ */
+const formatCardForCatalog = (card) => {
+  const { currentPrice } = extractPricing(card.pricing);
+
+  const fields = {
+    externalId: card.id,
+    name: card.name,
+    game: 'pokemon',
+    setName: card.set?.name || '',
+    setCode: card.set?.id || '',
+    cardNumber: card.localId || '',
+    rarity: card.rarity || '',
+    imageUrl: card.image ? buildImageUrl(card.image) : '',
+    category: card.category || '',
+    hp: card.hp || null,
+    types: card.types || [],
+    illustrator: card.illustrator || '',
+    stage: normalizeStage(card.stage),
+    regulationMark: card.regulationMark || '',
+    variants: extractVariants(card),
+  };
+
+  const mechanics = {
+    attacks: (card.attacks || []).map((attack) => ({
+      name: attack.name || '',
+      cost: attack.cost || [],
+      damage: attack.damage !== undefined ? String(attack.damage) : '',
+      damageValue: parseDamageValue(attack.damage),
+      text: attack.effect || '',
+    })),
+    abilities: (card.abilities || []).map((ability) => ({
+      name: ability.name || '',
+      text: ability.effect || '',
+      type: ability.type || '',
+    })),
+    weaknesses: (card.weaknesses || []).map((w) => ({ type: w.type, value: w.value || '' })),
+    resistances: (card.resistances || []).map((r) => ({ type: r.type, value: r.value || '' })),
+    retreatCost: card.retreat ?? null,
+  };
+
+  // Trainer and Energy cards have no mechanics either, so only claim
+  // them for TCGdex when there's something there
+  if (mechanics.attacks.length > 0 || mechanics.abilities.length > 0 || mechanics.weaknesses.length > 0) {
+    Object.assign(fields, mechanics, { mechanicsSource: 'tcgdex' });
+  }
+
+  if (currentPrice) {
+    fields.currentPrice = currentPrice;
+    fields.variantPrices = getVariantPrices(extractPriceSnapshots(card.pricing));
+    fields.lastPriceUpdate = new Date();
+  }
+
+  return fields;
+};
+
+/**
+ * The Pokemon card provider (see utils/cardProviders.js)
+ *
+ * Mostly the functions above. Sets come straight from TCGdex here - the
+ * card controller only uses these when the catalog hasn't been synced.
+ * getPricing skips the cache, since it's for the daily price snapshot.
+ */
+const provider = {
+  game: 'pokemon',
+  label: 'TCGdex',
+
+  isConfigured: () => true,
+
+  searchCards,
+  getCardById,
+  getRandomCards,
+
+  getPricing: async (cardId) => {
+    const rawCard = await fetchCard(cardId);
+    if (!rawCard) return null;
+    return {
+      currentPrice: extractPricing(rawCard.pricing).currentPrice,
+      marketPrices: extractPriceSnapshots(rawCard.pricing),
+    };
+  },
+
+  getSets: async () => {
+    const sets = await fetchSetList();
+    return sets.map((set) => formatCatalogSet(formatSetForCatalog(set)));
+  },
+
+  getSet: async (setId, lang = DEFAULT_LANGUAGE) => {
+    const rawSet = await fetchSet(setId, lang);
+    if (!rawSet) return null;
+    return {
+      ...formatCatalogSet(formatSetForCatalog(rawSet)),
+      cards: (rawSet.cards || []).map((card) => ({ ...formatCardBrief(card), cardNumber: card.localId || '' })),
+    };
+  },
+};
+
 module.exports = {
+  provider,
   searchCards,
   getCardById,
   getRandomCard,
   getRandomCards,
   buildImageUrl,
   extractPricing,
+  extractPriceSnapshots,
+  extractVariants,
   formatCardBrief,
   formatCardFull,
+  fetchSetList,
+  fetchSet,
+  fetchCard,
+  formatSetForCatalog,
+  formatCardForCatalog,
 };
@@ -0,0 +1,211 @@
+/**
+ * TOTP (Time-based One-Time Password) Helpers
+ *
+ * This is the algorithm authenticator apps like Google Authenticator and
+ * Authy use (RFC 6238). It turned out to be small enough that I wrote it
+ * with Node's crypto module instead of adding another package:
+ *
+ *   1. Take the current time and divide by 30 seconds -> the "time step"
+ *   2. HMAC-SHA1 the time step using the shared secret as the key
+ *   3. Pick 4 bytes out of the hash (RFC 4226 "dynamic truncation")
+ *   4. Turn those into a 6 digit number
+ *
+ * The secret is shared with the app through a QR code of an otpauth:// URI,
+ * and secrets are written in base32 because that's what the apps expect.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string back into a buffer
+ * Ignores spaces, dashes and padding so pasted secrets still work.
+ *
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret (160 bits, the size RFC 4226 recommends)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the code for a given time step
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / 30)
+ * @returns {string} 6 digit code (with leading zeros)
+ */
+const generateCode = (secret, step) => {
+  // The counter is an 8 byte big-endian number
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation - the last 4 bits say where to start reading
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Get the current time step
+ * @param {number} [now] - Timestamp in ms (defaults to now)
+ * @returns {number}
+ */
+const getCurrentStep = (now = Date.now()) => {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+};
+
+/**
+ * Check a code the user typed in
+ *
+ * Allows one step either side of the current one, because phone clocks
+ * drift and people take a few seconds to type the code.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - What the user entered
+ * @param {number} [window] - How many steps either side to accept
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, window = 1) => {
+  if (!secret || !code) return null;
+
+  const cleaned = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(cleaned)) return null;
+
+  const current = getCurrentStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = current + offset;
+    const expected = generateCode(secret, step);
+
+    // timingSafeEqual so the comparison takes the same time either way
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleaned))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from the QR code
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} [issuer] - Shows up as the app name in the authenticator
+ * @returns {string}
+ */
+const buildOtpauthUri = (secret, accountName, issuer = 'CardVault') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes like "a1b2-c3d4-e5"
+ * These are for when the user loses their phone.
+ *
+ * @param {number} [count]
+ * @returns {string[]}
+ */
+const generateRecoveryCodes = (count = 10) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4, 8)}-${raw.slice(8)}`);
+  }
+  return codes;
+};
+
+/**
+ * Normalize a recovery code before hashing/comparing
+ * so "A1B2 C3D4 E5" and "a1b2-c3d4-e5" count as the same code
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getCurrentStep,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  base32Encode,
+  base32Decode,
+};